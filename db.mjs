@@ -1,15 +1,30 @@
 import { MongoClient } from 'mongodb';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { parse } from 'csv-parse/sync';
+import logger from './src/utils/logger.js';
+import tenantService from './src/services/tenantService.js';
 
 let client = null;
 let db = null;
 
 const MONGO_URI = process.env.MONGO_STORE_CONNECTION_URI;
 const MONGO_DB_NAME = process.env.MONGO_DATABASE || 'product_db';
-const PRODUCTS_COLLECTION = process.env.MONGO_COLLECTION_PRODUCTS || 'products';
+const HALLUCINATIONS_COLLECTION = process.env.MONGO_COLLECTION_HALLUCINATIONS || 'rag_hallucinations';
+const RATE_LIMITS_COLLECTION = process.env.MONGO_COLLECTION_RATE_LIMITS || 'rate_limits';
+const TOKEN_USAGE_COLLECTION = process.env.MONGO_COLLECTION_TOKEN_USAGE || 'token_usage';
+const FEEDBACK_COLLECTION = process.env.MONGO_COLLECTION_FEEDBACK || 'rag_feedback';
+const PROMPT_SETS_COLLECTION = process.env.MONGO_COLLECTION_PROMPT_SETS || 'rag_prompt_sets';
+const PROMPT_DEPLOYMENTS_COLLECTION = process.env.MONGO_COLLECTION_PROMPT_DEPLOYMENTS || 'rag_prompt_deployments';
+
+// Products live in the tenant's products collection; every other collection except rate limits is
+// suffixed with the tenant's namespace (see tenantService.js)
+function getProductsCollection() {
+  return db.collection(tenantService.getTenant().productsCollection);
+}
+
+function getTenantCollection(baseName) {
+  return db.collection(tenantService.getCollectionName(baseName));
+}
 
 // Fallback if URI is not provided
 const MONGO_USER = process.env.MONGO_INITDB_ROOT_USERNAME;
@@ -17,16 +32,66 @@ const MONGO_PASSWORD = process.env.MONGO_INITDB_ROOT_PASSWORD;
 const MONGO_HOST = process.env.MONGO_HOST || 'mongo';
 const MONGO_PORT = process.env.MONGO_PORT || '27017';
 
-export async function initDatabase() {
+// Indexes of the current tenant's collections
+async function ensureTenantIndexes() {
+    const tenantId = tenantService.getTenant().id;
+
+    // Ensure indexes for products collection (optional, but good for performance)
+    try {
+        const productsCollection = getProductsCollection();
+        await productsCollection.createIndex({ sku: 1 }, { unique: true });
+        await productsCollection.createIndex({ name: "text" }); // For text search on name
+        logger.info('Ensured indexes on products collection', { tenantId, collection: productsCollection.collectionName });
+    } catch (indexError) {
+        logger.warn('Could not ensure indexes on products collection. This might happen if run in parallel or with insufficient permissions.', { tenantId, error: indexError });
+    }
+
+    try {
+        await getTenantCollection(TOKEN_USAGE_COLLECTION).createIndex({ timestamp: 1, userId: 1 });
+        await getTenantCollection(TOKEN_USAGE_COLLECTION).createIndex({ userId: 1, timestamp: 1 });
+    } catch (indexError) {
+        logger.warn('Could not ensure indexes on token usage collection', { tenantId, error: indexError });
+    }
+
+    // Looked up by user for data export and deletion
+    try {
+        await getTenantCollection(HALLUCINATIONS_COLLECTION).createIndex({ userId: 1 });
+    } catch (indexError) {
+        logger.warn('Could not ensure indexes on hallucinations collection', { tenantId, error: indexError });
+    }
+
+    // One feedback document per user and message; resubmitting replaces it
+    try {
+        await getTenantCollection(FEEDBACK_COLLECTION).createIndex({ userId: 1, messageId: 1 }, { unique: true });
+    } catch (indexError) {
+        logger.warn('Could not ensure indexes on feedback collection', { tenantId, error: indexError });
+    }
+
+    // Prompt set versions are numbered; the newest deployment is the live one
+    try {
+        await getTenantCollection(PROMPT_SETS_COLLECTION).createIndex({ version: 1 }, { unique: true });
+        await getTenantCollection(PROMPT_DEPLOYMENTS_COLLECTION).createIndex({ createdAt: -1 });
+    } catch (indexError) {
+        logger.warn('Could not ensure indexes on prompt collections', { tenantId, error: indexError });
+    }
+}
+
+/**
+ * Connects to MongoDB and ensures the indexes of every tenant's collections
+ * @param {Object} [options]
+ * @param {number} [options.serverSelectionTimeoutMS] - How long to wait for a reachable server (driver default: 30s)
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+export async function initDatabase({ serverSelectionTimeoutMS } = {}) {
   if (db) {
-    console.log('MongoDB already connected.');
+    logger.info('MongoDB already connected.');
     return true;
   }
 
   let connectionUri = MONGO_URI;
   if (!connectionUri) {
     if (!MONGO_USER || !MONGO_PASSWORD) {
-      console.warn('MongoDB URI not provided and root credentials are not fully set. Attempting to connect without auth. This may fail or be insecure.');
+      logger.warn('MongoDB URI not provided and root credentials are not fully set. Attempting to connect without auth. This may fail or be insecure.');
       connectionUri = `mongodb://${MONGO_HOST}:${MONGO_PORT}/${MONGO_DB_NAME}`;
     } else {
       connectionUri = `mongodb://${encodeURIComponent(MONGO_USER)}:${encodeURIComponent(MONGO_PASSWORD)}@${MONGO_HOST}:${MONGO_PORT}/${MONGO_DB_NAME}?authSource=admin`;
@@ -34,75 +99,163 @@ export async function initDatabase() {
   }
 
   try {
-    client = new MongoClient(connectionUri);
+    client = new MongoClient(connectionUri, serverSelectionTimeoutMS ? { serverSelectionTimeoutMS } : undefined);
     await client.connect();
     db = client.db(MONGO_DB_NAME); // Ensure we are using the correct database name
-    console.log(`Connected to MongoDB: ${connectionUri.replace(/:([^:@\/]+)@/, ':<password>@')}`); // Log URI safely
+    logger.info('Connected to MongoDB', { uri: connectionUri.replace(/:([^:@\/]+)@/, ':<password>@') }); // Log URI safely
     
-    // Ensure indexes for products collection (optional, but good for performance)
+    // Rate limit counters remove themselves once their window has passed
     try {
-        const productsCollection = db.collection(PRODUCTS_COLLECTION);
-        await productsCollection.createIndex({ sku: 1 }, { unique: true });
-        await productsCollection.createIndex({ name: "text" }); // For text search on name
-        console.log(`Ensured indexes on ${PRODUCTS_COLLECTION} collection.`);
+        await db.collection(RATE_LIMITS_COLLECTION).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
     } catch (indexError) {
-        console.warn(`Could not ensure indexes on ${PRODUCTS_COLLECTION}: ${indexError.message}. This might happen if run in parallel or with insufficient permissions.`);
+        logger.warn('Could not ensure indexes on rate limit collection', { collection: RATE_LIMITS_COLLECTION, error: indexError });
+    }
+
+    for (const tenant of tenantService.listTenants()) {
+        await tenantService.run(tenant, ensureTenantIndexes);
     }
 
     return true;
   } catch (error) {
-    console.error('Error initializing MongoDB database:', error);
+    logger.error('Error initializing MongoDB database', { error });
     client = null; // Reset client on error
     db = null; // Reset db on error
     return false;
   }
 }
 
-export async function importProductsFromCSV(csvPath) {
+// Round-trips a ping to the product database; throws if it is not connected or not answering
+export async function pingDatabase() {
+  if (!db) {
+    throw new Error('MongoDB not initialized');
+  }
+  await db.command({ ping: 1 });
+}
+
+// Sync metadata kept on product documents but not returned by the API
+const PRODUCT_INTERNAL_FIELDS = { embeddingHash: 0 };
+
+/**
+ * Returns the embedding hash of every stored product, keyed by SKU.
+ * The hash is that of the text the product's vectors were built from; it is null for
+ * products that have not been embedded by the incremental sync yet.
+ * @returns {Promise<Map<string, string|null>|null>} SKU to embedding hash, or null on error
+ */
+export async function getProductEmbeddingHashes() {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const productsCollection = getProductsCollection();
+    const products = await productsCollection.find({}, { projection: { _id: 0, sku: 1, embeddingHash: 1 } }).toArray();
+    return new Map(products.map(product => [product.sku, product.embeddingHash || null]));
+  } catch (error) {
+    logger.error('Error fetching product embedding hashes from MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * Upserts products by SKU, leaving their embedding hash untouched
+ * @param {Array<Object>} products - Product records as read from the CSV
+ * @returns {Promise<boolean>} Whether the write succeeded
+ */
+export async function upsertProducts(products) {
   if (!db) {
-    console.error('MongoDB not initialized. Call initDatabase() first.');
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
     return false;
   }
 
   try {
-    console.log(`Importing products from ${csvPath} into MongoDB collection: ${PRODUCTS_COLLECTION}`);
-    
-    const csvFileContent = fs.readFileSync(csvPath, 'utf8');
-    const products = parse(csvFileContent, {
-      columns: true,
-      skip_empty_lines: true,
-    });
-    
-    console.log(`Found ${products.length} products in CSV file`);
-    if (products.length === 0) {
-      console.log('No products to import.');
-      return true;
-    }
+    if (products.length === 0) return true;
 
-    const productsCollection = db.collection(PRODUCTS_COLLECTION);
-    
-    // Prepare bulk operations for efficient upsert
+    const productsCollection = getProductsCollection();
     const operations = products.map(product => ({
       updateOne: {
-        filter: { sku: product.sku || 'N/A' }, // Ensure SKU is present, provide a default if not
+        filter: { sku: product.sku },
         update: { $set: product },
         upsert: true,
       },
     }));
 
     const result = await productsCollection.bulkWrite(operations);
-    console.log(`Imported products into MongoDB: ${result.upsertedCount} new, ${result.modifiedCount} updated, ${result.matchedCount} matched.`);
-    
+    logger.info('Upserted products into MongoDB', { upserted: result.upsertedCount, modified: result.modifiedCount, matched: result.matchedCount });
+    return true;
+  } catch (error) {
+    logger.error('Error upserting products to MongoDB', { error });
+    return false;
+  }
+}
+
+/**
+ * Upserts a product together with the hash of the text its vectors were just built from
+ * @param {Object} product - Product record as read from the CSV
+ * @param {string} embeddingHash - Hash of the embedded text
+ * @returns {Promise<boolean>} Whether the write succeeded
+ */
+export async function upsertEmbeddedProduct(product, embeddingHash) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return false;
+  }
+
+  try {
+    const productsCollection = getProductsCollection();
+    await productsCollection.updateOne(
+      { sku: product.sku },
+      { $set: { ...product, embeddingHash } },
+      { upsert: true }
+    );
     return true;
   } catch (error) {
-    console.error('Error importing products to MongoDB:', error);
+    logger.error('Error upserting product to MongoDB', { sku: product.sku, error });
     return false;
   }
 }
 
+/**
+ * Deletes products by SKU
+ * @param {Array<string>} skus - SKUs to delete
+ * @returns {Promise<number|null>} Number of deleted products, or null on error
+ */
+export async function deleteProductsBySKUs(skus) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    if (!Array.isArray(skus) || skus.length === 0) return 0;
+
+    const productsCollection = getProductsCollection();
+    const result = await productsCollection.deleteMany({ sku: { $in: skus } });
+    return result.deletedCount;
+  } catch (error) {
+    logger.error('Error deleting products from MongoDB', { error });
+    return null;
+  }
+}
+
+// Products served instead of the products collection (see useInMemoryCatalog())
+let inMemoryProducts = null;
+
+/**
+ * Serves getProductsBySKUs(), getProductBySKU() and searchProducts() from the given products instead of
+ * MongoDB, for tests and the offline evaluation. Everything else still needs initDatabase().
+ * @param {Array<Object>|null} products - Product records as read from the CSV, or null to read MongoDB again
+ */
+export function useInMemoryCatalog(products) {
+  inMemoryProducts = products ? new Map(products.map(product => [product.sku, structuredClone(product)])) : null;
+}
+
 export async function getProductsBySKUs(skus) {
+  if (inMemoryProducts) {
+    return Array.isArray(skus) ? [...inMemoryProducts.values()].filter(product => skus.includes(product.sku)).map(product => structuredClone(product)) : [];
+  }
   if (!db) {
-    console.error('MongoDB not initialized. Call initDatabase() first.');
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
     return [];
   }
   
@@ -111,23 +264,590 @@ export async function getProductsBySKUs(skus) {
       return [];
     }
     
-    const productsCollection = db.collection(PRODUCTS_COLLECTION);
-    const products = await productsCollection.find({ sku: { $in: skus } }).toArray();
+    const productsCollection = getProductsCollection();
+    const products = await productsCollection.find({ sku: { $in: skus } }, { projection: PRODUCT_INTERNAL_FIELDS }).toArray();
     
     return products;
   } catch (error) {
-    console.error('Error fetching products by SKUs from MongoDB:', error);
+    logger.error('Error fetching products by SKUs from MongoDB', { error });
     return [];
   }
 }
 
+export async function getProductBySKU(sku) {
+  if (inMemoryProducts) {
+    return inMemoryProducts.has(sku) ? structuredClone(inMemoryProducts.get(sku)) : null;
+  }
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const productsCollection = getProductsCollection();
+    return await productsCollection.findOne({ sku }, { projection: PRODUCT_INTERNAL_FIELDS });
+  } catch (error) {
+    logger.error('Error fetching product from MongoDB', { sku, error });
+    return null;
+  }
+}
+
+// Fields that can be used to sort catalog search results
+export const PRODUCT_SORT_FIELDS = ['name', 'price', 'category', 'brand', 'relevance'];
+
+/**
+ * Searches the products collection with optional text search, field filters, sorting and pagination.
+ * Prices are imported from CSV as strings, so they are converted to numbers for range filters and sorting.
+ * @param {Object} options
+ * @param {string} [options.q] - Text search against the `name` text index
+ * @param {string} [options.category] - Exact category match
+ * @param {string} [options.brand] - Exact brand match
+ * @param {number} [options.minPrice] - Minimum price (inclusive)
+ * @param {number} [options.maxPrice] - Maximum price (inclusive)
+ * @param {string} [options.sort] - One of PRODUCT_SORT_FIELDS, prefixed with '-' for descending
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<{products: Array, total: number}|null>} The page of products and the total match count, or null on error
+ */
+export async function searchProducts({ q, category, brand, minPrice, maxPrice, sort, page = 1, limit = 20 } = {}) {
+  if (!db && !inMemoryProducts) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  // Anything but a string would be read by MongoDB as an operator expression
+  const nonStringFilter = Object.entries({ q, category, brand })
+    .find(([, value]) => value !== undefined && typeof value !== 'string');
+  if (nonStringFilter) {
+    logger.error('Product search filters must be strings', { filter: nonStringFilter[0] });
+    return null;
+  }
+
+  if (inMemoryProducts) {
+    return searchInMemoryProducts({ q, category, brand, minPrice, maxPrice, sort, page, limit });
+  }
+
+  try {
+    const match = {};
+    if (q) match.$text = { $search: q };
+    if (category) match.category = category;
+    if (brand) match.brand = brand;
+
+    const priceRange = {};
+    if (typeof minPrice === 'number') priceRange.$gte = minPrice;
+    if (typeof maxPrice === 'number') priceRange.$lte = maxPrice;
+
+    let sortField = sort || (q ? 'relevance' : 'name');
+    const sortDirection = sortField.startsWith('-') ? -1 : 1;
+    sortField = sortField.replace(/^-/, '');
+
+    let sortStage;
+    if (sortField === 'relevance' && q) sortStage = { textScore: -1, sku: 1 };
+    else if (sortField === 'price') sortStage = { priceValue: sortDirection, sku: 1 };
+    else sortStage = { [sortField === 'relevance' ? 'name' : sortField]: sortDirection, sku: 1 };
+
+    const computedFields = { priceValue: { $convert: { input: '$price', to: 'double', onError: null, onNull: null } } };
+    if (q) computedFields.textScore = { $meta: 'textScore' };
+
+    const pipeline = [
+      { $match: match },
+      { $addFields: computedFields },
+    ];
+    if (Object.keys(priceRange).length > 0) pipeline.push({ $match: { priceValue: priceRange } });
+    pipeline.push({
+      $facet: {
+        products: [
+          { $sort: sortStage },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { ...PRODUCT_INTERNAL_FIELDS, priceValue: 0, textScore: 0 } },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    });
+
+    const productsCollection = getProductsCollection();
+    const [result] = await productsCollection.aggregate(pipeline).toArray();
+
+    return {
+      products: result.products,
+      total: result.total.length > 0 ? result.total[0].count : 0,
+    };
+  } catch (error) {
+    logger.error('Error searching products in MongoDB', { error });
+    return null;
+  }
+}
+
+function getSearchTerms(text) {
+  return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+// Sorts like MongoDB: missing values (null) before any other value
+function compareSortValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+// searchProducts() over the in-memory catalog. The text search matches names that contain any of
+// the query's words, scored by the number of words matched: the `name` text index without stemming or stop words.
+function searchInMemoryProducts({ q, category, brand, minPrice, maxPrice, sort, page, limit }) {
+  const queryTerms = q ? getSearchTerms(q) : null;
+  const matches = [...inMemoryProducts.values()]
+    .map(product => {
+      const price = product.price === undefined || product.price === null || String(product.price).trim() === '' ? NaN : Number(product.price);
+      return {
+        product,
+        priceValue: Number.isFinite(price) ? price : null,
+        textScore: queryTerms ? [...getSearchTerms(product.name || '')].filter(term => queryTerms.has(term)).length : 0
+      };
+    })
+    .filter(({ product, priceValue, textScore }) =>
+      (!queryTerms || textScore > 0) &&
+      (!category || product.category === category) &&
+      (!brand || product.brand === brand) &&
+      (typeof minPrice !== 'number' || (priceValue !== null && priceValue >= minPrice)) &&
+      (typeof maxPrice !== 'number' || (priceValue !== null && priceValue <= maxPrice)));
+
+  let sortField = sort || (q ? 'relevance' : 'name');
+  const sortDirection = sortField.startsWith('-') ? -1 : 1;
+  sortField = sortField.replace(/^-/, '');
+  const getSortValue = sortField === 'relevance' && q ? match => -match.textScore
+    : sortField === 'price' ? match => match.priceValue
+    : match => match.product[sortField === 'relevance' ? 'name' : sortField] ?? null;
+  const direction = sortField === 'relevance' && q ? 1 : sortDirection;
+  matches.sort((a, b) => direction * compareSortValues(getSortValue(a), getSortValue(b)) || compareSortValues(a.product.sku, b.product.sku));
+
+  return {
+    products: matches.slice((page - 1) * limit, page * limit).map(({ product }) => structuredClone(product)),
+    total: matches.length,
+  };
+}
+
+/**
+ * Records LLM output that referenced products not in the catalog
+ * @param {Object} record
+ * @param {string} record.userId - User the answer was for
+ * @param {string} record.endpoint - Endpoint that produced the answer
+ * @param {string} record.query - The user's query
+ * @param {Array<string>} record.unknownSkus - SKUs returned by the LLM that are not in the products collection
+ * @param {Array<string>} record.unmatchedMentions - Bolded product names and SKUs in the answer that match no returned product
+ * @returns {Promise<boolean>} Whether the record was stored
+ */
+export async function recordHallucination({ userId, endpoint, query, unknownSkus, unmatchedMentions }) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return false;
+  }
+
+  try {
+    const hallucinationsCollection = getTenantCollection(HALLUCINATIONS_COLLECTION);
+    await hallucinationsCollection.insertOne({
+      userId,
+      endpoint,
+      query,
+      unknownSkus,
+      unmatchedMentions,
+      timestamp: new Date(),
+    });
+    return true;
+  } catch (error) {
+    logger.error('Error recording hallucination in MongoDB', { error });
+    return false;
+  }
+}
+
+/**
+ * @param {string} userId - The user
+ * @returns {Promise<Array<Object>|null>} Hallucination records of the user's queries, oldest first, or null on error
+ */
+export async function getHallucinationsByUser(userId) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const hallucinationsCollection = getTenantCollection(HALLUCINATIONS_COLLECTION);
+    return await hallucinationsCollection.find({ userId }, { projection: { _id: 0 } }).sort({ timestamp: 1 }).toArray();
+  } catch (error) {
+    logger.error('Error fetching hallucinations from MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * @param {string} userId - The user
+ * @returns {Promise<number|null>} Number of hallucination records deleted, or null on error
+ */
+export async function deleteHallucinationsByUser(userId) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const hallucinationsCollection = getTenantCollection(HALLUCINATIONS_COLLECTION);
+    const result = await hallucinationsCollection.deleteMany({ userId });
+    return result.deletedCount;
+  } catch (error) {
+    logger.error('Error deleting hallucinations from MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * Stores a user's feedback on an answer, replacing any earlier feedback on the same message
+ * @param {Object} feedback
+ * @param {string} feedback.userId - User who gave the feedback
+ * @param {string} feedback.conversationId - Thread the message is in
+ * @param {string} feedback.messageId - ID of the Bot conversation entry
+ * @param {string|null} feedback.rating - 'up' or 'down' for the answer, or null if only products were rated
+ * @param {string|null} feedback.reason - Why the answer was rated so
+ * @param {Array<{sku: string, rating: string, reason: string|null}>} feedback.products - Ratings of recommended products
+ * @param {string} feedback.query - The user's query the answer replied to
+ * @param {string} feedback.answer - The rated answer
+ * @param {number|null} feedback.promptVersion - Prompt set version that produced the answer
+ * @param {boolean} feedback.cacheEvicted - Whether the answer was removed from the answer caches
+ * @returns {Promise<boolean>} Whether the feedback was stored
+ */
+export async function recordFeedback({ userId, messageId, ...feedback }) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return false;
+  }
+
+  try {
+    const feedbackCollection = getTenantCollection(FEEDBACK_COLLECTION);
+    const now = new Date();
+    await feedbackCollection.updateOne(
+      { userId, messageId },
+      { $set: { ...feedback, updatedAt: now }, $setOnInsert: { userId, messageId, createdAt: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    logger.error('Error recording feedback in MongoDB', { error });
+    return false;
+  }
+}
+
+/**
+ * @param {string} userId - The user
+ * @returns {Promise<Array<Object>|null>} The user's feedback, oldest first, or null on error
+ */
+export async function getFeedbackByUser(userId) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const feedbackCollection = getTenantCollection(FEEDBACK_COLLECTION);
+    return await feedbackCollection.find({ userId }, { projection: { _id: 0 } }).sort({ createdAt: 1 }).toArray();
+  } catch (error) {
+    logger.error('Error fetching feedback from MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * @param {string} userId - The user
+ * @returns {Promise<number|null>} Number of feedback documents deleted, or null on error
+ */
+export async function deleteFeedbackByUser(userId) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const feedbackCollection = getTenantCollection(FEEDBACK_COLLECTION);
+    const result = await feedbackCollection.deleteMany({ userId });
+    return result.deletedCount;
+  } catch (error) {
+    logger.error('Error deleting feedback from MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * Stores a new prompt set under the next version number
+ * @param {Object} promptSet
+ * @param {Object} promptSet.prompts - Prompts in the shape of config/prompts.json
+ * @param {string|null} promptSet.description - What changed in this version
+ * @param {string|null} promptSet.createdBy - Admin who stored it
+ * @returns {Promise<number|null>} The new version, or null on error (including a concurrent insert of the same version)
+ */
+export async function createPromptSet({ prompts, description, createdBy }) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const promptSetsCollection = getTenantCollection(PROMPT_SETS_COLLECTION);
+    const [latest] = await promptSetsCollection.find({}, { projection: { version: 1 } }).sort({ version: -1 }).limit(1).toArray();
+    const version = latest ? latest.version + 1 : 1;
+    await promptSetsCollection.insertOne({ version, prompts, description, createdBy, createdAt: new Date() });
+    return version;
+  } catch (error) {
+    logger.error('Error storing prompt set in MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * @param {Array<number>} [versions] - Versions to fetch; all versions if omitted
+ * @param {Object} [options]
+ * @param {boolean} [options.includePrompts=true] - Leave out the prompt texts when false
+ * @returns {Promise<Array<Object>|null>} Prompt sets, newest version first, or null on error
+ */
+export async function getPromptSets(versions, { includePrompts = true } = {}) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const promptSetsCollection = getTenantCollection(PROMPT_SETS_COLLECTION);
+    const filter = versions ? { version: { $in: versions } } : {};
+    const projection = includePrompts ? { _id: 0 } : { _id: 0, prompts: 0 };
+    return await promptSetsCollection.find(filter, { projection }).sort({ version: -1 }).toArray();
+  } catch (error) {
+    logger.error('Error fetching prompt sets from MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * Makes a traffic split across prompt set versions the live one
+ * @param {Object} deployment
+ * @param {Array<{version: number, weight: number}>} deployment.variants - Versions and their share of users, in percent
+ * @param {string} deployment.action - 'seed', 'publish' or 'rollback'
+ * @param {string|null} deployment.createdBy - Admin who made the change
+ * @param {string|null} [deployment.rolledBackTo] - For rollbacks, the ID of the earlier deployment restored
+ * @returns {Promise<boolean>} Whether the deployment was stored
+ */
+export async function recordPromptDeployment({ variants, action, createdBy, rolledBackTo = null }) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return false;
+  }
+
+  try {
+    const promptDeploymentsCollection = getTenantCollection(PROMPT_DEPLOYMENTS_COLLECTION);
+    await promptDeploymentsCollection.insertOne({ variants, action, createdBy, rolledBackTo, createdAt: new Date() });
+    return true;
+  } catch (error) {
+    logger.error('Error recording prompt deployment in MongoDB', { error });
+    return false;
+  }
+}
+
+/**
+ * @param {number} limit - Most deployments to return
+ * @returns {Promise<Array<Object>|null>} Deployments, newest (live) first, with their `_id` as a string `id`, or null on error
+ */
+export async function getPromptDeployments(limit) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const promptDeploymentsCollection = getTenantCollection(PROMPT_DEPLOYMENTS_COLLECTION);
+    const deployments = await promptDeploymentsCollection.find({}).sort({ createdAt: -1, _id: -1 }).limit(limit).toArray();
+    return deployments.map(({ _id, ...deployment }) => ({ id: _id.toString(), ...deployment }));
+  } catch (error) {
+    logger.error('Error fetching prompt deployments from MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * Atomically adds to a rate limit counter, creating it if needed
+ * @param {string} key - Counter key, unique per subject, limit and window
+ * @param {number} amount - Amount to add
+ * @param {Date} expiresAt - End of the counter's window; the document is removed by a TTL index afterwards
+ * @returns {Promise<number|null>} The counter value after the increment, or null on error
+ */
+export async function incrementRateLimitCounter(key, amount, expiresAt) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const rateLimitsCollection = db.collection(RATE_LIMITS_COLLECTION);
+    const counter = await rateLimitsCollection.findOneAndUpdate(
+      { _id: key },
+      { $inc: { count: amount }, $setOnInsert: { expiresAt } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return counter.count;
+  } catch (error) {
+    logger.error('Error incrementing rate limit counter in MongoDB', { key, error });
+    return null;
+  }
+}
+
+/**
+ * @param {string} key - Counter key
+ * @returns {Promise<number|null>} The counter value (0 if it does not exist), or null on error
+ */
+export async function getRateLimitCounter(key) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const rateLimitsCollection = db.collection(RATE_LIMITS_COLLECTION);
+    const counter = await rateLimitsCollection.findOne({ _id: key });
+    return counter && counter.expiresAt > new Date() ? counter.count : 0;
+  } catch (error) {
+    logger.error('Error reading rate limit counter from MongoDB', { key, error });
+    return null;
+  }
+}
+
+/**
+ * Records the LLM token use of one request
+ * @param {Object} record
+ * @param {string|null} record.userId - Authenticated user, null for anonymous requests
+ * @param {string|null} record.apiKeyId - Short hash of the API key used, if any
+ * @param {string} record.endpoint - Endpoint that handled the request
+ * @param {number} record.statusCode - HTTP status of the response
+ * @param {number} record.llmCalls - Number of LLM calls made
+ * @param {number} record.inputTokens - Prompt tokens over all LLM calls
+ * @param {number} record.outputTokens - Completion tokens over all LLM calls
+ * @returns {Promise<boolean>} Whether the record was stored
+ */
+export async function recordTokenUsage({ userId, apiKeyId, endpoint, statusCode, llmCalls, inputTokens, outputTokens }) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return false;
+  }
+
+  try {
+    const tokenUsageCollection = getTenantCollection(TOKEN_USAGE_COLLECTION);
+    await tokenUsageCollection.insertOne({
+      userId,
+      apiKeyId,
+      endpoint,
+      statusCode,
+      llmCalls,
+      inputTokens,
+      outputTokens,
+      timestamp: new Date(),
+    });
+    return true;
+  } catch (error) {
+    logger.error('Error recording token usage in MongoDB', { error });
+    return false;
+  }
+}
+
+/**
+ * Sums recorded token use per user and endpoint
+ * @param {Object} options
+ * @param {Date} options.from - Start of the period (inclusive)
+ * @param {Date} options.to - End of the period (exclusive)
+ * @param {string} [options.userId] - Only include this user
+ * @returns {Promise<Array<Object>|null>} One row per user and endpoint, highest token use first, or null on error
+ */
+export async function getTokenUsageSummary({ from, to, userId }) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const match = { timestamp: { $gte: from, $lt: to } };
+    if (userId) match.userId = userId;
+
+    const tokenUsageCollection = getTenantCollection(TOKEN_USAGE_COLLECTION);
+    return await tokenUsageCollection.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { userId: '$userId', endpoint: '$endpoint' },
+          requests: { $sum: 1 },
+          llmCalls: { $sum: '$llmCalls' },
+          inputTokens: { $sum: '$inputTokens' },
+          outputTokens: { $sum: '$outputTokens' },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          userId: '$_id.userId',
+          endpoint: '$_id.endpoint',
+          requests: 1,
+          llmCalls: 1,
+          inputTokens: 1,
+          outputTokens: 1,
+          totalTokens: { $add: ['$inputTokens', '$outputTokens'] },
+        },
+      },
+      { $sort: { totalTokens: -1, userId: 1, endpoint: 1 } },
+    ]).toArray();
+  } catch (error) {
+    logger.error('Error summarizing token usage from MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * @param {string} userId - The user
+ * @returns {Promise<Array<Object>|null>} The user's token usage records, oldest first, or null on error
+ */
+export async function getTokenUsageByUser(userId) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const tokenUsageCollection = getTenantCollection(TOKEN_USAGE_COLLECTION);
+    return await tokenUsageCollection.find({ userId }, { projection: { _id: 0 } }).sort({ timestamp: 1 }).toArray();
+  } catch (error) {
+    logger.error('Error fetching token usage from MongoDB', { error });
+    return null;
+  }
+}
+
+/**
+ * Quotas are counted separately (see incrementRateLimitCounter), so this does not reset them
+ * @param {string} userId - The user
+ * @returns {Promise<number|null>} Number of token usage records deleted, or null on error
+ */
+export async function deleteTokenUsageByUser(userId) {
+  if (!db) {
+    logger.error('MongoDB not initialized. Call initDatabase() first.');
+    return null;
+  }
+
+  try {
+    const tokenUsageCollection = getTenantCollection(TOKEN_USAGE_COLLECTION);
+    const result = await tokenUsageCollection.deleteMany({ userId });
+    return result.deletedCount;
+  } catch (error) {
+    logger.error('Error deleting token usage from MongoDB', { error });
+    return null;
+  }
+}
+
 export async function closeDatabase() {
   if (client) {
     try {
       await client.close();
-      console.log('MongoDB connection closed');
+      logger.info('MongoDB connection closed');
     } catch (error) {
-      console.error('Error closing MongoDB connection:', error);
+      logger.error('Error closing MongoDB connection', { error });
     }
     client = null;
     db = null;
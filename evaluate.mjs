@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv-parse/sync';
+import { initDatabase, closeDatabase, useInMemoryCatalog } from './db.mjs';
+import { config } from './src/config/index.js';
+import { handleQuery } from './src/controllers/chatController.js';
+import ragService from './src/services/ragService.js';
+import promptService from './src/services/promptService.js';
+import metricsService from './src/services/metricsService.js';
+import usageService from './src/services/usageService.js';
+import tenantService from './src/services/tenantService.js';
+import { ProductLoader, formatProductText, getProductMetadata } from './src/loaders/productLoader.js';
+import { validateChatRequest } from './src/utils/chatRequestSchema.js';
+import logger from './src/utils/logger.js';
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Label the evaluation's requests carry in logs and metrics
+const EVAL_ENDPOINT = '/eval';
+const DEFAULT_GOLDEN_PATH = 'eval/golden.json';
+const DEFAULT_REPORT_PATH = 'eval/report.json';
+// Fixtures of the offline run (--offline)
+const DEFAULT_CATALOG_PATH = 'eval/catalog.csv';
+const DEFAULT_COMPLETIONS_PATH = 'eval/completions.json';
+// Fail fast when MongoDB is down instead of waiting for the driver's 30s server selection
+const MONGO_CONNECT_TIMEOUT_MS = 5000;
+const MONGO_REQUIRED_HINT = 'The evaluation reads the catalog from MongoDB and keeps conversations there, also with the fake providers. ' +
+  'Start MongoDB (e.g. `docker-compose up -d mongo`), sync the catalog with `npm run generate-embeddings` and set the MONGO_* variables in .env, ' +
+  'or run without MongoDB against the committed fixtures with --offline';
+
+// The pipeline logs every request at info level; keep the output to warnings unless LOG_LEVEL asks for more
+if (!process.env.LOG_LEVEL) logger.configure({ level: 'warn' });
+
+// `--name value` or `--name=value`; null when the option is not given
+function getArg(name) {
+  const args = process.argv.slice(2);
+  const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index === -1) return null;
+  return args[index].includes('=') ? args[index].slice(args[index].indexOf('=') + 1) : args[index + 1];
+}
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+const goldenPath = path.resolve(rootDir, getArg('golden') || DEFAULT_GOLDEN_PATH);
+const reportPath = path.resolve(rootDir, getArg('output') || DEFAULT_REPORT_PATH);
+const baselinePath = getArg('baseline') ? path.resolve(rootDir, getArg('baseline')) : null;
+const recordPath = getArg('record') ? path.resolve(rootDir, getArg('record')) : null;
+const offline = process.argv.slice(2).includes('--offline');
+const catalogPath = path.resolve(rootDir, getArg('catalog') || DEFAULT_CATALOG_PATH);
+const completionsPath = path.resolve(rootDir, getArg('completions') || DEFAULT_COMPLETIONS_PATH);
+const pinnedPromptVersion = getArg('prompt-version') === null ? null : Number(getArg('prompt-version'));
+if (pinnedPromptVersion !== null && !(Number.isInteger(pinnedPromptVersion) && pinnedPromptVersion >= 1)) {
+  fail('--prompt-version must be a prompt set version (a positive integer)');
+}
+if (offline && pinnedPromptVersion !== null) {
+  fail('--prompt-version needs the prompt sets stored in MongoDB; --offline uses the tenant\'s prompts file');
+}
+if (offline && recordPath) {
+  fail('--record needs a real chat model; --offline replays the recorded completions');
+}
+
+const tenantArg = getArg('tenant');
+const tenant = tenantArg === null ? tenantService.getDefaultTenant() : tenantService.getTenantById(tenantArg);
+if (!tenant) {
+  fail(`Unknown tenant '${tenantArg}'. Tenants are configured in config/app.json`);
+}
+
+/**
+ * Reads the golden set: `{ "cases": [{ "id", "expectedSkus", ...chat request body }] }`.
+ * Everything but `id` and `expectedSkus` is sent as the body of the chat request, so it must
+ * pass the same validation as POST /chat (src/utils/chatRequestSchema.js).
+ */
+function readGoldenSet() {
+  if (!fs.existsSync(goldenPath)) {
+    fail(`Golden set ${path.relative(rootDir, goldenPath)} not found. Pass another one with --golden <file>`);
+  }
+  const golden = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+  const cases = Array.isArray(golden.cases) ? golden.cases : [];
+  if (cases.length === 0) fail('The golden set has no cases');
+
+  const ids = new Set();
+  for (const [index, { id, expectedSkus, ...body }] of cases.entries()) {
+    if (typeof id !== 'string' || !id || ids.has(id)) fail(`Case ${index + 1} needs a unique string id`);
+    ids.add(id);
+    if (!Array.isArray(expectedSkus) || !expectedSkus.every(sku => typeof sku === 'string')) {
+      fail(`Case ${id} needs an expectedSkus array (empty when no product should be recommended)`);
+    }
+    if (!validateChatRequest(body)) {
+      fail(`Case ${id} is not a valid chat request: ${JSON.stringify(validateChatRequest.errors)}`);
+    }
+  }
+  return cases;
+}
+
+async function getCounterValue(counter, labels) {
+  const { values } = await counter.get();
+  const match = values.find(({ labels: valueLabels }) => Object.entries(labels).every(([key, value]) => valueLabels[key] === value));
+  return match ? match.value : 0;
+}
+
+// Counters that handleQuery updates for the request, read before and after each case
+async function readCaseCounters() {
+  return {
+    parseFailures: await getCounterValue(metricsService.parseFailures, { endpoint: EVAL_ENDPOINT }),
+    timeouts: await getCounterValue(metricsService.timeouts, { endpoint: EVAL_ENDPOINT }),
+    hallucinatedSkus: await getCounterValue(metricsService.hallucinations, { endpoint: EVAL_ENDPOINT, kind: 'sku' }),
+    hallucinatedProductNames: await getCounterValue(metricsService.hallucinations, { endpoint: EVAL_ENDPOINT, kind: 'product_name' })
+  };
+}
+
+// Collects what handleQuery sends, like an Express response
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Raw completions of the chat model, so a run can be replayed with the fake provider (see --record)
+const recordedCompletions = [];
+
+function recordCompletions(caseQuery) {
+  const chatModel = ragService.chatModel;
+  const runQuery = chatModel.runQuery.bind(chatModel);
+  let previousOutput = null;
+
+  chatModel.runQuery = async messages => {
+    const response = await runQuery(messages);
+    // The answer prompt contains the query; a repair prompt contains the output it repairs
+    const match = previousOutput === null ? caseQuery() : previousOutput;
+    if (match) recordedCompletions.push({ match, response: response.result });
+    previousOutput = response.result;
+    return response;
+  };
+  return () => { previousOutput = null; };
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+function percentile(sortedValues, fraction) {
+  if (sortedValues.length === 0) return null;
+  return sortedValues[Math.min(sortedValues.length - 1, Math.ceil(fraction * sortedValues.length) - 1)];
+}
+
+function mean(values) {
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Runs one golden case through handleQuery as an anonymous, stateless request with the caches off
+ * @returns {Promise<Object>} The case's result for the report
+ */
+async function runCase(goldenCase, resetRecording) {
+  const { id, expectedSkus, ...body } = goldenCase;
+  const req = { id: `eval-${id}`, body, auth: { anonymous: true }, get: () => undefined };
+  const res = createResponse();
+  if (resetRecording) resetRecording();
+
+  const countersBefore = await readCaseCounters();
+  const startTime = process.hrtime.bigint();
+  let done;
+  const usage = usageService.track(() => {
+    // Anonymous callers get a random prompt variant; the case ID keeps each case on its variant between runs
+    // Hallucinations are counted in the report, not stored with those of real users
+    done = handleQuery(req, res, EVAL_ENDPOINT, { useCache: false, promptSubject: `eval-${id}`, recordHallucinations: false });
+  });
+  await done;
+  const latencyMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+  const countersAfter = await readCaseCounters();
+
+  const counts = Object.fromEntries(Object.keys(countersBefore).map(key => [key, countersAfter[key] - countersBefore[key]]));
+  const result = {
+    id,
+    query: body.query || body.question,
+    status: res.statusCode,
+    error: res.statusCode === 200 ? null : (res.body && res.body.error ? res.body.error.code : 'UNKNOWN'),
+    promptVersion: res.body ? res.body.promptVersion ?? null : null,
+    locale: res.body ? res.body.locale ?? null : null,
+    expectedSkus,
+    returnedSkus: [],
+    precision: 0,
+    recall: expectedSkus.length === 0 ? 1 : 0,
+    hallucinatedSkus: counts.hallucinatedSkus,
+    hallucinatedProductNames: counts.hallucinatedProductNames,
+    parseFailure: counts.parseFailures > 0,
+    timedOut: counts.timeouts > 0,
+    llmCalls: usage.llmCalls,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    latencyMs: round(latencyMs)
+  };
+  if (result.error) return result;
+
+  // Unknown SKUs have already been dropped from relatedProducts; they are counted in hallucinatedSkus
+  const returnedSkus = res.body.relatedProducts.map(product => product.sku);
+  const hits = returnedSkus.filter(sku => expectedSkus.includes(sku)).length;
+  result.returnedSkus = returnedSkus;
+  // Recommending nothing is right, and fully precise, only when nothing was expected
+  result.precision = round(returnedSkus.length > 0 ? hits / returnedSkus.length : (expectedSkus.length === 0 ? 1 : 0));
+  result.recall = round(expectedSkus.length > 0 ? hits / expectedSkus.length : 1);
+  return result;
+}
+
+function summarize(results) {
+  const answered = results.filter(result => !result.error);
+  const suggestedSkus = results.reduce((sum, result) => sum + result.returnedSkus.length + result.hallucinatedSkus, 0);
+  const hallucinatedSkus = results.reduce((sum, result) => sum + result.hallucinatedSkus, 0);
+  const latencies = results.map(result => result.latencyMs).sort((a, b) => a - b);
+
+  return {
+    cases: results.length,
+    errors: results.length - answered.length,
+    // Cases that failed count as neither precise nor complete
+    precision: round(mean(results.map(result => result.precision))),
+    recall: round(mean(results.map(result => result.recall))),
+    hallucinatedSkuRate: round(suggestedSkus > 0 ? hallucinatedSkus / suggestedSkus : 0),
+    hallucinatedProductNames: results.reduce((sum, result) => sum + result.hallucinatedProductNames, 0),
+    parseFailureRate: round(results.filter(result => result.parseFailure).length / results.length),
+    timeouts: results.filter(result => result.timedOut).length,
+    latencyMs: {
+      mean: round(mean(latencies)),
+      p50: percentile(latencies, 0.5),
+      p95: percentile(latencies, 0.95),
+      max: latencies[latencies.length - 1]
+    },
+    inputTokens: results.reduce((sum, result) => sum + result.inputTokens, 0),
+    outputTokens: results.reduce((sum, result) => sum + result.outputTokens, 0)
+  };
+}
+
+function printSummary(summary, baselineSummary) {
+  const rows = [
+    ['precision', summary.precision, baselineSummary?.precision],
+    ['recall', summary.recall, baselineSummary?.recall],
+    ['hallucinatedSkuRate', summary.hallucinatedSkuRate, baselineSummary?.hallucinatedSkuRate],
+    ['hallucinatedProductNames', summary.hallucinatedProductNames, baselineSummary?.hallucinatedProductNames],
+    ['parseFailureRate', summary.parseFailureRate, baselineSummary?.parseFailureRate],
+    ['errors', summary.errors, baselineSummary?.errors],
+    ['latencyMs.p50', summary.latencyMs.p50, baselineSummary?.latencyMs?.p50],
+    ['latencyMs.p95', summary.latencyMs.p95, baselineSummary?.latencyMs?.p95],
+    ['inputTokens', summary.inputTokens, baselineSummary?.inputTokens],
+    ['outputTokens', summary.outputTokens, baselineSummary?.outputTokens]
+  ];
+  for (const [name, value, baselineValue] of rows) {
+    const delta = typeof baselineValue === 'number' && typeof value === 'number' ? ` (baseline ${baselineValue}, ${value - baselineValue >= 0 ? '+' : ''}${round(value - baselineValue)})` : '';
+    console.log(`  ${name.padEnd(26)} ${value}${delta}`);
+  }
+}
+
+async function loadPrompts() {
+  if (offline) {
+    await promptService.activateFile(tenant);
+    return;
+  }
+  if (pinnedPromptVersion === null) {
+    await promptService.initialize();
+    return;
+  }
+  // Every case gets the pinned version; no deployment is recorded, so live traffic is unaffected
+  const activated = await promptService.activate({ id: null, createdAt: null, variants: [{ version: pinnedPromptVersion, weight: 100 }] });
+  if (!activated) fail(`Prompt set version ${pinnedPromptVersion} could not be loaded`);
+}
+
+// Switches to the fake providers and in-memory stores, so the run needs neither MongoDB, a vector database nor OpenAI
+function useOfflineProviders() {
+  for (const [option, filePath] of [['catalog', catalogPath], ['completions', completionsPath]]) {
+    if (!fs.existsSync(filePath)) fail(`${path.relative(rootDir, filePath)} not found. Pass another one with --${option} <file>`);
+  }
+  config.providers.llm = 'fake';
+  config.providers.embeddings = 'fake';
+  config.fake.completionsPath = completionsPath;
+  config.vectorDb.type = 'memory';
+  config.semanticCache.enabled = false;
+  ragService.useMemoryStores();
+}
+
+/**
+ * Serves the catalog CSV from memory and embeds its products into the tenant's in-memory vector
+ * database, with the text, metadata and chunk IDs `npm run generate-embeddings` stores
+ */
+async function loadOfflineCatalog() {
+  const products = parse(fs.readFileSync(catalogPath, 'utf8'), { columns: true, skip_empty_lines: true, trim: true })
+    .filter(record => record.sku);
+  if (products.length === 0) fail(`The catalog ${path.relative(rootDir, catalogPath)} has no products`);
+  useInMemoryCatalog(products);
+
+  const vectorDatabase = ragService.getVectorDatabase();
+  for (const record of products) {
+    const loader = new ProductLoader({ sku: record.sku, text: formatProductText(record), metadata: getProductMetadata(record) });
+    const chunks = [];
+    for await (const chunk of loader.getUnfilteredChunks()) chunks.push(chunk);
+    const vectors = await ragService.embeddingModel.embedDocuments(chunks.map(chunk => chunk.pageContent));
+    await vectorDatabase.insertChunks(chunks.map((chunk, index) => ({
+      pageContent: chunk.pageContent,
+      vector: vectors[index],
+      metadata: { ...chunk.metadata, uniqueLoaderId: loader.getUniqueId(), id: `${loader.getUniqueId()}_${index}` }
+    })));
+  }
+  console.log(`Loaded ${products.length} products from ${path.relative(rootDir, catalogPath)}`);
+}
+
+async function evaluate() {
+  const cases = readGoldenSet();
+  console.log(`Evaluating ${cases.length} cases from ${path.relative(rootDir, goldenPath)} for tenant '${tenant.id}'${offline ? ' offline' : ''}`);
+
+  if (offline) {
+    useOfflineProviders();
+  } else {
+    if (!config.mongo.storeConnectionUri) fail(`MONGO_STORE_CONNECTION_URI is not set. ${MONGO_REQUIRED_HINT}`);
+    if (!(await initDatabase({ serverSelectionTimeoutMS: MONGO_CONNECT_TIMEOUT_MS }))) {
+      fail(`Could not connect to MongoDB. ${MONGO_REQUIRED_HINT}`);
+    }
+  }
+  await ragService.initialize();
+  if (offline) await loadOfflineCatalog();
+  await loadPrompts();
+
+  let currentQuery = null;
+  const resetRecording = recordPath ? recordCompletions(() => currentQuery) : null;
+
+  const results = [];
+  for (const goldenCase of cases) {
+    currentQuery = goldenCase.query || goldenCase.question;
+    const result = await runCase(goldenCase, resetRecording);
+    results.push(result);
+    console.log(`${result.error ? 'ERROR' : 'ok   '} ${result.id}: precision ${result.precision}, recall ${result.recall}, ${Math.round(result.latencyMs)} ms${result.error ? ` (${result.error})` : ''}`);
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    goldenSet: path.relative(rootDir, goldenPath),
+    tenant: tenant.id,
+    catalog: offline ? path.relative(rootDir, catalogPath) : 'mongodb',
+    providers: {
+      llm: config.providers.llm,
+      completionModel: config.providers.llm === 'openai' ? config.openai.completionModel : null,
+      embeddings: config.providers.embeddings,
+      embeddingModel: config.providers.embeddings === 'openai' ? config.openai.embeddingModel : null,
+      vectorDb: config.vectorDb.type
+    },
+    promptVersions: [...new Set(results.map(result => result.promptVersion).filter(version => version !== null))].sort((a, b) => a - b),
+    summary: summarize(results),
+    cases: results
+  };
+
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+  console.log(`Report written to ${path.relative(rootDir, reportPath)}`);
+
+  const baseline = baselinePath ? JSON.parse(fs.readFileSync(baselinePath, 'utf8')) : null;
+  printSummary(report.summary, baseline ? baseline.summary : null);
+
+  if (recordPath) {
+    // Longest match first: the fake model uses the first entry found in the prompt
+    recordedCompletions.sort((a, b) => b.match.length - a.match.length);
+    fs.writeFileSync(recordPath, `${JSON.stringify(recordedCompletions, null, 2)}\n`);
+    console.log(`Recorded ${recordedCompletions.length} completions to ${path.relative(rootDir, recordPath)}`);
+  }
+
+  return report.summary.errors === 0;
+}
+
+// Everything runs for the selected tenant, so its catalog, vectors and prompt sets are used
+tenantService.run(tenant, async () => {
+  let succeeded = false;
+  try {
+    succeeded = await evaluate();
+  } catch (error) {
+    console.error('Evaluation failed:', error);
+  }
+  promptService.close();
+  await ragService.close();
+  await closeDatabase();
+  process.exit(succeeded ? 0 : 1);
+});
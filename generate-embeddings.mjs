@@ -1,15 +1,21 @@
 #!/usr/bin/env node
 
-import { RAGApplicationBuilder, SIMPLE_MODELS } from '@llm-tools/embedjs';
-import { OpenAiEmbeddings } from '@llm-tools/embedjs-openai';
-import { CsvLoader } from '@llm-tools/embedjs-loader-csv';
-import { QdrantDb } from '@llm-tools/embedjs-qdrant';
+import { RAGApplicationBuilder } from '@llm-tools/embedjs';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { createHash } from 'crypto';
 import { parse } from 'csv-parse/sync';
-import { initDatabase, importProductsFromCSV, closeDatabase } from './db.mjs';
+import { initDatabase, getProductEmbeddingHashes, upsertProducts, upsertEmbeddedProduct, deleteProductsBySKUs, closeDatabase } from './db.mjs';
+import { ProductLoader, getProductLoaderId, formatProductText, getProductMetadata } from './src/loaders/productLoader.js';
+import { config } from './src/config/index.js';
+import { createVectorDatabase } from './src/providers/vectorDatabase.js';
+import { createChatModel, createEmbeddingModel, usesOpenAi } from './src/providers/models.js';
+import ragService from './src/services/ragService.js';
+import tenantService from './src/services/tenantService.js';
+import cacheService from './src/services/cacheService.js';
+import semanticCacheService from './src/services/semanticCacheService.js';
 
 // Load environment variables and configuration
 dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), './.env') });
@@ -27,278 +33,246 @@ try {
 }
 
 // Configuration
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_API_KEY) {
-  console.error('Error: OPENAI_API_KEY is required');
+if (usesOpenAi() && !process.env.OPENAI_API_KEY) {
+  console.error('Error: OPENAI_API_KEY is required for the openai provider');
   process.exit(1);
 }
 
 // Apply configuration
 const SEARCH_RESULT_COUNT = parseInt(process.env.SEARCH_RESULT_COUNT || appConfig.rag.searchResultCount, 10);
 const TEMPERATURE = parseFloat(process.env.TEMPERATURE || appConfig.rag.temperature);
-const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE || appConfig.rag.embeddingBatchSize, 10);
 
-// Qdrant Configuration from environment variables
-const QDRANT_HOST = process.env.QDRANT_HOST;
-const QDRANT_HTTP_PORT = parseInt(process.env.QDRANT_HTTP_PORT, 10);
-const QDRANT_API_KEY = process.env.QDRANT_API_KEY; // Can be undefined if not set
-const QDRANT_COLLECTION_NAME = process.env.QDRANT_COLLECTION_NAME || 'product_embeddings';
+// Tenant whose catalog is synced: `--tenant <id>` or `--tenant=<id>`, the default tenant otherwise
+function getTenantArg() {
+  const args = process.argv.slice(2);
+  const index = args.findIndex(arg => arg === '--tenant' || arg.startsWith('--tenant='));
+  if (index === -1) return null;
+  return args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+}
+
+const tenantArg = getTenantArg();
+const tenant = tenantArg === null ? tenantService.getDefaultTenant() : tenantService.getTenantById(tenantArg);
+if (!tenant) {
+  console.error(`Error: Unknown tenant '${tenantArg}'. Tenants are configured in config/app.json`);
+  process.exit(1);
+}
+if (!tenant.csvPath) {
+  console.error(`Error: Tenant '${tenant.id}' has no csvPath in config/app.json`);
+  process.exit(1);
+}
 
 // Path configuration
-const csvPath = path.join(path.dirname(fileURLToPath(import.meta.url)), appConfig.dataLoader.csvPath);
+const csvPath = tenant.csvPath;
 const tempDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'temp_data');
-const PROGRESS_FILE_PATH = path.join(tempDir, 'embedding_progress.json');
-
-// Batching configuration
-const MAX_RECORDS_PER_SUB_BATCH = 1; // User-defined preferred records per sub-batch
-const MAX_CHARS_PER_API_BATCH = 750000; // Safeguard for API token limits
-
-function readLastProcessedRecordIndex() {
-  if (fs.existsSync(PROGRESS_FILE_PATH)) {
-    try {
-      const progressData = JSON.parse(fs.readFileSync(PROGRESS_FILE_PATH, 'utf8'));
-      if (progressData && typeof progressData.lastProcessedRecordIndex === 'number') {
-        return progressData.lastProcessedRecordIndex;
-      }
-    } catch (error) {
-      console.warn('Could not read or parse progress file. Starting from scratch.', error);
+// Written by the old index-based sync; its vectors cannot be mapped back to SKUs
+const LEGACY_PROGRESS_FILE_PATH = path.join(tempDir, 'embedding_progress.json');
+
+// Safeguard for API token limits
+const MAX_CHARS_PER_PRODUCT = 750000;
+
+// The metadata is part of the hash because it is stored in the vector payload:
+// vectors written before a field was added to it (or when its parsing changes) are re-embedded
+function hashProduct(text, metadata) {
+  return createHash('sha256').update(text).update(JSON.stringify(metadata)).digest('hex');
+}
+
+// Reads the CSV keyed by SKU. Rows without a SKU are skipped; for duplicate SKUs the last row wins.
+function readCatalog() {
+  console.log(`Reading products from ${csvPath}`);
+  const csvFileContent = fs.readFileSync(csvPath, 'utf8');
+  const allRecords = parse(csvFileContent, {
+    columns: true,
+    skip_empty_lines: true,
+  });
+  console.log(`Total records in CSV: ${allRecords.length}`);
+
+  const catalog = new Map();
+  allRecords.forEach((record, index) => {
+    const sku = record.sku ? record.sku.trim() : '';
+    if (!sku) {
+      console.warn(`Warning: Skipping record ${index + 1}, it has no SKU: ${JSON.stringify(record)}`);
+      return;
     }
-  }
-  return -1; // Indicates no prior progress or start from the beginning
+    if (catalog.has(sku)) {
+      console.warn(`Warning: Duplicate SKU ${sku} at record ${index + 1}, the later record is used.`);
+    }
+    catalog.set(sku, { ...record, sku });
+  });
+  return catalog;
 }
 
-function saveProgress(index) {
-  try {
-    fs.writeFileSync(PROGRESS_FILE_PATH, JSON.stringify({ lastProcessedRecordIndex: index }), 'utf8');
-  } catch (error) {
-    console.error('Failed to save progress:', error);
-  }
+async function buildRagApplication() {
+  console.log(`Storing embeddings in vector database: Type: '${config.vectorDb.type}', Collection: '${tenant.vectorCollection}'`);
+
+  return new RAGApplicationBuilder()
+    .setEmbeddingModel(createEmbeddingModel())
+    .setModel(createChatModel())
+    .setVectorDatabase(createVectorDatabase(tenant.vectorCollection))
+    .setTemperature(TEMPERATURE)
+    .setSearchResultCount(SEARCH_RESULT_COUNT)
+    .build();
 }
 
-async function importDataToSQLite() {
-  console.log('Step 1: Importing data to SQLite database...');
-  
-  // Initialize the database
+/**
+ * Brings MongoDB and the vector database in line with the CSV, by SKU.
+ * Each product's vectors live under their own loader ID and the products collection keeps
+ * the hash of the text they were built from, so only new or changed products are re-embedded
+ * and products that left the CSV are removed from both stores.
+ * A product's Mongo document is only written once its vectors are in place.
+ * @returns {Promise<number|null>} Number of products added, changed or removed, or null on failure
+ */
+async function syncCatalog() {
+  console.log('Step 1: Syncing product catalog by SKU...');
+
   const dbInitialized = await initDatabase();
   if (!dbInitialized) {
-    console.error('Failed to initialize SQLite database');
-    return false;
+    console.error('Failed to initialize MongoDB database');
+    return null;
   }
-  
-  // Import products from CSV
-  const importResult = await importProductsFromCSV(csvPath);
-  if (!importResult) {
-    console.error('Failed to import products to SQLite database');
-    return false;
-  }
-  
-  console.log('Successfully imported products to SQLite database');
-  return true;
-}
-
-async function generateEmbeddings() {
-  // Construct the Qdrant URL
-  const qdrantUrl = `http://${QDRANT_HOST}:${QDRANT_HTTP_PORT}`;
-  console.log('Step 2: Starting embedding generation process...');
-  console.log(`Loading products from ${csvPath}`);
-  console.log(`Storing embeddings in Qdrant: URL: '${qdrantUrl}', Collection (ClusterName): '${QDRANT_COLLECTION_NAME}'`);
 
   try {
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
+    const catalog = readCatalog();
+    const storedHashes = await getProductEmbeddingHashes();
+    if (!storedHashes) {
+      console.error('Failed to read the stored products from MongoDB');
+      return null;
     }
-    
-    console.log(`QdrantDb PRE-INIT (generate-embeddings): URL: '${qdrantUrl}', API Key: '${QDRANT_API_KEY ? "Exists" : "Not Set"}', ClusterName: '${QDRANT_COLLECTION_NAME}'`);
-
-    const ragApplication = await new RAGApplicationBuilder()
-      .setEmbeddingModel(new OpenAiEmbeddings({ batchSize: EMBEDDING_BATCH_SIZE }))
-      .setModel(SIMPLE_MODELS.OPENAI_GPT4_TURBO)
-      .setVectorDatabase(new QdrantDb({ 
-        url: qdrantUrl,                       // Correct: Pass the full URL
-        apiKey: QDRANT_API_KEY,               // Correct: Pass apiKey directly
-        clusterName: QDRANT_COLLECTION_NAME   // Correct: Use clusterName
-      }))
-      .setTemperature(TEMPERATURE)
-      .setSearchResultCount(SEARCH_RESULT_COUNT)
-      .build();
-
-    console.log('Reading CSV file...');
-    const csvFileContent = fs.readFileSync(csvPath, 'utf8');
-    const allRecords = parse(csvFileContent, {
-      columns: true,
-      skip_empty_lines: true,
-    });
-
-    console.log(`Total records in CSV: ${allRecords.length}`);
-
-    let lastProcessedRecordIndex = readLastProcessedRecordIndex();
-    let currentRecordIndex = lastProcessedRecordIndex + 1;
-
-    if (currentRecordIndex > 0 && currentRecordIndex < allRecords.length) {
-      console.log(`Resuming from record index ${currentRecordIndex} (approx ${Math.round((currentRecordIndex / allRecords.length) * 100)}% completed).`);
-    } else if (currentRecordIndex >= allRecords.length && allRecords.length > 0) {
-      console.log('All records seem to have been processed already based on progress file.');
-      return true;
+
+    // Only the default tenant existed when the old sync was used
+    const legacyVectors = !tenant.namespace && fs.existsSync(LEGACY_PROGRESS_FILE_PATH);
+    if (legacyVectors) {
+      console.log('Found vectors from the old index-based sync. They will be replaced by per-SKU vectors.');
     }
 
+    const productsToEmbed = [];
+    const unchangedProducts = [];
+    for (const [sku, record] of catalog) {
+      const text = formatProductText(record);
+      const metadata = getProductMetadata(record);
+      const embeddingHash = hashProduct(text, metadata);
+      if (!legacyVectors && storedHashes.get(sku) === embeddingHash) {
+        unchangedProducts.push(record);
+      } else {
+        productsToEmbed.push({ record, text, metadata, embeddingHash, replacesVectors: storedHashes.has(sku) });
+      }
+    }
+    const removedSkus = [...storedHashes.keys()].filter(sku => !catalog.has(sku));
+
+    console.log(`Catalog diff: ${productsToEmbed.length} new or changed, ${removedSkus.length} removed, ${unchangedProducts.length} unchanged.`);
+
+    // Fields that are not embedded (image, url) may still have changed
+    if (!(await upsertProducts(unchangedProducts))) {
+      console.error('Failed to update unchanged products in MongoDB');
+      return null;
+    }
+
+    if (productsToEmbed.length === 0 && removedSkus.length === 0 && !legacyVectors) {
+      console.log('Vector database is already in sync with the catalog.');
+      return 0;
+    }
+
+    console.log('Step 2: Updating vectors and products...');
+    const ragApplication = await buildRagApplication();
     const startTime = Date.now();
-    let overallProcessedCountInSession = 0;
-    let batchNumber = 0;
+    let changedCount = 0;
 
-    const header = allRecords.length > 0 ? Object.keys(allRecords[0]).join(',') : '';
-    if (!header) {
-        console.log("CSV file is empty or has no header.");
-        return true;
+    if (legacyVectors) {
+      await ragApplication.reset();
+      fs.unlinkSync(LEGACY_PROGRESS_FILE_PATH);
+      console.log('Removed vectors written by the old index-based sync.');
     }
-    // Define the single header for our formatted text representation
-    const formattedTextHeader = "product_text_representation"; 
-
-    while (currentRecordIndex < allRecords.length) {
-      batchNumber++;
-      let subBatchRecords = [];
-      let subBatchChars = 0;
-      const subBatchStartIndex = currentRecordIndex;
-
-      // Create a sub-batch respecting MAX_RECORDS_PER_SUB_BATCH and MAX_CHARS_PER_API_BATCH
-      for (let i = 0; i < MAX_RECORDS_PER_SUB_BATCH && currentRecordIndex < allRecords.length; ++i) {
-        const record = allRecords[currentRecordIndex];
-        const recordString = Object.values(record).join(',');
-        const recordChars = recordString.length;
-
-        if (subBatchRecords.length > 0 && (subBatchChars + recordChars > MAX_CHARS_PER_API_BATCH)) {
-          break; // This record would make the sub-batch too large in characters
-        }
-        
-        subBatchRecords.push(record);
-        subBatchChars += recordChars;
-        currentRecordIndex++;
-
-        if (subBatchChars >= MAX_CHARS_PER_API_BATCH) {
-            break; // Sub-batch char limit reached
-        }
+
+    // Vectors go first so a product is never left in Mongo without them
+    for (const sku of removedSkus) {
+      await ragApplication.deleteLoader(getProductLoaderId(sku));
+      if ((await deleteProductsBySKUs([sku])) === null) {
+        throw new Error(`Failed to delete product ${sku} from MongoDB`);
       }
-      
-      if (subBatchRecords.length === 0) {
-        if (currentRecordIndex < allRecords.length) { // If there are still records, means one record is too big
-            console.error(`Error: Record at index ${currentRecordIndex} is too large by itself (~${allRecords[currentRecordIndex] ? Object.values(allRecords[currentRecordIndex]).join(',').length : 0} chars) and exceeds MAX_CHARS_PER_API_BATCH (${MAX_CHARS_PER_API_BATCH}). Skipping this record.`);
-            saveProgress(currentRecordIndex); // Mark as processed/skipped
-            currentRecordIndex++; // Move to the next record
-            overallProcessedCountInSession++; // Count as processed for session log
-            continue; // Skip to the next iteration of the main while loop
-        } else {
-            break; // No more records
-        }
+      changedCount++;
+      console.log(`Removed product ${sku}`);
+    }
+
+    for (const { record, text, metadata, embeddingHash, replacesVectors } of productsToEmbed) {
+      if (text.length > MAX_CHARS_PER_PRODUCT) {
+        console.error(`Error: Product ${record.sku} is too large (~${text.length} chars) and exceeds MAX_CHARS_PER_PRODUCT (${MAX_CHARS_PER_PRODUCT}). Skipping this product.`);
+        continue;
       }
 
-      console.log(`Processing API batch ${batchNumber} (records ${subBatchStartIndex + 1} to ${currentRecordIndex}) with ${subBatchRecords.length} records, ~${subBatchChars} characters...`);
-
-      const batchFilePath = path.join(tempDir, `_temp_api_batch_${batchNumber}.csv`);
-      
-      // Create the formatted text representation for each product
-      const formattedProductTexts = subBatchRecords.map(record => {
-        const filteredRecord = {...record};
-        delete filteredRecord.image;
-        delete filteredRecord.url;
-        
-        // Ensure SKU is present and properly formatted (though it will be part of the text)
-        if (!filteredRecord.sku || filteredRecord.sku.trim() === '') {
-          console.warn(`Warning: Record is missing a valid SKU (will still be processed): ${JSON.stringify(record)}`);
-        }
-        
-        // Construct the "FieldName: Value" string
-        // Use original header field names for clarity if possible, or just iterate keys
-        // For this example, let's use the keys from the filteredRecord directly
-        let textRepresentation = Object.entries(filteredRecord)
-          .map(([key, value]) => `${key.charAt(0).toUpperCase() + key.slice(1)}: ${String(value).trim()}`)
-          .join('\n');
-        
-        return textRepresentation;
-      });
-
-      // The CSV lines will now be just the formatted texts, each needing to be a single CSV field (quoted if it contains newlines)
-      const csvLines = formattedProductTexts.map(text => {
-        // Ensure the entire multi-line text is treated as a single CSV field
-        // by quoting it and escaping internal quotes.
-        const strValue = String(text);
-        if (strValue.includes(',') || strValue.includes('\"') || strValue.includes('\n')) {
-          return `\"${strValue.replace(/\"/g, '\"\"')}\"`
-        }
-        return strValue;
-      });
-      
-      // Log SKU check for the first few records (from the original subBatchRecords)
-      if (batchNumber === 1 && subBatchRecords.length > 0) {
-        console.log("SKU Check for first record in first batch:");
-        console.log(`Record 1 - SKU: ${subBatchRecords[0].sku || 'MISSING'}`);
+      if (replacesVectors && !legacyVectors) {
+        await ragApplication.deleteLoader(getProductLoaderId(record.sku));
+      }
+      await ragApplication.addLoader(new ProductLoader({ sku: record.sku, text, metadata }));
+      if (!(await upsertEmbeddedProduct(record, embeddingHash))) {
+        throw new Error(`Failed to store product ${record.sku} in MongoDB`);
       }
 
-      fs.writeFileSync(batchFilePath, [formattedTextHeader, ...csvLines].join('\n'));
-      console.log(`Created temporary batch file with formatted text for ${subBatchRecords.length} records`);
-
-      try {
-        await ragApplication.addLoader(new CsvLoader({ filePathOrUrl: batchFilePath }));
-        saveProgress(currentRecordIndex - 1); // Save progress after successful API call
-        overallProcessedCountInSession += subBatchRecords.length;
-        console.log(`Processed ${currentRecordIndex} of ${allRecords.length} records total (${Math.round((currentRecordIndex / allRecords.length) * 100)}%). This session: ${overallProcessedCountInSession} records.`);
-      } catch (e) {
-        console.error(`Error processing API batch file ${batchFilePath} (records ${subBatchStartIndex + 1} to ${currentRecordIndex}):`, e.message);
-        if (e.stack) console.error(e.stack);
-        console.error(`This batch had ${subBatchRecords.length} records and ~${subBatchChars} characters.`);
-        // Do NOT save progress here, so it retries this batch next time
-        throw e; // Re-throw to stop the process, will resume from before this batch next run
-      } finally {
-        if (fs.existsSync(batchFilePath)) {
-            fs.unlinkSync(batchFilePath);
-        }
+      changedCount++;
+      if (changedCount % 100 === 0) {
+        console.log(`Synced ${changedCount} of ${productsToEmbed.length + removedSkus.length} changed products...`);
       }
     }
 
-    const endTime = Date.now();
-    if (overallProcessedCountInSession > 0) {
-        console.log(`Embeddings generation session completed successfully in ${(endTime - startTime) / 1000} seconds`);
-    } else if (currentRecordIndex >= allRecords.length) {
-        console.log("No new records processed in this session. All records were likely processed previously.");
-    }
+    console.log(`Catalog sync completed in ${(Date.now() - startTime) / 1000} seconds: ${changedCount} products added, changed or removed.`);
     console.log('Vector database is ready for use by the API');
-
-    return true;
+    return changedCount;
   } catch (error) {
-    // Error from outside the loop or re-thrown from inside
-    console.error('Critical error during embedding generation:', error.message);
+    // Products synced before the failure keep their hash, so the next run resumes from here
+    console.error('Critical error during catalog sync:', error.message);
     if (error.stack) {
         console.error(error.stack);
     }
+    return null;
+  }
+}
+
+// Cached answers can reference old prices and removed SKUs once the catalog changes
+async function purgeAnswerCache() {
+  console.log('Step 3: Purging cached answers after catalog changes...');
+
+  try {
+    await ragService.initializeStore(tenant);
+    cacheService.initialize(ragService.mongoStores);
+    semanticCacheService.initialize(ragService.mongoStores, null, null);
+    const deleted = await cacheService.clearAllCache();
+    const semanticDeleted = await semanticCacheService.clearAllCache();
+    console.log(`Purged ${deleted} cached answers and ${semanticDeleted} semantic cache entries`);
+    return true;
+  } catch (error) {
+    console.error('Failed to purge cached answers:', error.message);
     return false;
   }
 }
 
-// Execute both data import and embedding generation
-(async () => {
+// Sync the catalog, then drop answers that may reference changed products.
+// Everything runs for the selected tenant, so db.mjs and the services use its collections.
+tenantService.run(tenant, async () => {
   try {
-    console.log("=== Starting combined data import and embedding generation ===");
+    console.log(`=== Starting catalog sync and embedding generation for tenant '${tenant.id}' ===`);
     
-    // Step 1: Import data to SQLite
-    const sqliteImportSuccess = await importDataToSQLite();
-    if (!sqliteImportSuccess) {
-      console.error('Failed to import data to SQLite. Stopping process.');
+    // Steps 1 and 2: Sync products and their embeddings
+    const changedCount = await syncCatalog();
+    if (changedCount === null) {
+      console.error('Catalog sync failed or was interrupted. Run the script again to resume.');
+      await closeDatabase();
       process.exit(1);
     }
     
-    // Step 2: Generate embeddings
-    const embeddingsSuccess = await generateEmbeddings();
-    if (!embeddingsSuccess) {
-      console.error('Embedding generation failed or was interrupted.');
-      process.exit(1);
+    // Step 3: Purge cached answers (not fatal: they also expire after the configured TTL)
+    if (changedCount > 0) {
+      const cachePurgeSuccess = await purgeAnswerCache();
+      if (!cachePurgeSuccess) {
+        console.warn('Cached answers were not purged. Flush them with DELETE /admin/cache once the API is running.');
+      }
     }
     
     // Close database connection
     await closeDatabase();
     
-    console.log('=== Data import and embedding generation completed successfully ===');
+    console.log('=== Catalog sync and embedding generation completed successfully ===');
     process.exit(0);
   } catch (error) {
     console.error('Unexpected error during process:', error);
     await closeDatabase();
     process.exit(1);
   }
-})(); 
\ No newline at end of file
+}); 
@@ -24,6 +24,7 @@ export declare class MongoStore implements BaseStore {
     loaderCustomSet<T extends Record<string, unknown>>(loaderId: string, key: string, value: T): Promise<void>;
     loaderCustomGet<T extends Record<string, unknown>>(key: string): Promise<T>;
     loaderCustomHas(key: string): Promise<boolean>;
+    loaderCustomKeys(keyPrefix: string): Promise<string[]>;
     loaderCustomDelete(key: string): Promise<void>;
     deleteLoaderMetadataAndCustomValues(loaderId: string): Promise<void>;
     addConversation(conversationId: string): Promise<void>;
@@ -95,6 +95,13 @@ export class MongoStore {
     async loaderCustomHas(key) {
         return !!(await this.customDataCollection.findOne({ key }));
     }
+    async loaderCustomKeys(keyPrefix) {
+        const escapedPrefix = keyPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const results = await this.customDataCollection
+            .find({ key: { $regex: `^${escapedPrefix}` } }, { projection: { key: 1 } })
+            .toArray();
+        return results.map((result) => result.key);
+    }
     async loaderCustomDelete(key) {
         await this.customDataCollection.deleteOne({ key });
     }
@@ -122,6 +122,14 @@ export class MongoStore implements BaseStore {
         return !!(await this.customDataCollection.findOne({ key }));
     }
 
+    async loaderCustomKeys(keyPrefix: string): Promise<string[]> {
+        const escapedPrefix = keyPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const results = await this.customDataCollection
+            .find({ key: { $regex: `^${escapedPrefix}` } }, { projection: { key: 1 } })
+            .toArray();
+        return results.map((result) => result.key);
+    }
+
     async loaderCustomDelete(key: string): Promise<void> {
         await this.customDataCollection.deleteOne({ key });
     }
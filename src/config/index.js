@@ -2,6 +2,7 @@ import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
 
 // Load environment variables
 dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), '../../.env') });
@@ -13,35 +14,117 @@ try {
   const appConfigPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../config/app.json');
   const appConfigContent = fs.readFileSync(appConfigPath, 'utf8');
   appConfig = JSON.parse(appConfigContent);
-  console.log("App configuration loaded from config/app.json");
+  logger.info('App configuration loaded from config/app.json');
   
   const promptConfigPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../config/prompts.json');
   const promptConfigContent = fs.readFileSync(promptConfigPath, 'utf8');
   promptConfig = JSON.parse(promptConfigContent);
-  console.log("Prompt configuration loaded from config/prompts.json");
+  logger.info('Prompt configuration loaded from config/prompts.json');
 } catch (error) {
-  console.error("Error loading configuration:", error.message);
+  logger.error('Error loading configuration', { error });
   process.exit(1);
 }
 
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Qdrant keeps its own collection setting; the other backends use vectorDb.collectionName
+const vectorDbType = (process.env.VECTOR_DB_TYPE || appConfig.vectorDb?.type || 'qdrant').toLowerCase();
+const qdrantCollectionName = process.env.QDRANT_COLLECTION_NAME || 'product_embeddings';
+const vectorCollectionName = vectorDbType === 'qdrant'
+  ? qdrantCollectionName
+  : process.env.VECTOR_DB_COLLECTION_NAME || appConfig.vectorDb?.collectionName || 'products';
+
 // Configuration
 const config = {
   server: {
     port: process.env.PORT || appConfig.server.port,
   },
+  validation: {
+    maxQueryLength: parseInt(process.env.CHAT_MAX_QUERY_LENGTH || (appConfig.validation?.maxQueryLength ?? 1000), 10),
+  },
+  health: {
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || (appConfig.health?.checkTimeoutMs ?? 2000), 10),
+  },
+  metrics: {
+    enabled: (process.env.METRICS_ENABLED ?? String(appConfig.metrics?.enabled ?? true)) === 'true',
+  },
+  logging: {
+    level: (process.env.LOG_LEVEL || appConfig.logging?.level || 'info').toLowerCase(),
+    redactPii: (process.env.LOG_REDACT_PII ?? String(appConfig.logging?.redactPii ?? true)) === 'true',
+  },
+  auth: {
+    apiKeys: process.env.API_KEYS || '',
+    jwtSecret: process.env.JWT_SECRET,
+    jwtIssuer: process.env.JWT_ISSUER,
+    jwtAudience: process.env.JWT_AUDIENCE,
+    allowAnonymous: (process.env.AUTH_ALLOW_ANONYMOUS ?? String(appConfig.auth?.allowAnonymous ?? true)) === 'true',
+  },
+  rateLimit: {
+    enabled: (process.env.RATE_LIMIT_ENABLED ?? String(appConfig.rateLimit?.enabled ?? true)) === 'true',
+    store: (process.env.RATE_LIMIT_STORE || appConfig.rateLimit?.store || 'memory').toLowerCase(),
+    requestsPerMinute: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE || (appConfig.rateLimit?.requestsPerMinute ?? 20), 10),
+    requestsPerDay: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_DAY || (appConfig.rateLimit?.requestsPerDay ?? 500), 10),
+    tokensPerDay: parseInt(process.env.RATE_LIMIT_TOKENS_PER_DAY || (appConfig.rateLimit?.tokensPerDay ?? 500000), 10),
+  },
+  providers: {
+    llm: (process.env.LLM_PROVIDER || appConfig.providers?.llm || 'openai').toLowerCase(),
+    embeddings: (process.env.EMBEDDING_PROVIDER || appConfig.providers?.embeddings || 'openai').toLowerCase(),
+  },
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
+    completionModel: process.env.OPENAI_COMPLETION_MODEL || appConfig.openai?.completionModel || 'gpt-4o',
+    embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || appConfig.openai?.embeddingModel || 'text-embedding-3-small',
+    // Only needed for embedding models whose size the embedjs OpenAI provider does not know
+    embeddingDimensions: parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS || appConfig.openai?.embeddingDimensions, 10) || undefined,
+  },
+  fake: {
+    embeddingDimensions: parseInt(process.env.FAKE_EMBEDDING_DIMENSIONS || (appConfig.fake?.embeddingDimensions ?? 256), 10),
+    completionsPath: (process.env.FAKE_COMPLETIONS_PATH || appConfig.fake?.completionsPath)
+      ? path.resolve(rootDir, process.env.FAKE_COMPLETIONS_PATH || appConfig.fake.completionsPath)
+      : null,
   },
   rag: {
     searchResultCount: parseInt(process.env.SEARCH_RESULT_COUNT || appConfig.rag.searchResultCount, 10),
     temperature: parseFloat(process.env.TEMPERATURE || appConfig.rag.temperature),
     embeddingBatchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE || appConfig.rag.embeddingBatchSize, 10),
+    maxRepairAttempts: parseInt(process.env.MAX_REPAIR_ATTEMPTS || (appConfig.rag.maxRepairAttempts ?? 1), 10),
+  },
+  retrieval: {
+    rrfK: parseInt(process.env.RETRIEVAL_RRF_K || (appConfig.retrieval?.rrfK ?? 60), 10),
+    candidatesPerSource: parseInt(process.env.RETRIEVAL_CANDIDATES_PER_SOURCE || (appConfig.retrieval?.candidatesPerSource ?? 20), 10),
+    filteredVectorCandidates: parseInt(process.env.RETRIEVAL_FILTERED_VECTOR_CANDIDATES || (appConfig.retrieval?.filteredVectorCandidates ?? 100), 10),
+  },
+  memory: {
+    extractionIntervalTurns: parseInt(process.env.MEMORY_EXTRACTION_INTERVAL_TURNS || (appConfig.memory?.extractionIntervalTurns ?? 3), 10),
+    maxPromptFacts: parseInt(process.env.MEMORY_MAX_PROMPT_FACTS || (appConfig.memory?.maxPromptFacts ?? 15), 10),
+  },
+  locales: {
+    default: (process.env.DEFAULT_LOCALE || appConfig.locales?.default || 'en').toLowerCase(),
+    supported: (process.env.SUPPORTED_LOCALES ? process.env.SUPPORTED_LOCALES.split(',') : appConfig.locales?.supported ?? ['en'])
+      .map(locale => locale.trim().toLowerCase())
+      .filter(Boolean),
+  },
+  prompts: {
+    refreshIntervalSeconds: parseInt(process.env.PROMPTS_REFRESH_INTERVAL_SECONDS || (appConfig.prompts?.refreshIntervalSeconds ?? 30), 10),
+  },
+  cache: {
+    ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS || (appConfig.cache?.ttlSeconds ?? 86400), 10),
+  },
+  semanticCache: {
+    enabled: (process.env.SEMANTIC_CACHE_ENABLED ?? String(appConfig.semanticCache?.enabled ?? false)) === 'true',
+    similarityThreshold: parseFloat(process.env.SEMANTIC_CACHE_SIMILARITY_THRESHOLD || (appConfig.semanticCache?.similarityThreshold ?? 0.95)),
+    collectionName: process.env.SEMANTIC_CACHE_COLLECTION_NAME || `${vectorCollectionName}_semantic_cache`,
+  },
+  vectorDb: {
+    type: vectorDbType,
+    path: path.resolve(rootDir, process.env.VECTOR_DB_PATH || appConfig.vectorDb?.path || 'vectordb'),
+    collectionName: vectorCollectionName,
   },
   qdrant: {
     host: process.env.QDRANT_HOST,
     httpPort: parseInt(process.env.QDRANT_HTTP_PORT, 10),
     apiKey: process.env.QDRANT_API_KEY,
-    collectionName: process.env.QDRANT_COLLECTION_NAME || 'product_embeddings',
+    collectionName: qdrantCollectionName,
   },
   mongo: {
     host: process.env.MONGO_HOST,
@@ -55,8 +138,65 @@ const config = {
       memories: process.env.MONGO_COLLECTION_MEMORIES || 'rag_memories',
       cache: process.env.MONGO_COLLECTION_CACHE || 'rag_cache',
       products: process.env.MONGO_COLLECTION_PRODUCTS || 'products',
+      hallucinations: process.env.MONGO_COLLECTION_HALLUCINATIONS || 'rag_hallucinations',
+      rateLimits: process.env.MONGO_COLLECTION_RATE_LIMITS || 'rate_limits',
+      tokenUsage: process.env.MONGO_COLLECTION_TOKEN_USAGE || 'token_usage',
+      feedback: process.env.MONGO_COLLECTION_FEEDBACK || 'rag_feedback',
+      promptSets: process.env.MONGO_COLLECTION_PROMPT_SETS || 'rag_prompt_sets',
+      promptDeployments: process.env.MONGO_COLLECTION_PROMPT_DEPLOYMENTS || 'rag_prompt_deployments',
     }
   }
 };
 
-export { config, appConfig, promptConfig }; 
\ No newline at end of file
+// Locales are language codes, which are also the suffixes of localized catalog columns (e.g. `name_ar`)
+const LOCALE_PATTERN = /^[a-z]{2,3}$/;
+if (!config.locales.supported.every(locale => LOCALE_PATTERN.test(locale)) || !config.locales.supported.includes(config.locales.default)) {
+  logger.error('Invalid locales: supported locales must be language codes and include the default locale', { locales: config.locales });
+  process.exit(1);
+}
+
+/**
+ * Tenants (storefronts) served by this instance. The default tenant uses the collections configured above
+ * and config/prompts.json. Every tenant listed in `tenants` of config/app.json gets its own products
+ * collection, vector collection, prompt set and, through its `namespace`, its own conversation, memory,
+ * cache, feedback and usage collections (the base collection names suffixed with `_<id>`).
+ */
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const defaultPromptsPath = path.join(rootDir, 'config/prompts.json');
+
+function buildTenants() {
+  const tenants = [{
+    id: DEFAULT_TENANT_ID,
+    namespace: null,
+    productsCollection: config.mongo.collections.products,
+    vectorCollection: config.vectorDb.collectionName,
+    semanticCacheCollection: config.semanticCache.collectionName,
+    promptsPath: defaultPromptsPath,
+    csvPath: path.resolve(rootDir, appConfig.dataLoader.csvPath),
+  }];
+
+  for (const tenant of appConfig.tenants || []) {
+    if (!TENANT_ID_PATTERN.test(tenant.id || '') || tenants.some(existing => existing.id === tenant.id)) {
+      logger.error('Invalid or duplicate tenant ID in config/app.json', { tenantId: tenant.id, expected: TENANT_ID_PATTERN.source });
+      process.exit(1);
+    }
+    const vectorCollection = tenant.vectorCollection || `${config.vectorDb.collectionName}_${tenant.id}`;
+    tenants.push({
+      id: tenant.id,
+      namespace: tenant.id,
+      productsCollection: tenant.productsCollection || `${config.mongo.collections.products}_${tenant.id}`,
+      vectorCollection,
+      semanticCacheCollection: `${vectorCollection}_semantic_cache`,
+      promptsPath: tenant.promptsPath ? path.resolve(rootDir, tenant.promptsPath) : defaultPromptsPath,
+      csvPath: tenant.csvPath ? path.resolve(rootDir, tenant.csvPath) : null,
+    });
+  }
+  return tenants;
+}
+
+config.tenants = buildTenants();
+
+logger.configure(config.logging);
+
+export { config, appConfig, promptConfig, DEFAULT_TENANT_ID }; 
\ No newline at end of file
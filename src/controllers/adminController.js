@@ -0,0 +1,156 @@
+import { getTokenUsageSummary, createPromptSet, getPromptSets, getPromptDeployments, recordPromptDeployment } from '../../db.mjs';
+import cacheService from '../services/cacheService.js';
+import semanticCacheService from '../services/semanticCacheService.js';
+import promptService from '../services/promptService.js';
+import logger from '../utils/logger.js';
+
+// Flushes cached answers for one user (?userId=), for one SKU (?sku=) or entirely.
+// The semantic cache is shared by all users, so it is only flushed by SKU or entirely.
+export async function flushCache(req, res) {
+  if (!cacheService.mongoStore) {
+    return res.status(503).json({ error: 'Cache service not initialized yet' });
+  }
+
+  const { userId, sku } = req.query;
+  if (userId && sku) {
+    return res.status(400).json({ error: 'Specify either userId or sku, not both' });
+  }
+
+  try {
+    let deleted;
+    let semanticDeleted = 0;
+    if (userId) {
+      deleted = await cacheService.clearUserCache(userId);
+    } else if (sku) {
+      deleted = await cacheService.clearCacheForSku(sku);
+      semanticDeleted = await semanticCacheService.clearCacheForSku(sku);
+    } else {
+      deleted = await cacheService.clearAllCache();
+      semanticDeleted = await semanticCacheService.clearAllCache();
+    }
+
+    res.json({ scope: userId ? 'user' : sku ? 'sku' : 'all', userId, sku, deleted, semanticDeleted });
+  } catch (error) {
+    logger.error('Error flushing cache', { error });
+    res.status(500).json({ error: 'Error flushing cache' });
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Token use per user and endpoint over ?from= to ?to= (ISO dates, default: the last 7 days), optionally for one ?userId=
+export async function getTokenUsage(req, res) {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * DAY_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return res.status(400).json({ error: 'from and to must be ISO dates with from before to' });
+  }
+
+  const usage = await getTokenUsageSummary({ from, to, userId: req.query.userId });
+  if (!usage) {
+    return res.status(500).json({ error: 'Error reading token usage' });
+  }
+  res.json({ from: from.toISOString(), to: to.toISOString(), usage });
+}
+
+// Deployments searched when rolling back
+const MAX_PROMPT_DEPLOYMENT_HISTORY = 50;
+
+// The live prompt deployment, recent deployments and every stored prompt set version (without the prompt texts)
+export async function listPrompts(req, res) {
+  const [deployments, versions] = await Promise.all([
+    getPromptDeployments(MAX_PROMPT_DEPLOYMENT_HISTORY),
+    getPromptSets(undefined, { includePrompts: false })
+  ]);
+  if (!deployments || !versions) {
+    return res.status(500).json({ error: 'Error reading prompt sets' });
+  }
+  res.json({ live: promptService.getDeployment(), deployments, versions });
+}
+
+export async function getPromptSet(req, res) {
+  const version = parseInt(req.params.version, 10);
+  if (!Number.isInteger(version) || String(version) !== req.params.version) {
+    return res.status(400).json({ error: 'version must be an integer' });
+  }
+
+  const promptSets = await getPromptSets([version]);
+  if (!promptSets) {
+    return res.status(500).json({ error: 'Error reading prompt sets' });
+  }
+  if (promptSets.length === 0) {
+    return res.status(404).json({ error: `Prompt set version ${version} not found` });
+  }
+  res.json(promptSets[0]);
+}
+
+// Records a deployment and applies it on this instance right away; other instances pick it up on their next refresh.
+// Its prompt sets are loaded first: a deployment that cannot go live is not stored, or every instance would keep retrying it.
+async function deployPrompts(res, deployment) {
+  if (!(await promptService.loadVariants(deployment.variants))) {
+    res.status(500).json({ error: 'Prompt sets of the deployment could not be loaded; the deployment was not stored' });
+    return false;
+  }
+  if (!(await recordPromptDeployment(deployment))) {
+    res.status(500).json({ error: 'Error storing prompt deployment' });
+    return false;
+  }
+  await promptService.refresh();
+  logger.info('Prompt deployment changed', { action: deployment.action, variants: deployment.variants, createdBy: deployment.createdBy });
+  return true;
+}
+
+// Stores a new prompt set version (body checked against createPromptSetRequestSchema) and, unless `publish` is false, sends every user to it
+export async function createPrompts(req, res) {
+  const { prompts, description = null, publish = true } = req.body;
+  const createdBy = req.auth.userId;
+
+  const version = await createPromptSet({ prompts, description, createdBy });
+  if (version === null) {
+    return res.status(500).json({ error: 'Error storing prompt set' });
+  }
+  if (publish && !(await deployPrompts(res, { variants: [{ version, weight: 100 }], action: 'publish', createdBy }))) return;
+
+  res.status(201).json({ version, published: publish, live: promptService.getDeployment() });
+}
+
+// Splits users across prompt set versions (body checked against promptDeploymentRequestSchema)
+export async function updatePromptDeployment(req, res) {
+  const { variants } = req.body;
+  const versions = variants.map(variant => variant.version);
+
+  if (new Set(versions).size !== versions.length) {
+    return res.status(400).json({ error: 'Each version may only appear once' });
+  }
+  if (variants.reduce((total, variant) => total + variant.weight, 0) !== 100) {
+    return res.status(400).json({ error: 'Variant weights must add up to 100' });
+  }
+
+  const promptSets = await getPromptSets(versions, { includePrompts: false });
+  if (!promptSets) {
+    return res.status(500).json({ error: 'Error reading prompt sets' });
+  }
+  const unknownVersions = versions.filter(version => !promptSets.some(set => set.version === version));
+  if (unknownVersions.length > 0) {
+    return res.status(404).json({ error: `Unknown prompt set versions: ${unknownVersions.join(', ')}` });
+  }
+
+  if (!(await deployPrompts(res, { variants, action: 'publish', createdBy: req.auth.userId }))) return;
+  res.json({ live: promptService.getDeployment() });
+}
+
+// Restores the deployment before the live one. A rollback of a rollback goes further back instead of undoing it.
+export async function rollbackPrompts(req, res) {
+  const deployments = await getPromptDeployments(MAX_PROMPT_DEPLOYMENT_HISTORY);
+  if (!deployments) {
+    return res.status(500).json({ error: 'Error reading prompt deployments' });
+  }
+
+  const target = promptService.getRollbackTarget(deployments);
+  if (!target) {
+    return res.status(409).json({ error: 'No earlier prompt deployment to roll back to' });
+  }
+
+  if (!(await deployPrompts(res, { variants: target.variants, action: 'rollback', createdBy: req.auth.userId, rolledBackTo: target.id }))) return;
+  res.json({ rolledBackTo: target.id, live: promptService.getDeployment() });
+}
@@ -1,138 +1,400 @@
-import { getProductsBySKUs } from '../../db.mjs';
+import { randomUUID } from 'crypto';
+import { getProductsBySKUs, recordHallucination } from '../../db.mjs';
 import ragService from '../services/ragService.js';
 import cacheService from '../services/cacheService.js';
-import memoryService from '../services/memoryService.js';
-import { promptConfig } from '../config/index.js';
+import semanticCacheService from '../services/semanticCacheService.js';
+import memoryService, { DEFAULT_CONVERSATION_ID } from '../services/memoryService.js';
+import metricsService from '../services/metricsService.js';
+import retrievalService from '../services/retrievalService.js';
+import promptService from '../services/promptService.js';
+import { config } from '../config/index.js';
+import { initSse, sendSseEvent } from '../utils/sse.js';
+import { AnswerStreamParser } from '../utils/answerStreamParser.js';
+import { getResultText, parseLlmResponse, findUnmatchedProductMentions } from '../utils/llmResponse.js';
+import logger from '../utils/logger.js';
+import { buildProductFilters } from '../utils/productFilters.js';
+import { resolveLocale, localizeProduct } from '../utils/locale.js';
+import { ApiError, ERROR_CODES, sendError, toErrorResponse } from '../utils/errors.js';
 
-export async function handleQuery(req, res, endpointName) {
-  console.log(`[${endpointName}] Request received for user: ${req.body.userId || 'default_user'}`);
-  const userQuery = req.body.query || req.body.question;
+const QUERY_TIMEOUT_MS = 15000;
+const FORMATTING_FALLBACK_PREFIX = 'I had a little trouble formatting my response';
+
+// Anonymous callers share exact-cache entries; their cache keys still include the request's profile fields
+const ANONYMOUS_CACHE_USER_ID = 'anonymous';
+
+// Resolves the request into the fields every chat handler needs. The body has already been
+// checked against chatRequestSchema (see routes/index.js). The user comes from the verified credentials (see middleware/auth.js), never from the body.
+// Anonymous callers run stateless: no memory or history is read or written.
+// `promptSubject` picks the prompt variant: the user, or for anonymous callers a random ID generated here
+// (not the client-supplied request ID, which would let a caller choose its variant), so they are split at random.
+// `locale` is the language of the answer: the request's `locale`, or the one detected from the query.
+function parseChatRequest(req) {
   const user = req.body.user || {};
-  const userId = user.id || req.body.userId || req.query.userId || 'default_user';
-  const userName = user.name || '';
-  const children = user.children || [];
+  const stateless = !!req.auth.anonymous;
+  const { maxPrice, category, brand } = req.body;
+  const userQuery = req.body.query || req.body.question;
+  return {
+    userQuery,
+    locale: resolveLocale(req.body.locale, userQuery),
+    userId: stateless ? null : req.auth.userId,
+    stateless,
+    conversationId: stateless ? null : (req.body.conversationId || req.body.sessionId || DEFAULT_CONVERSATION_ID),
+    promptSubject: stateless ? randomUUID() : req.auth.userId,
+    userName: user.name || '',
+    children: user.children || [],
+    // Undefined fields are left out of the cache key, so requests without filters keep their old keys
+    requestFilters: { maxPrice, category, brand }
+  };
+}
+
+// Steps 2-4: memory retrieval, prompt building and conversation history.
+// Also reports whether the prompt carries anything user- or request-specific, which keeps it out of the shared semantic cache.
+async function buildPrompt({ endpointName, userId, stateless, conversationId, userName, children, requestFilters, userQuery, locale, prompts }) {
+  const longTermMemoryContext = stateless ? '' :
+    await metricsService.timeStage(endpointName, 'memory_fetch', () => memoryService.getConversationMemory(userId, userQuery));
+
+  const { systemPreamble, answerFieldDetails, answerLanguageInstruction, relatedProductsFieldDetails, closingInstruction } = promptService.localize(prompts, locale);
+  let promptForRAG = `${systemPreamble}\n\n${answerFieldDetails}\n\n`;
+  if (answerLanguageInstruction) promptForRAG += `${answerLanguageInstruction}\n\n`;
+  promptForRAG += `${relatedProductsFieldDetails}\n\n`;
 
-  if (!userQuery) {
-    console.log(`[${endpointName}] Query is missing.`);
-    return res.status(400).json({ answer: "Query is required.", relatedProducts: [] });
+  if (userName || (children && children.length > 0)) {
+    promptForRAG += `User profile:\n`;
+    if (userName) promptForRAG += `- Name: ${userName}\n`;
+    if (children.length > 0) {
+      promptForRAG += `- Children:\n`;
+      for (const child of children) {
+        promptForRAG += `  - Name: ${child.name || ''}, Age: ${child.age || ''}, Gender: ${child.gender || ''}, Birthday: ${child.birthday || ''}\n`;
+      }
+    }
+    promptForRAG += '\n';
   }
 
-  if (!ragService.ragApplication || !promptConfig) {
-    console.error(`[${endpointName}] Critical component not initialized: RAG: ${!!ragService.ragApplication}, PromptConfig: ${!!promptConfig}`);
-    return res.status(503).json({
-      answer: `RAG system or prompt configuration not initialized yet for ${endpointName}`,
+  const { maxPrice, category, brand } = requestFilters;
+  const hasRequestFilters = maxPrice !== undefined || !!category || !!brand;
+  if (hasRequestFilters) {
+    promptForRAG += `Only recommend products that match:\n`;
+    if (maxPrice !== undefined) promptForRAG += `- Price: at most ${maxPrice}\n`;
+    if (category) promptForRAG += `- Category: ${category}\n`;
+    if (brand) promptForRAG += `- Brand: ${brand}\n`;
+    promptForRAG += '\n';
+  }
+
+  if (longTermMemoryContext && longTermMemoryContext.trim() !== "") {
+    promptForRAG += `Relevant past information for ${userId}:\n${longTermMemoryContext}\n\n`;
+  }
+
+  const conversationData = stateless ? null :
+    await metricsService.timeStage(endpointName, 'history_fetch', () => memoryService.getConversationHistory(userId, conversationId));
+  const currentEntries = (conversationData && conversationData.entries) ? conversationData.entries : [];
+  const limitedHistoryEntries = currentEntries.slice(-10);
+  const shortTermHistoryText = limitedHistoryEntries.map(turn => `${turn.role}: ${turn.content}`).join("\n");
+
+  if (shortTermHistoryText) {
+    promptForRAG += `Current conversation history:\n${shortTermHistoryText}\n\n`;
+  }
+
+  promptForRAG += `User's current query: ${userQuery}\n\n${closingInstruction}`;
+
+  const hasPersonalContext = !!userName || children.length > 0 || hasRequestFilters ||
+    !!(longTermMemoryContext && longTermMemoryContext.trim() !== "") || currentEntries.length > 0;
+  return { promptForRAG, hasPersonalContext };
+}
+
+// Step 5: hybrid retrieval on the user's query alone, so the prompt's instructions and profile do not skew the search.
+// The children's ages and the request's filters narrow the products instead.
+// Products are shown in the answer's locale. Returns the LLM context and the `sources` reported to the client.
+async function retrieveContext(endpointName, userQuery, children, requestFilters, locale) {
+  const filters = buildProductFilters({ children, ...requestFilters });
+  const retrieved = await metricsService.timeStage(endpointName, 'retrieval', () => retrievalService.retrieve(userQuery, filters));
+  const results = retrieved.map(result => ({ ...result, product: localizeProduct(result.product, locale) }));
+  return { context: retrievalService.toContext(results), sources: retrievalService.toSources(results) };
+}
+
+// Step 6: validate the raw LLM output (asking the LLM to repair it if needed),
+// then hydrate the SKUs in the answer's locale and drop any that are not in the catalog
+async function parseLlmOutput(llmOutputString, { endpointName, userId, userQuery, deadline, locale, prompts, recordHallucinations = true }) {
+  const parsed = await metricsService.timeStage(endpointName, 'json_parse', () => parseWithRepair(llmOutputString, { endpointName, deadline, prompts }));
+
+  if (!parsed.value) {
+    metricsService.parseFailures.inc({ endpoint: endpointName });
+    logger.error('Failed to parse LLM response or structure was invalid', { endpoint: endpointName, reason: parsed.error, llmOutput: llmOutputString });
+    return {
+      answer: `${FORMATTING_FALLBACK_PREFIX} perfectly. Here's the main information: ${llmOutputString || "Not available"}`,
       relatedProducts: []
-    });
+    };
   }
 
+  const botResponseJson = parsed.value;
+  const requestedSkus = [...new Set(botResponseJson.relatedProducts)];
+  const storedProducts = await metricsService.timeStage(endpointName, 'sku_hydration', () => getProductsBySKUs(requestedSkus));
+  const productDetails = storedProducts.map(product => localizeProduct(product, locale));
+  const knownSkus = new Set(productDetails.map(product => product.sku));
+  const unknownSkus = requestedSkus.filter(sku => !knownSkus.has(sku));
+  // A product may be named in the answer's language or by its default name
+  const unmatchedMentions = findUnmatchedProductMentions(botResponseJson.answer, [...productDetails, ...storedProducts]);
+
+  if (unknownSkus.length > 0 || unmatchedMentions.length > 0) {
+    logger.warn('Hallucination detected', { endpoint: endpointName, unknownSkus, unmatchedMentions });
+    metricsService.hallucinations.inc({ endpoint: endpointName, kind: 'sku' }, unknownSkus.length);
+    metricsService.hallucinations.inc({ endpoint: endpointName, kind: 'product_name' }, unmatchedMentions.length);
+    if (recordHallucinations) await recordHallucination({ userId, endpoint: endpointName, query: userQuery, unknownSkus, unmatchedMentions });
+  }
+
+  // Keep the order the LLM ranked the products in; unknown SKUs are dropped
+  botResponseJson.relatedProducts = requestedSkus
+    .map(sku => productDetails.find(product => product.sku === sku))
+    .filter(Boolean);
+
+  return botResponseJson;
+}
+
+// Parses the raw LLM output, asking the LLM to repair it up to rag.maxRepairAttempts times
+async function parseWithRepair(llmOutputString, { endpointName, deadline, prompts }) {
+  let rawOutput = llmOutputString;
+  let parsed = parseLlmResponse(rawOutput);
+
+  for (let attempt = 1; !parsed.value && attempt <= config.rag.maxRepairAttempts; attempt++) {
+    logger.warn('LLM response invalid, attempting repair', { endpoint: endpointName, reason: parsed.error, attempt, maxAttempts: config.rag.maxRepairAttempts });
+    // Replacer functions, so `$&` and other replacement patterns in the output are inserted as written
+    const repairPrompt = prompts.repairInstruction
+      .replace('{{validationError}}', () => parsed.error)
+      .replace('{{previousOutput}}', () => rawOutput);
+
+    try {
+      const repairResult = await withDeadline(ragService.queryWithoutRetrieval(repairPrompt), deadline, endpointName);
+      rawOutput = getResultText(repairResult);
+      parsed = parseLlmResponse(rawOutput);
+    } catch (e) {
+      logger.error('LLM response repair attempt failed', { endpoint: endpointName, attempt, error: e });
+      break;
+    }
+  }
+  return parsed;
+}
+
+// Fields stored on a bot entry besides its text: the SKUs it recommended, the prompt set version that
+// produced it, and the cache entries holding the answer, so negative feedback can evict them (see feedbackController.js)
+function getBotEntryFields(answerJson, cacheKey, semanticCacheEntryId) {
+  return {
+    relatedSkus: (answerJson.relatedProducts || []).map(product => product.sku),
+    promptVersion: answerJson.promptVersion ?? null,
+    cache: { key: cacheKey, semanticEntryId: semanticCacheEntryId || null }
+  };
+}
+
+// Records a cache hit in the thread like a fresh answer, so it gets a message ID too
+async function recordCachedAnswer({ userId, stateless, conversationId, userQuery, cacheKey, semanticCacheEntryId, cachedResult }) {
+  if (stateless) return null;
+  return memoryService.addConversationEntries(userId, conversationId, userQuery, cachedResult.answer,
+    getBotEntryFields(cachedResult, cacheKey, semanticCacheEntryId));
+}
+
+// Step 7: cache the result, save conversation and update long-term memory (stateless requests are only cached).
+// Returns the bot entry's message ID, or null if nothing was saved to the thread.
+async function persistResult({ endpointName, userId, stateless, conversationId, userQuery, cacheKey, userMetadataForCacheKey, hasPersonalContext, botResponseJson, prompts, useCache = true }) {
+  const isValidResponse = botResponseJson && typeof botResponseJson.answer === 'string' &&
+    botResponseJson.answer.trim() !== '' && !botResponseJson.answer.includes(FORMATTING_FALLBACK_PREFIX);
+
+  if (!isValidResponse) return null;
+
+  // Cache the result
+  if (useCache) await cacheService.setCachedResult(userId || ANONYMOUS_CACHE_USER_ID, userQuery, userMetadataForCacheKey, botResponseJson);
+  const semanticCacheEntryId = hasPersonalContext || !useCache ? null : await semanticCacheService.setCachedResult(userQuery, botResponseJson);
+
+  if (stateless) return null;
+
+  // Add conversation entries
+  const messageId = await memoryService.addConversationEntries(userId, conversationId, userQuery, botResponseJson.answer,
+    getBotEntryFields(botResponseJson, cacheKey, semanticCacheEntryId));
+
+  // Update long-term memory facts from the new turns
+  const memoryUpdated = await memoryService.updateMemoryFacts(userId, conversationId, ragService, prompts.memoryExtractionInstruction);
+  if (memoryUpdated) metricsService.memoryUpdates.inc({ endpoint: endpointName });
+
+  return messageId;
+}
+
+// Rejects if the given promise does not settle before the deadline (epoch ms)
+function withDeadline(promise, deadline, endpointName) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      metricsService.timeouts.inc({ endpoint: endpointName });
+      reject(new ApiError(ERROR_CODES.TIMEOUT, `Request timed out after ${QUERY_TIMEOUT_MS / 1000} seconds`));
+    }, Math.max(deadline - Date.now(), 0));
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Answers a chat request with a single JSON response.
+ * `options.useCache: false` neither reads nor writes the answer caches; the offline evaluation
+ * (evaluate.mjs) runs its golden set this way so every answer comes from the LLM.
+ * `options.promptSubject` picks the prompt variant instead of the caller, so the evaluation can
+ * keep each case on the same variant between runs. `options.recordHallucinations: false` only counts
+ * hallucinations in the metrics, so evaluation runs stay out of the hallucination log of real users.
+ */
+export async function handleQuery(req, res, endpointName, { useCache = true, promptSubject: fixedPromptSubject, recordHallucinations = true } = {}) {
+  const { userQuery, locale, userId, stateless, conversationId, promptSubject, userName, children, requestFilters } = parseChatRequest(req);
+  logger.info('Chat request received', { endpoint: endpointName, userId, stateless, locale });
+
+  if (!ragService.ragApplication || !promptService.isInitialized()) {
+    logger.error('Critical component not initialized', { endpoint: endpointName, ragInitialized: !!ragService.ragApplication, promptsLoaded: promptService.isInitialized() });
+    return sendError(req, res, new ApiError(ERROR_CODES.NOT_INITIALIZED, 'The assistant is still starting up. Please retry shortly'));
+  }
+  const { version: promptVersion, prompts } = promptService.getPrompts(fixedPromptSubject ?? promptSubject);
+
   try {
-    // 1. Cache Handling
-    const userMetadataForCacheKey = { name: userName, children };
-    const cachedResult = await cacheService.getCachedResult(userId, userQuery, userMetadataForCacheKey);
-    
+    // 1. Cache Handling (answers of other prompt versions or locales are not reused)
+    const userMetadataForCacheKey = { name: userName, children, ...requestFilters, promptVersion, locale };
+    const cacheKey = cacheService.generateCacheKey(userId || ANONYMOUS_CACHE_USER_ID, userQuery, userMetadataForCacheKey);
+    const cachedResult = !useCache ? null : await metricsService.timeStage(endpointName, 'cache_lookup',
+      () => cacheService.getCachedResult(userId || ANONYMOUS_CACHE_USER_ID, userQuery, userMetadataForCacheKey));
+    if (useCache) metricsService.recordCacheLookup(endpointName, 'exact', !!cachedResult);
+
     if (cachedResult) {
-      return res.json(cachedResult);
+      const messageId = await recordCachedAnswer({ userId, stateless, conversationId, userQuery, cacheKey, cachedResult });
+      return res.json({ ...cachedResult, conversationId, messageId });
     }
 
-    // 2. Memory Retrieval
-    const longTermMemoryContext = await memoryService.getConversationMemory(userId);
+    // 2-4. Memory, Prompt and Conversation History
+    const { promptForRAG, hasPersonalContext } = await buildPrompt({ endpointName, userId, stateless, conversationId, userName, children, requestFilters, userQuery, locale, prompts });
 
-    // 3. Build Prompt
-    const { systemPreamble, answerFieldDetails, relatedProductsFieldDetails, closingInstruction } = promptConfig.jsonOutputInstructions;
-    let promptForRAG = `${systemPreamble}\n\n${answerFieldDetails}\n\n${relatedProductsFieldDetails}\n\n`;
-
-    if (userName || (children && children.length > 0)) {
-      promptForRAG += `User profile:\n`;
-      if (userName) promptForRAG += `- Name: ${userName}\n`;
-      if (children.length > 0) {
-        promptForRAG += `- Children:\n`;
-        for (const child of children) {
-          promptForRAG += `  - Name: ${child.name || ''}, Age: ${child.age || ''}, Gender: ${child.gender || ''}, Birthday: ${child.birthday || ''}\n`;
-        }
+    // 4b. Semantic Cache Handling (non-personalized prompts only)
+    if (useCache && !hasPersonalContext) {
+      const semanticCacheHit = await metricsService.timeStage(endpointName, 'semantic_cache_lookup',
+        () => semanticCacheService.getCachedResult(userQuery, promptVersion, locale));
+      if (semanticCacheService.isEnabled()) metricsService.recordCacheLookup(endpointName, 'semantic', !!semanticCacheHit);
+      if (semanticCacheHit) {
+        const messageId = await recordCachedAnswer({ userId, stateless, conversationId, userQuery, cacheKey,
+          semanticCacheEntryId: semanticCacheHit.entryId, cachedResult: semanticCacheHit.data });
+        return res.json({ ...semanticCacheHit.data, conversationId, messageId });
       }
-      promptForRAG += '\n';
     }
+    logger.debug('Prompt sent to LLM', { endpoint: endpointName, prompt: promptForRAG });
 
-    if (longTermMemoryContext && longTermMemoryContext.trim() !== "") { 
-      promptForRAG += `Relevant past information for ${userId}:\n${longTermMemoryContext}\n\n`;
-    }
+    // 5. Retrieve products (vector, text and SKU search) and query RAG with them
+    const deadline = Date.now() + QUERY_TIMEOUT_MS;
+    const { context, sources } = await withDeadline(retrieveContext(endpointName, userQuery, children, requestFilters, locale), deadline, endpointName);
+    const result = await metricsService.timeStage(endpointName, 'rag_query', () => withDeadline(ragService.query(promptForRAG, context), deadline, endpointName));
 
-    // 4. Conversation History
-    const conversationData = await memoryService.getConversationHistory(userId);
-    const currentEntries = (conversationData && conversationData.entries) ? conversationData.entries : [];
-    const limitedHistoryEntries = currentEntries.slice(-10);
-    const shortTermHistoryText = limitedHistoryEntries.map(turn => `${turn.role}: ${turn.content}`).join("\n");
-    
-    if (shortTermHistoryText) {
-      promptForRAG += `Current conversation history:\n${shortTermHistoryText}\n\n`;
-    }
+    logger.debug('Complete RAG result object', { endpoint: endpointName, result });
+    let llmOutputString = getResultText(result);
+    logger.debug('LLM raw output (extracted)', { endpoint: endpointName, llmOutput: llmOutputString });
+
+    // 6. Parse and Process Response
+    const botResponseJson = await parseLlmOutput(llmOutputString, { endpointName, userId, userQuery, deadline, locale, prompts, recordHallucinations });
+    botResponseJson.sources = sources;
+    botResponseJson.promptVersion = promptVersion;
+    botResponseJson.locale = locale;
+    if (botResponseJson.relatedProducts.length === 0) metricsService.emptyRelatedProducts.inc({ endpoint: endpointName });
 
-    promptForRAG += `User's current query: ${userQuery}\n\n${closingInstruction}`;
-    console.log(`[${endpointName}] --- Prompt sent to LLM ---\n${promptForRAG}\n-----------------------------------`);
+    // 7. Save Conversation and Cache
+    const messageId = await persistResult({ endpointName, userId, stateless, conversationId, userQuery, cacheKey, userMetadataForCacheKey, hasPersonalContext, botResponseJson, prompts, useCache });
 
-    // 5. Query RAG
-    const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('Request timed out after 15 seconds')), 15000));
-    const result = await Promise.race([ragService.query(promptForRAG), timeout]);
+    // 8. Return Response
+    res.json({ ...botResponseJson, conversationId, messageId });
+
+  } catch (error) {
+    logger.error('Error processing question', { endpoint: endpointName, error });
+    sendError(req, res, error);
+  }
+}
 
-    console.log(`[${endpointName}] --- Complete RAG result object ---\n${JSON.stringify(result, null, 2)}\n----------------------------------`);
-    let llmOutputString = result.answer || result.content || result.text || result.response || '';
-    console.log(`[${endpointName}] --- LLM Raw Output (extracted) ---\n${llmOutputString}\n---------------------------------------------------`);
+/**
+ * Streaming variant of handleQuery over Server-Sent Events.
+ * Emits `answer` events with `{ delta }` while the LLM is producing the answer text,
+ * then a single `result` event with the final `{ answer, relatedProducts, sources, promptVersion, locale, conversationId, messageId }` payload.
+ * A cache hit is replayed as a single `result` event. Failures are sent as an `error` event
+ * carrying the error envelope (see utils/errors.js).
+ */
+export async function handleStreamQuery(req, res, endpointName) {
+  const { userQuery, locale, userId, stateless, conversationId, promptSubject, userName, children, requestFilters } = parseChatRequest(req);
+  logger.info('Streaming chat request received', { endpoint: endpointName, userId, stateless, locale });
 
-    // 6. Parse and Process Response
-    let botResponseJson;
-    try {
-      if (typeof llmOutputString !== 'string' || llmOutputString.trim() === "") {
-        throw new Error("LLM output is not a non-empty string, cannot parse.");
-      }
-      
-      let cleanedOutput = llmOutputString;
-      if (llmOutputString.includes("```")) {
-        const codeBlockMatch = llmOutputString.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (codeBlockMatch && codeBlockMatch[1]) cleanedOutput = codeBlockMatch[1].trim();
+  if (!ragService.ragApplication || !promptService.isInitialized()) {
+    logger.error('Critical component not initialized', { endpoint: endpointName, ragInitialized: !!ragService.ragApplication, promptsLoaded: promptService.isInitialized() });
+    return sendError(req, res, new ApiError(ERROR_CODES.NOT_INITIALIZED, 'The assistant is still starting up. Please retry shortly'));
+  }
+  const { version: promptVersion, prompts } = promptService.getPrompts(promptSubject);
+
+  let clientClosed = false;
+  res.on('close', () => { clientClosed = true; });
+  initSse(res);
+
+  try {
+    // 1. Cache Handling (answers of other prompt versions or locales are not reused)
+    const userMetadataForCacheKey = { name: userName, children, ...requestFilters, promptVersion, locale };
+    const cacheKey = cacheService.generateCacheKey(userId || ANONYMOUS_CACHE_USER_ID, userQuery, userMetadataForCacheKey);
+    const cachedResult = await metricsService.timeStage(endpointName, 'cache_lookup',
+      () => cacheService.getCachedResult(userId || ANONYMOUS_CACHE_USER_ID, userQuery, userMetadataForCacheKey));
+    metricsService.recordCacheLookup(endpointName, 'exact', !!cachedResult);
+
+    if (cachedResult) {
+      const messageId = await recordCachedAnswer({ userId, stateless, conversationId, userQuery, cacheKey, cachedResult });
+      sendSseEvent(res, 'result', { ...cachedResult, conversationId, messageId });
+      return res.end();
+    }
+
+    // 2-4. Memory, Prompt and Conversation History
+    const { promptForRAG, hasPersonalContext } = await buildPrompt({ endpointName, userId, stateless, conversationId, userName, children, requestFilters, userQuery, locale, prompts });
+
+    // 4b. Semantic Cache Handling (non-personalized prompts only)
+    if (!hasPersonalContext) {
+      const semanticCacheHit = await metricsService.timeStage(endpointName, 'semantic_cache_lookup',
+        () => semanticCacheService.getCachedResult(userQuery, promptVersion, locale));
+      if (semanticCacheService.isEnabled()) metricsService.recordCacheLookup(endpointName, 'semantic', !!semanticCacheHit);
+      if (semanticCacheHit) {
+        const messageId = await recordCachedAnswer({ userId, stateless, conversationId, userQuery, cacheKey,
+          semanticCacheEntryId: semanticCacheHit.entryId, cachedResult: semanticCacheHit.data });
+        sendSseEvent(res, 'result', { ...semanticCacheHit.data, conversationId, messageId });
+        return res.end();
       }
-      
-      botResponseJson = JSON.parse(cleanedOutput);
+    }
+    logger.debug('Prompt sent to LLM', { endpoint: endpointName, prompt: promptForRAG });
+
+    // 5. Retrieve products, then stream the RAG completion, forwarding the answer text as it arrives
+    const deadline = Date.now() + QUERY_TIMEOUT_MS;
+    const { context, sources } = await withDeadline(retrieveContext(endpointName, userQuery, children, requestFilters, locale), deadline, endpointName);
+    const parser = new AnswerStreamParser();
+    const stream = ragService.streamQuery(promptForRAG, context);
 
-      if (typeof botResponseJson.answer !== 'string' || !Array.isArray(botResponseJson.relatedProducts)) {
-        throw new Error("LLM output is not in the expected {answer: string, relatedProducts: array} format.");
+    await metricsService.timeStage(endpointName, 'rag_query', async () => {
+      try {
+        while (true) {
+          const { value: chunk, done } = await withDeadline(stream.next(), deadline, endpointName);
+          if (done) break;
+
+          const delta = parser.push(chunk);
+          if (delta && !clientClosed) sendSseEvent(res, 'answer', { delta });
+        }
+      } finally {
+        // Stop the underlying LLM stream if we bailed out early (timeout or error)
+        stream.return().catch(() => {});
       }
-      
-      botResponseJson.relatedProducts = botResponseJson.relatedProducts.map(sku => typeof sku === 'string' ? sku : String(sku));
-      const productDetails = await getProductsBySKUs(botResponseJson.relatedProducts);
-      botResponseJson.relatedProducts = productDetails;
+    });
 
-    } catch (e) {
-      console.error(`[${endpointName}] Failed to parse LLM response or structure was invalid: ${e.message}. LLM Raw: ${llmOutputString}`);
-      botResponseJson = { 
-        answer: `I had a little trouble formatting my response perfectly. Here's the main information: ${llmOutputString || "Not available"}`,
-        relatedProducts: [] 
-      };
-    }
+    const llmOutputString = parser.getRawOutput();
+    logger.debug('LLM raw output (streamed)', { endpoint: endpointName, llmOutput: llmOutputString });
+
+    // 6. Parse and Process Response
+    const botResponseJson = await parseLlmOutput(llmOutputString, { endpointName, userId, userQuery, deadline, locale, prompts });
+    botResponseJson.sources = sources;
+    botResponseJson.promptVersion = promptVersion;
+    botResponseJson.locale = locale;
+    if (botResponseJson.relatedProducts.length === 0) metricsService.emptyRelatedProducts.inc({ endpoint: endpointName });
 
     // 7. Save Conversation and Cache
-    const isValidResponse = botResponseJson && typeof botResponseJson.answer === 'string' && 
-      botResponseJson.answer.trim() !== '' && !botResponseJson.answer.includes('I had a little trouble formatting my response');
-
-    if (isValidResponse) {
-      // Add conversation entries
-      await memoryService.addConversationEntries(userId, userQuery, botResponseJson.answer);
-      
-      // Cache the result
-      await cacheService.setCachedResult(userId, userQuery, userMetadataForCacheKey, botResponseJson);
-      
-      // Summarize if needed
-      await memoryService.summarizeAndStoreMemory(userId, ragService, promptConfig.summarizationInstruction);
-    }
+    const messageId = await persistResult({ endpointName, userId, stateless, conversationId, userQuery, cacheKey, userMetadataForCacheKey, hasPersonalContext, botResponseJson, prompts });
 
-    // 8. Return Response
-    res.json(botResponseJson);
+    // 8. Send final event
+    if (!clientClosed) sendSseEvent(res, 'result', { ...botResponseJson, conversationId, messageId });
+    res.end();
 
   } catch (error) {
-    console.error(`[${endpointName}] Error processing question:`, error);
-    res.status(500).json({ 
-      answer: 'Error processing your question', 
-      relatedProducts: [],
-      details: error.message 
-    });
+    logger.error('Error processing streamed question', { endpoint: endpointName, error });
+    if (!clientClosed) sendSseEvent(res, 'error', toErrorResponse(error, req.id).body);
+    res.end();
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,79 @@
+import { recordFeedback } from '../../db.mjs';
+import cacheService from '../services/cacheService.js';
+import semanticCacheService from '../services/semanticCacheService.js';
+import memoryService, { DEFAULT_CONVERSATION_ID } from '../services/memoryService.js';
+import metricsService from '../services/metricsService.js';
+import logger from '../utils/logger.js';
+import { ApiError, ERROR_CODES, sendError } from '../utils/errors.js';
+
+// A thumbs-down on the answer removes it from both caches, so the next identical
+// (or, for the shared semantic cache, similar) query gets a fresh answer
+async function evictCachedAnswer(entry) {
+  const cache = entry.cache || {};
+  const evicted = await Promise.all([
+    cache.key ? cacheService.evictEntry(cache.key) : false,
+    cache.semanticEntryId ? semanticCacheService.evictEntry(cache.semanticEntryId) : false
+  ]);
+  return evicted.some(Boolean);
+}
+
+/**
+ * POST /feedback: thumbs up or down, with optional reasons, on an answer and on the products it
+ * recommended. The answer is identified by the `messageId` returned with it; the body has already
+ * been checked against feedbackRequestSchema (see routes/index.js).
+ */
+export async function submitFeedback(req, res) {
+  const { userId } = req.auth;
+  const { messageId, rating = null, reason = null, products = [] } = req.body;
+  const conversationId = req.body.conversationId || DEFAULT_CONVERSATION_ID;
+
+  if (!memoryService.mongoStore || !cacheService.mongoStore) {
+    return sendError(req, res, new ApiError(ERROR_CODES.NOT_INITIALIZED, 'The assistant is still starting up. Please retry shortly'));
+  }
+
+  try {
+    const message = await memoryService.findBotMessage(userId, conversationId, messageId);
+    if (!message) {
+      return sendError(req, res, new ApiError(ERROR_CODES.NOT_FOUND, `No answer ${messageId} in conversation ${conversationId}`));
+    }
+
+    // Entries stored before message IDs existed have no SKU list, so their ratings cannot be checked
+    const { entry, userEntry } = message;
+    if (Array.isArray(entry.relatedSkus)) {
+      const unknownSkus = products.map(product => product.sku).filter(sku => !entry.relatedSkus.includes(sku));
+      if (unknownSkus.length > 0) {
+        return sendError(req, res, new ApiError(ERROR_CODES.INVALID_INPUT, 'Only products recommended in this answer can be rated',
+          unknownSkus.map(sku => ({ field: '/products', message: `${sku} was not recommended in this answer` }))));
+      }
+    }
+
+    const cacheEvicted = rating === 'down' ? await evictCachedAnswer(entry) : false;
+
+    const stored = await recordFeedback({
+      userId,
+      conversationId,
+      messageId,
+      rating,
+      reason,
+      products: products.map(product => ({ sku: product.sku, rating: product.rating, reason: product.reason || null })),
+      query: userEntry ? userEntry.content : null,
+      answer: entry.content,
+      promptVersion: entry.promptVersion ?? null,
+      cacheEvicted
+    });
+    if (!stored) {
+      throw new Error('Feedback could not be stored');
+    }
+
+    // Answers stored before prompt versions existed are counted under 'unknown'
+    const promptVersion = String(entry.promptVersion ?? 'unknown');
+    if (rating) metricsService.feedback.inc({ target: 'answer', rating, prompt_version: promptVersion });
+    for (const product of products) metricsService.feedback.inc({ target: 'product', rating: product.rating, prompt_version: promptVersion });
+
+    logger.info('Feedback recorded', { userId, conversationId, messageId, rating, productRatings: products.length, cacheEvicted });
+    res.json({ messageId, conversationId, cacheEvicted });
+  } catch (error) {
+    logger.error('Error recording feedback', { userId, messageId, error });
+    sendError(req, res, error);
+  }
+}
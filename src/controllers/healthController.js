@@ -0,0 +1,16 @@
+import healthService from '../services/healthService.js';
+import logger from '../utils/logger.js';
+
+// Liveness: the process is up and serving requests; dependencies are not checked
+export function getLiveness(req, res) {
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), uptimeSeconds: Math.round(process.uptime()) });
+}
+
+// Readiness: 200 when every dependency check passes, otherwise 503 so traffic is routed elsewhere
+export async function getReadiness(req, res) {
+  const { status, checks } = await healthService.checkReadiness();
+  if (status !== 'ok') {
+    logger.warn('Readiness check failed', { checks });
+  }
+  res.status(status === 'ok' ? 200 : 503).json({ status, timestamp: new Date().toISOString(), checks });
+}
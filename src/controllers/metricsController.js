@@ -0,0 +1,13 @@
+import metricsService from '../services/metricsService.js';
+import logger from '../utils/logger.js';
+
+// Prometheus scrape endpoint
+export async function getMetrics(req, res) {
+  try {
+    res.set('Content-Type', metricsService.getContentType());
+    res.send(await metricsService.getMetrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error });
+    res.status(500).json({ error: 'Error collecting metrics' });
+  }
+}
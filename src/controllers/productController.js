@@ -0,0 +1,77 @@
+import { getProductBySKU, searchProducts, PRODUCT_SORT_FIELDS } from '../../db.mjs';
+import logger from '../utils/logger.js';
+import { ApiError, ERROR_CODES, sendError } from '../utils/errors.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Parses an optional numeric query parameter; returns NaN when present but invalid
+function parseNumberParam(value) {
+  if (value === undefined || value === '') return undefined;
+  return Number(value);
+}
+
+function invalidInput(message, field) {
+  return new ApiError(ERROR_CODES.INVALID_INPUT, message, [{ field, message }]);
+}
+
+export async function getProduct(req, res) {
+  const { sku } = req.params;
+
+  try {
+    const product = await getProductBySKU(sku);
+    if (!product) {
+      return sendError(req, res, new ApiError(ERROR_CODES.NOT_FOUND, `Product not found: ${sku}`));
+    }
+
+    res.json(product);
+  } catch (error) {
+    logger.error('Error fetching product', { sku, error });
+    sendError(req, res, error);
+  }
+}
+
+export async function listProducts(req, res) {
+  try {
+    // Repeated (`?sort=a&sort=b`) or bracketed (`?category[$ne]=x`) parameters parse to arrays and objects
+    const nonStringParam = Object.keys(req.query).find(name => typeof req.query[name] !== 'string');
+    if (nonStringParam) {
+      return sendError(req, res, invalidInput(`${nonStringParam} must be a single string value`, nonStringParam));
+    }
+
+    const { q, category, brand, sort } = req.query;
+    const page = parseNumberParam(req.query.page) ?? 1;
+    const limit = parseNumberParam(req.query.limit) ?? DEFAULT_PAGE_SIZE;
+    const minPrice = parseNumberParam(req.query.minPrice);
+    const maxPrice = parseNumberParam(req.query.maxPrice);
+
+    if (!Number.isInteger(page) || page < 1) {
+      return sendError(req, res, invalidInput('page must be a positive integer', 'page'));
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return sendError(req, res, invalidInput(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, 'limit'));
+    }
+    if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+      return sendError(req, res, invalidInput('minPrice and maxPrice must be numbers', Number.isNaN(minPrice) ? 'minPrice' : 'maxPrice'));
+    }
+    if (sort && !PRODUCT_SORT_FIELDS.includes(sort.replace(/^-/, ''))) {
+      return sendError(req, res, invalidInput(`sort must be one of: ${PRODUCT_SORT_FIELDS.join(', ')} (prefix with '-' for descending)`, 'sort'));
+    }
+
+    const result = await searchProducts({ q, category, brand, minPrice, maxPrice, sort, page, limit });
+    if (!result) {
+      return sendError(req, res, new Error('Product search failed'));
+    }
+
+    res.json({
+      products: result.products,
+      page,
+      limit,
+      total: result.total,
+      totalPages: Math.ceil(result.total / limit)
+    });
+  } catch (error) {
+    logger.error('Error searching products', { error });
+    sendError(req, res, error);
+  }
+}
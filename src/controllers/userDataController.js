@@ -0,0 +1,197 @@
+import {
+  getFeedbackByUser,
+  deleteFeedbackByUser,
+  getHallucinationsByUser,
+  deleteHallucinationsByUser,
+  getTokenUsageByUser,
+  deleteTokenUsageByUser
+} from '../../db.mjs';
+import cacheService from '../services/cacheService.js';
+import memoryService from '../services/memoryService.js';
+import logger from '../utils/logger.js';
+
+// Every handler needs the MongoStore-backed services to be ready
+function ensureInitialized(res) {
+  if (!memoryService.mongoStore || !cacheService.mongoStore) {
+    res.status(503).json({ error: 'Memory and cache services not initialized yet' });
+    return false;
+  }
+  return true;
+}
+
+export async function listConversations(req, res) {
+  if (!ensureInitialized(res)) return;
+  const { userId } = req.params;
+
+  try {
+    const conversations = await memoryService.listThreads(userId);
+    res.json({ userId, conversations });
+  } catch (error) {
+    logger.error('Error listing conversations', { userId, error });
+    res.status(500).json({ error: 'Error listing conversations' });
+  }
+}
+
+export async function createConversation(req, res) {
+  if (!ensureInitialized(res)) return;
+  const { userId } = req.params;
+  const title = (req.body && req.body.title) || '';
+
+  if (typeof title !== 'string') {
+    return res.status(400).json({ error: 'title must be a string' });
+  }
+
+  try {
+    const conversation = await memoryService.createThread(userId, title);
+    res.status(201).json(conversation);
+  } catch (error) {
+    logger.error('Error creating conversation', { userId, error });
+    res.status(500).json({ error: 'Error creating conversation' });
+  }
+}
+
+export async function getConversation(req, res) {
+  if (!ensureInitialized(res)) return;
+  const { userId, conversationId } = req.params;
+
+  if (!memoryService.isValidConversationId(conversationId)) {
+    return res.status(400).json({ error: `Invalid conversationId: ${conversationId}` });
+  }
+
+  try {
+    const conversation = await memoryService.findConversation(userId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: `Conversation ${conversationId} not found for user ${userId}` });
+    }
+    res.json(conversation);
+  } catch (error) {
+    logger.error('Error fetching conversation', { userId, conversationId, error });
+    res.status(500).json({ error: 'Error fetching conversation' });
+  }
+}
+
+export async function deleteConversation(req, res) {
+  if (!ensureInitialized(res)) return;
+  const { userId, conversationId } = req.params;
+
+  if (!memoryService.isValidConversationId(conversationId)) {
+    return res.status(400).json({ error: `Invalid conversationId: ${conversationId}` });
+  }
+
+  try {
+    const deleted = await memoryService.deleteConversation(userId, conversationId);
+    if (!deleted) {
+      return res.status(404).json({ error: `Conversation ${conversationId} not found for user ${userId}` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting conversation', { userId, conversationId, error });
+    res.status(500).json({ error: 'Error deleting conversation' });
+  }
+}
+
+export async function getMemory(req, res) {
+  if (!ensureInitialized(res)) return;
+  const { userId } = req.params;
+
+  try {
+    const memory = await memoryService.getLongTermMemory(userId);
+    if (!memory) {
+      return res.status(404).json({ error: `No memory found for user ${userId}` });
+    }
+    res.json(memory);
+  } catch (error) {
+    logger.error('Error fetching memory', { userId, error });
+    res.status(500).json({ error: 'Error fetching memory' });
+  }
+}
+
+export async function deleteMemory(req, res) {
+  if (!ensureInitialized(res)) return;
+  const { userId } = req.params;
+
+  try {
+    const deleted = await memoryService.deleteLongTermMemory(userId);
+    if (!deleted) {
+      return res.status(404).json({ error: `No memory found for user ${userId}` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting memory', { userId, error });
+    res.status(500).json({ error: 'Error deleting memory' });
+  }
+}
+
+// Everything stored for a user, as a downloadable JSON document
+export async function exportUserData(req, res) {
+  if (!ensureInitialized(res)) return;
+  const { userId } = req.params;
+
+  try {
+    const threads = await memoryService.listThreads(userId);
+    const conversations = [];
+    for (const thread of threads) {
+      const conversation = await memoryService.findConversation(userId, thread.conversationId);
+      conversations.push({ ...thread, entries: conversation ? conversation.entries : [] });
+    }
+    const memory = await memoryService.getLongTermMemory(userId);
+    const cache = await cacheService.getUserCacheEntries(userId);
+    const feedback = await getFeedbackByUser(userId);
+    if (feedback === null) {
+      throw new Error('Feedback could not be read');
+    }
+    const hallucinations = await getHallucinationsByUser(userId);
+    if (hallucinations === null) {
+      throw new Error('Hallucination records could not be read');
+    }
+    const tokenUsage = await getTokenUsageByUser(userId);
+    if (tokenUsage === null) {
+      throw new Error('Token usage could not be read');
+    }
+
+    res.attachment(`user-data-${userId}.json`);
+    res.json({
+      userId,
+      exportedAt: new Date().toISOString(),
+      conversations,
+      memory,
+      cache,
+      feedback,
+      hallucinations,
+      tokenUsage
+    });
+  } catch (error) {
+    logger.error('Error exporting user data', { userId, error });
+    res.status(500).json({ error: 'Error exporting user data' });
+  }
+}
+
+// Data-deletion request: removes every conversation thread, long-term memory, cached answers, feedback, hallucination records and token usage
+export async function deleteUserData(req, res) {
+  if (!ensureInitialized(res)) return;
+  const { userId } = req.params;
+
+  try {
+    const conversationsDeleted = await memoryService.deleteAllConversations(userId);
+    const memoryDeleted = await memoryService.deleteLongTermMemory(userId);
+    const cacheEntriesDeleted = await cacheService.clearUserCache(userId);
+    const feedbackDeleted = await deleteFeedbackByUser(userId);
+    if (feedbackDeleted === null) {
+      throw new Error('Feedback could not be deleted');
+    }
+    const hallucinationsDeleted = await deleteHallucinationsByUser(userId);
+    if (hallucinationsDeleted === null) {
+      throw new Error('Hallucination records could not be deleted');
+    }
+    const tokenUsageDeleted = await deleteTokenUsageByUser(userId);
+    if (tokenUsageDeleted === null) {
+      throw new Error('Token usage could not be deleted');
+    }
+
+    logger.info('Deleted stored data for user', { userId });
+    res.json({ userId, conversationsDeleted, memoryDeleted, cacheEntriesDeleted, feedbackDeleted, hallucinationsDeleted, tokenUsageDeleted });
+  } catch (error) {
+    logger.error('Error deleting user data', { userId, error });
+    res.status(500).json({ error: 'Error deleting user data' });
+  }
+}
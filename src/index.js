@@ -2,13 +2,18 @@
 
 import express from 'express';
 import cors from 'cors';
-import morgan from 'morgan';
 
 import { config } from './config/index.js';
 import ragService from './services/ragService.js';
 import cacheService from './services/cacheService.js';
+import semanticCacheService from './services/semanticCacheService.js';
 import memoryService from './services/memoryService.js';
+import rateLimitService from './services/rateLimitService.js';
+import promptService from './services/promptService.js';
 import { logServerUrls } from './utils/network.js';
+import logger from './utils/logger.js';
+import { requestContext } from './middleware/requestContext.js';
+import { errorHandler } from './middleware/errorHandler.js';
 import routes from './routes/index.js';
 import { initDatabase, closeDatabase } from '../db.mjs';
 
@@ -16,16 +21,18 @@ import { initDatabase, closeDatabase } from '../db.mjs';
 const app = express();
 
 // Middleware
+app.use(requestContext);
 app.use(cors());
 app.use(express.json());
-app.use(morgan('dev'));
 
 // Routes
 app.use('/', routes);
+app.use(errorHandler);
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('Shutting down gracefully...');
+  logger.info('Shutting down gracefully...');
+  promptService.close();
   await ragService.close();
   await closeDatabase();
   process.exit(0);
@@ -34,10 +41,10 @@ process.on('SIGINT', async () => {
 // Initialize and start the server
 async function initializeApp() {
   // 1. Initialize Product Database (MongoDB)
-  console.log("Initializing Product Database (MongoDB)...");
+  logger.info('Initializing Product Database (MongoDB)...');
   const productDbInitialized = await initDatabase();
   if (!productDbInitialized) {
-    console.error("FATAL ERROR: Could not initialize Product Database (MongoDB). Exiting.");
+    logger.error('FATAL ERROR: Could not initialize Product Database (MongoDB). Exiting.');
     process.exit(1);
   }
 
@@ -46,26 +53,29 @@ async function initializeApp() {
     await ragService.initialize();
     
     // Share the mongoStore with other services
-    cacheService.initialize(ragService.mongoStore);
-    memoryService.initialize(ragService.mongoStore);
+    cacheService.initialize(ragService.mongoStores);
+    memoryService.initialize(ragService.mongoStores);
+    semanticCacheService.initialize(ragService.mongoStores, ragService.embeddingModel, ragService.semanticCacheVectorDatabases);
+    rateLimitService.initialize();
+    await promptService.initialize();
     
-    console.log("RAG Application, caching, and memory services initialized successfully.");
+    logger.info('RAG Application, caching, memory and prompt services initialized successfully.');
   } catch (error) {
-    console.error("FATAL ERROR: Could not initialize RAG Application. Exiting.", error);
-    console.error('Ensure Qdrant & MongoDB are running and accessible, and embeddings are generated.');
+    logger.error('FATAL ERROR: Could not initialize RAG Application. Exiting.', { error });
+    logger.error('Ensure Qdrant & MongoDB are running and accessible, and embeddings are generated.');
     process.exit(1);
   }
 
   // 3. Start the server
   const PORT = config.server.port;
   app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running on port ${PORT}. RAG App, Prompts, Product DB, and MongoStore Initialized.`);
+    logger.info('Server running. RAG App, Prompts, Product DB, and MongoStore Initialized.', { port: PORT });
     logServerUrls(PORT);
   });
 }
 
 // Start the application
 initializeApp().catch(initializationError => {
-  console.error("Application failed to initialize:", initializationError);
+  logger.error('Application failed to initialize', { error: initializationError });
   process.exit(1);
 }); 
\ No newline at end of file
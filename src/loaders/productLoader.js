@@ -0,0 +1,66 @@
+import { BaseLoader } from '@llm-tools/embedjs-interfaces';
+import { getProductAttributes } from '../utils/productFilters.js';
+
+/**
+ * Loads a single product as one chunk.
+ * The loader ID only depends on the SKU, so the product's vectors can be replaced
+ * or removed later with `ragApplication.deleteLoader(getProductLoaderId(sku))`.
+ * The product's SKU and core fields (see getProductMetadata) are stored in the chunk
+ * metadata, which the vector database keeps as the vector's payload.
+ */
+export class ProductLoader extends BaseLoader {
+  constructor({ sku, text, metadata = {} }) {
+    super(getProductLoaderId(sku), { sku }, text.length, 0);
+    this.sku = sku;
+    this.text = text;
+    this.metadata = metadata;
+  }
+
+  async *getUnfilteredChunks() {
+    yield {
+      pageContent: this.text,
+      metadata: {
+        ...this.metadata,
+        type: 'ProductLoader',
+        source: this.sku,
+        sku: this.sku
+      }
+    };
+  }
+}
+
+/**
+ * Builds the "FieldName: Value" text that is embedded for a product and given to the LLM as context
+ * @param {Object} record - CSV row or stored product document
+ * @returns {string} One "FieldName: Value" line per field
+ */
+export function formatProductText(record) {
+  const filteredRecord = { ...record };
+  delete filteredRecord._id;
+  delete filteredRecord.image;
+  delete filteredRecord.url;
+
+  return Object.entries(filteredRecord)
+    .map(([key, value]) => `${key.charAt(0).toUpperCase() + key.slice(1)}: ${String(value).trim()}`)
+    .join('\n');
+}
+
+/**
+ * Builds the structured metadata stored with a product's vector: its SKU and name plus the
+ * attributes retrieval filters on (price, category, brand and age range)
+ * @param {Object} record - CSV row or stored product document
+ * @returns {Object} Metadata without empty fields
+ */
+export function getProductMetadata(record) {
+  const metadata = { sku: record.sku };
+  if (typeof record.name === 'string' && record.name.trim()) metadata.name = record.name.trim();
+  return { ...metadata, ...getProductAttributes(record) };
+}
+
+/**
+ * @param {string} sku - Product SKU
+ * @returns {string} The unique loader ID the product's vectors are stored under
+ */
+export function getProductLoaderId(sku) {
+  return `ProductLoader_${sku}`;
+}
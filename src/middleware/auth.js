@@ -0,0 +1,108 @@
+import { createHash } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+export const ADMIN_ROLE = 'admin';
+
+function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+// API_KEYS is a comma-separated list of `key:userId`, `key:userId:admin` or `key:userId:role:tenant` entries
+// (the role may be empty, e.g. `key:userId::toys`); a key with a tenant only works for that tenant.
+// Keys are looked up by hash so the lookup time does not depend on how much of a key matches.
+const apiKeyPrincipals = new Map(
+  config.auth.apiKeys
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [key, userId, role, tenantId] = entry.split(':').map(part => part.trim());
+      const keyHash = hashApiKey(key);
+      // Short, non-secret key ID for rate limits and usage records
+      return [keyHash, { userId, role: role || null, tenantId: tenantId || null, apiKeyId: keyHash.substring(0, 12) }];
+    })
+    .filter(([, principal]) => principal.userId)
+);
+
+function getRoleFromClaims(claims) {
+  if (claims.role === ADMIN_ROLE) return ADMIN_ROLE;
+  if (Array.isArray(claims.roles) && claims.roles.includes(ADMIN_ROLE)) return ADMIN_ROLE;
+  return null;
+}
+
+function unauthorized(res, message) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error: message });
+}
+
+/**
+ * Resolves the caller from an `X-API-Key` header or an `Authorization: Bearer <JWT>` header
+ * and sets `req.auth` to `{ userId, role, tenantId, method }` (plus `apiKeyId` for API keys). `tenantId` is the
+ * tenant the credentials are bound to (a JWT's `tenant` claim), or null. Requests without credentials get
+ * `{ anonymous: true }`; invalid credentials are rejected with 401.
+ */
+export function authenticate(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization') || '';
+
+  if (apiKey) {
+    const principal = apiKeyPrincipals.get(hashApiKey(apiKey));
+    if (!principal) return unauthorized(res, 'Invalid API key');
+    req.auth = { userId: principal.userId, role: principal.role, tenantId: principal.tenantId, apiKeyId: principal.apiKeyId, method: 'apiKey' };
+    return next();
+  }
+
+  if (authorization.startsWith('Bearer ')) {
+    if (!config.auth.jwtSecret) return unauthorized(res, 'JWT authentication is not configured');
+
+    try {
+      const claims = jwt.verify(authorization.substring('Bearer '.length).trim(), config.auth.jwtSecret, {
+        algorithms: ['HS256'],
+        issuer: config.auth.jwtIssuer || undefined,
+        audience: config.auth.jwtAudience || undefined
+      });
+      if (!claims.sub) return unauthorized(res, 'Token has no subject');
+      req.auth = { userId: String(claims.sub), role: getRoleFromClaims(claims), tenantId: claims.tenant ? String(claims.tenant) : null, method: 'jwt' };
+      return next();
+    } catch (error) {
+      logger.info('Rejected bearer token', { reason: error.message });
+      return unauthorized(res, 'Invalid or expired token');
+    }
+  }
+
+  req.auth = { anonymous: true };
+  next();
+}
+
+// Chat endpoints serve anonymous callers in stateless mode unless auth.allowAnonymous is turned off
+export function allowAnonymousChat(req, res, next) {
+  if (req.auth.anonymous && !config.auth.allowAnonymous) {
+    return unauthorized(res, 'Authentication required');
+  }
+  next();
+}
+
+// For routes that store data for the caller, such as POST /feedback
+export function requireUser(req, res, next) {
+  if (req.auth.anonymous) return unauthorized(res, 'Authentication required');
+  next();
+}
+
+// For /users/:userId routes: callers may only access their own data, admins may access anyone's
+export function requireSelfOrAdmin(req, res, next) {
+  if (req.auth.anonymous) return unauthorized(res, 'Authentication required');
+  if (req.auth.role !== ADMIN_ROLE && req.auth.userId !== req.params.userId) {
+    return res.status(403).json({ error: `Not allowed to access data of user ${req.params.userId}` });
+  }
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  if (req.auth.anonymous) return unauthorized(res, 'Authentication required');
+  if (req.auth.role !== ADMIN_ROLE) {
+    return res.status(403).json({ error: 'Admin role required' });
+  }
+  next();
+}
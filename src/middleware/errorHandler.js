@@ -0,0 +1,17 @@
+import { ApiError, ERROR_CODES, sendError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Last-resort Express error handler: malformed JSON bodies become INVALID_INPUT, anything else INTERNAL_ERROR
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(req, res, new ApiError(ERROR_CODES.INVALID_INPUT, 'Request body is not valid JSON'));
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(req, res, new ApiError(ERROR_CODES.INVALID_INPUT, 'Request body is too large'));
+  }
+
+  logger.error('Unhandled request error', { error });
+  sendError(req, res, error);
+}
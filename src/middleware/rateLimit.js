@@ -0,0 +1,46 @@
+import rateLimitService from '../services/rateLimitService.js';
+import usageService from '../services/usageService.js';
+import tenantService from '../services/tenantService.js';
+import { recordTokenUsage } from '../../db.mjs';
+import { ApiError, ERROR_CODES, sendError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Requests count against the user and, when one was used, the API key; anonymous requests against the client IP
+function getRateLimitSubjects(req) {
+  if (req.auth.anonymous) return [`ip:${req.ip}`];
+
+  const subjects = [`user:${req.auth.userId}`];
+  if (req.auth.apiKeyId) subjects.push(`key:${req.auth.apiKeyId}`);
+  return subjects;
+}
+
+// Rejects the request with 429 when the caller is over a per-minute limit or a daily quota
+export async function rateLimit(req, res, next) {
+  const exceeded = await rateLimitService.consume(getRateLimitSubjects(req));
+  if (!exceeded) return next();
+
+  logger.info('Rate limit exceeded', { limit: exceeded.limit, max: exceeded.max, subjects: getRateLimitSubjects(req), path: req.path });
+  res.set('Retry-After', String(exceeded.retryAfterSeconds));
+  sendError(req, res, new ApiError(ERROR_CODES.RATE_LIMITED, `Rate limit exceeded: ${exceeded.limit} (${exceeded.max})`, {
+    limit: exceeded.limit,
+    max: exceeded.max,
+    retryAfterSeconds: exceeded.retryAfterSeconds
+  }));
+}
+
+// Counts the LLM tokens spent on the request, then records them per user and endpoint
+// and charges them to the caller's daily token quota once the response is done
+export function trackTokenUsage(req, res, next) {
+  const endpoint = `${req.baseUrl}${req.path}`;
+  const tenant = tenantService.getTenant();
+  let usage;
+
+  // 'close' is emitted outside the request's async context, so the tenant is passed on explicitly
+  res.on('close', () => {
+    const { userId = null, apiKeyId = null } = req.auth;
+    tenantService.run(tenant, () => recordTokenUsage({ userId, apiKeyId, endpoint, statusCode: res.statusCode, ...usage }));
+    rateLimitService.addTokens(getRateLimitSubjects(req), usage.inputTokens + usage.outputTokens);
+  });
+
+  usage = usageService.track(next);
+}
@@ -0,0 +1,33 @@
+import { randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs passed in by a proxy or client are kept if they look safe to echo and log
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{1,128}$/;
+
+/**
+ * Assigns every request an ID, echoes it in the X-Request-Id response header and adds it
+ * to every log line written while the request is handled. Also logs each completed request.
+ */
+export function requestContext(req, res, next) {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  const requestId = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : randomUUID();
+  const startTime = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  logger.runWithContext({ requestId }, () => {
+    res.on('finish', () => {
+      logger.info('Request completed', {
+        method: req.method,
+        // Query strings can carry user data, so only the path is logged
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startTime) / 1e6)
+      });
+    });
+    next();
+  });
+}
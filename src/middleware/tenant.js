@@ -0,0 +1,25 @@
+import tenantService from '../services/tenantService.js';
+
+/**
+ * Picks the tenant a request works for and runs the rest of the request for it (see tenantService.js).
+ * Credentials bound to a tenant (see middleware/auth.js) select it; otherwise the `X-Tenant-Id` header
+ * does, and requests with neither go to the default tenant. A header naming another tenant than the
+ * credentials is rejected with 403, an unknown tenant with 400.
+ */
+export function resolveTenant(req, res, next) {
+  const boundTenantId = req.auth.tenantId || null;
+  const requestedTenantId = req.get('X-Tenant-Id') || null;
+
+  if (boundTenantId && requestedTenantId && requestedTenantId !== boundTenantId) {
+    return res.status(403).json({ error: `These credentials are not valid for tenant ${requestedTenantId}` });
+  }
+
+  const tenantId = boundTenantId || requestedTenantId;
+  const tenant = tenantId ? tenantService.getTenantById(tenantId) : tenantService.getDefaultTenant();
+  if (!tenant) {
+    return res.status(400).json({ error: `Unknown tenant ${tenantId}` });
+  }
+
+  req.tenant = tenant;
+  tenantService.run(tenant, next);
+}
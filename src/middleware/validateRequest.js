@@ -0,0 +1,24 @@
+import { ApiError, ERROR_CODES, sendError } from '../utils/errors.js';
+
+// Turns Ajv errors into `{ field, message }` pairs, e.g. `{ field: "/user/children/0/birthday", message: "must match format \"date\"" }`.
+// The `if` keyword's own "must match else schema" error only repeats the error that caused it.
+function formatValidationErrors(errors) {
+  return errors.filter(error => error.keyword !== 'if').map(error => ({
+    field: error.params.additionalProperty
+      ? `${error.instancePath}/${error.params.additionalProperty}`
+      : error.instancePath || '/',
+    message: error.message
+  }));
+}
+
+/**
+ * Rejects requests whose JSON body does not match a compiled Ajv schema with an INVALID_INPUT error
+ * @param {Function} validate - Validator compiled with `ajv.compile()`
+ * @returns {Function} Express middleware
+ */
+export function validateBody(validate) {
+  return (req, res, next) => {
+    if (validate(req.body)) return next();
+    sendError(req, res, new ApiError(ERROR_CODES.INVALID_INPUT, 'Request body is invalid', formatValidationErrors(validate.errors)));
+  };
+}
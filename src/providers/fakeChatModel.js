@@ -0,0 +1,91 @@
+import fs from 'fs';
+import { BaseModel } from '@llm-tools/embedjs-interfaces';
+import logger from '../utils/logger.js';
+
+/**
+ * Deterministic offline chat model for development and CI.
+ * Completions come from an optional script file, a JSON array of
+ * `{ "match": "...", "response": "..." | {...} }` entries; the first entry whose `match`
+ * occurs in the user message (case-insensitive) wins. Unscripted prompts that ask for the
+ * `{answer, relatedProducts}` JSON get an answer recommending the first SKUs in the
+ * supporting context, and any other prompt gets a short plain-text reply.
+ */
+export class FakeChatModel extends BaseModel {
+  constructor({ completionsPath, temperature } = {}) {
+    super(temperature);
+    this.completionsPath = completionsPath;
+    this.completions = [];
+  }
+
+  async init() {
+    if (!this.completionsPath) return;
+
+    const completions = JSON.parse(fs.readFileSync(this.completionsPath, 'utf8'));
+    if (!Array.isArray(completions)) {
+      throw new Error(`Fake completions file ${this.completionsPath} must contain a JSON array`);
+    }
+    this.completions = completions;
+    logger.info('Loaded scripted completions', { count: completions.length, path: this.completionsPath });
+  }
+
+  async runQuery(messages) {
+    const result = this.complete(messages);
+    return {
+      result,
+      tokenUse: {
+        inputTokens: messages.reduce((count, message) => count + countWords(getMessageText(message)), 0),
+        outputTokens: countWords(result),
+      },
+    };
+  }
+
+  /**
+   * Streams the completion word by word, like OpenAiChatModel.stream()
+   * @param {Array} messages - Messages built with `prepare()`
+   * @param {Object} [options]
+   * @param {Function} [options.onTokenUse] - Called with `{inputTokens, outputTokens}` once the stream ends or is abandoned
+   * @returns {AsyncGenerator<string>} Text chunks of the completion
+   */
+  async *stream(messages, { onTokenUse } = {}) {
+    const { result, tokenUse } = await this.runQuery(messages);
+    try {
+      for (const piece of result.match(/\S+\s*/g) || []) {
+        yield piece;
+      }
+    } finally {
+      if (onTokenUse) onTokenUse(tokenUse);
+    }
+  }
+
+  complete(messages) {
+    const userMessage = getMessageText(messages[messages.length - 1]);
+    const normalizedUserMessage = userMessage.toLowerCase();
+
+    const scripted = this.completions.find(completion => completion.match && normalizedUserMessage.includes(String(completion.match).toLowerCase()));
+    if (scripted) {
+      return typeof scripted.response === 'string' ? scripted.response : JSON.stringify(scripted.response);
+    }
+
+    if (!userMessage.includes('relatedProducts')) {
+      return `Offline reply to: ${userMessage.substring(0, 200)}`;
+    }
+
+    const context = messages.slice(0, -1).map(getMessageText).join('\n');
+    const skus = [...new Set([...context.matchAll(/\bSku:\s*([^\s,;]+)/gi)].map(match => match[1]))].slice(0, 3);
+    return JSON.stringify({
+      answer: skus.length > 0
+        ? 'Here are some products from the catalog that match your request.'
+        : 'I could not find a matching product in the catalog.',
+      relatedProducts: skus,
+    });
+  }
+}
+
+function getMessageText(message) {
+  if (!message) return '';
+  return typeof message.content === 'string' ? message.content : message.content.map(part => part.text || '').join('');
+}
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
@@ -0,0 +1,45 @@
+import { createHash } from 'crypto';
+import { BaseEmbeddings } from '@llm-tools/embedjs-interfaces';
+
+/**
+ * Deterministic offline embeddings for development and CI.
+ * Each word is hashed into one dimension (feature hashing), so texts that share
+ * words get similar vectors and the same text always gets the same vector.
+ */
+export class FakeEmbeddings extends BaseEmbeddings {
+  constructor({ dimensions = 256 } = {}) {
+    super();
+    this.dimensions = dimensions;
+  }
+
+  async getDimensions() {
+    return this.dimensions;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+      const digest = createHash('md5').update(word).digest();
+      const index = digest.readUInt32BE(0) % this.dimensions;
+      vector[index] += digest[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    // Vector databases reject zero vectors under cosine distance
+    if (norm === 0) {
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map(value => value / norm);
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * embedjs store that keeps loader metadata, custom values and conversations in process memory,
+ * for tests and the offline evaluation. It behaves like MongoStore (packages/embedjs-mongodb)
+ * rather than embedjs' own MemoryStore: values are copied in and out like documents,
+ * loaderCustomKeys() is supported, and addEntryToConversation() silently does nothing for a
+ * conversation that was never added, as MongoStore's update without upsert does.
+ */
+export class InMemoryStore {
+  constructor() {
+    this.loaderMetadata = new Map();
+    this.customValues = new Map();
+    this.conversations = new Map();
+  }
+
+  async init() {}
+
+  async addLoaderMetadata(loaderId, value) {
+    this.loaderMetadata.set(loaderId, structuredClone(value));
+  }
+
+  async getLoaderMetadata(loaderId) {
+    return this.loaderMetadata.has(loaderId) ? structuredClone(this.loaderMetadata.get(loaderId)) : null;
+  }
+
+  async hasLoaderMetadata(loaderId) {
+    return this.loaderMetadata.has(loaderId);
+  }
+
+  async getAllLoaderMetadata() {
+    return [...this.loaderMetadata.values()].map(value => structuredClone(value));
+  }
+
+  async loaderCustomSet(loaderId, key, value) {
+    const existing = this.customValues.get(key);
+    this.customValues.set(key, { value: { ...(existing ? existing.value : {}), ...structuredClone(value) }, loaderId });
+  }
+
+  async loaderCustomGet(key) {
+    return this.customValues.has(key) ? structuredClone(this.customValues.get(key).value) : null;
+  }
+
+  async loaderCustomHas(key) {
+    return this.customValues.has(key);
+  }
+
+  async loaderCustomKeys(keyPrefix) {
+    return [...this.customValues.keys()].filter(key => key.startsWith(keyPrefix));
+  }
+
+  async loaderCustomDelete(key) {
+    this.customValues.delete(key);
+  }
+
+  async deleteLoaderMetadataAndCustomValues(loaderId) {
+    this.loaderMetadata.delete(loaderId);
+    for (const [key, { loaderId: valueLoaderId }] of this.customValues) {
+      if (valueLoaderId === loaderId) this.customValues.delete(key);
+    }
+  }
+
+  async addConversation(conversationId) {
+    this.conversations.set(conversationId, []);
+  }
+
+  async getConversation(conversationId) {
+    return { conversationId, entries: structuredClone(this.conversations.get(conversationId) || []) };
+  }
+
+  async hasConversation(conversationId) {
+    return this.conversations.has(conversationId);
+  }
+
+  async deleteConversation(conversationId) {
+    this.conversations.delete(conversationId);
+  }
+
+  async addEntryToConversation(conversationId, entry) {
+    if (this.conversations.has(conversationId)) {
+      this.conversations.get(conversationId).push(structuredClone(entry));
+    }
+  }
+
+  async clearConversations() {
+    this.conversations.clear();
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * embedjs vector database kept in process memory, for tests and the offline evaluation.
+ * Chunks are ranked by the cosine similarity of their vector to the query; nothing is
+ * persisted, so the vectors are gone when the process exits.
+ */
+export class MemoryVectorDatabase {
+  constructor() {
+    this.chunks = [];
+  }
+
+  async init() {}
+
+  async insertChunks(chunks) {
+    this.chunks.push(...chunks.map(chunk => structuredClone(chunk)));
+    return chunks.length;
+  }
+
+  async similaritySearch(query, k) {
+    return this.chunks
+      .map(({ vector, pageContent, metadata }) => ({ score: cosineSimilarity(query, vector), pageContent, metadata: { ...metadata } }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  async getVectorCount() {
+    return this.chunks.length;
+  }
+
+  async deleteKeys(uniqueLoaderId) {
+    const count = this.chunks.length;
+    this.chunks = this.chunks.filter(chunk => chunk.metadata.uniqueLoaderId !== uniqueLoaderId);
+    return this.chunks.length < count;
+  }
+
+  async reset() {
+    this.chunks = [];
+  }
+}
+
+function cosineSimilarity(a, b) {
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < a.length; index++) {
+    dotProduct += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  return normA === 0 || normB === 0 ? 0 : dotProduct / Math.sqrt(normA * normB);
+}
@@ -0,0 +1,65 @@
+import { OpenAiEmbeddings } from '@llm-tools/embedjs-openai';
+import { OpenAiChatModel } from './openAiChatModel.js';
+import { FakeChatModel } from './fakeChatModel.js';
+import { FakeEmbeddings } from './fakeEmbeddings.js';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Values accepted for providers.llm (LLM_PROVIDER) and providers.embeddings (EMBEDDING_PROVIDER)
+export const LLM_PROVIDERS = ['openai', 'fake'];
+export const EMBEDDING_PROVIDERS = ['openai', 'fake'];
+
+/**
+ * Creates the chat model selected by `providers.llm`
+ * @returns {BaseModel} An embedjs model that also implements `stream(messages)`
+ */
+export function createChatModel() {
+  switch (config.providers.llm) {
+    case 'openai':
+      logger.info(`Using OpenAI chat model '${config.openai.completionModel}'`);
+      return new OpenAiChatModel({
+        modelName: config.openai.completionModel,
+        apiKey: config.openai.apiKey,
+        temperature: config.rag.temperature
+      });
+    case 'fake':
+      logger.info('Using the offline fake chat model');
+      return new FakeChatModel({
+        completionsPath: config.fake.completionsPath,
+        temperature: config.rag.temperature
+      });
+    default:
+      throw new Error(`Unsupported providers.llm '${config.providers.llm}'. Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * Creates the embedding model selected by `providers.embeddings`.
+ * Vectors from different providers or models are not comparable, so changing this
+ * requires re-embedding the catalog.
+ * @returns {BaseEmbeddings} An embedjs embedding model
+ */
+export function createEmbeddingModel() {
+  switch (config.providers.embeddings) {
+    case 'openai':
+      logger.info(`Using OpenAI embedding model '${config.openai.embeddingModel}'`);
+      return new OpenAiEmbeddings({
+        model: config.openai.embeddingModel,
+        dimensions: config.openai.embeddingDimensions,
+        apiKey: config.openai.apiKey,
+        batchSize: config.rag.embeddingBatchSize
+      });
+    case 'fake':
+      logger.info(`Using offline fake embeddings with ${config.fake.embeddingDimensions} dimensions`);
+      return new FakeEmbeddings({ dimensions: config.fake.embeddingDimensions });
+    default:
+      throw new Error(`Unsupported providers.embeddings '${config.providers.embeddings}'. Expected one of: ${EMBEDDING_PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * @returns {boolean} Whether any configured provider calls the OpenAI API
+ */
+export function usesOpenAi() {
+  return config.providers.llm === 'openai' || config.providers.embeddings === 'openai';
+}
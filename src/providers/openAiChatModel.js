@@ -0,0 +1,54 @@
+import { ChatOpenAI } from '@langchain/openai';
+import { BaseModel } from '@llm-tools/embedjs-interfaces';
+
+/**
+ * OpenAI chat model for embedjs that, unlike the stock `OpenAi` model,
+ * can also stream its completion token by token.
+ */
+export class OpenAiChatModel extends BaseModel {
+  constructor({ modelName, apiKey, temperature } = {}) {
+    super(temperature);
+    this.configuration = { model: modelName, apiKey, streamUsage: true };
+    this.model = null;
+  }
+
+  async init() {
+    this.model = new ChatOpenAI({ ...this.configuration, temperature: this.temperature });
+  }
+
+  async runQuery(messages) {
+    const result = await this.model.invoke(messages);
+    return {
+      result: result.content.toString(),
+      tokenUse: {
+        inputTokens: result.usage_metadata?.input_tokens ?? 0,
+        outputTokens: result.usage_metadata?.output_tokens ?? 0,
+      },
+    };
+  }
+
+  /**
+   * Streams the completion for the prepared messages
+   * @param {Array} messages - Messages built with `prepare()`
+   * @param {Object} [options]
+   * @param {Function} [options.onTokenUse] - Called with `{inputTokens, outputTokens}` once the stream ends or is abandoned
+   * @returns {AsyncGenerator<string>} Text chunks as the model produces them
+   */
+  async *stream(messages, { onTokenUse } = {}) {
+    const tokenUse = { inputTokens: 0, outputTokens: 0 };
+    try {
+      const stream = await this.model.stream(messages);
+      for await (const chunk of stream) {
+        // With streamUsage, OpenAI reports the usage on the last chunk
+        if (chunk.usage_metadata) {
+          tokenUse.inputTokens += chunk.usage_metadata.input_tokens ?? 0;
+          tokenUse.outputTokens += chunk.usage_metadata.output_tokens ?? 0;
+        }
+        const text = typeof chunk.content === 'string' ? chunk.content : chunk.content.map(part => part.text || '').join('');
+        if (text) yield text;
+      }
+    } finally {
+      if (onTokenUse) onTokenUse(tokenUse);
+    }
+  }
+}
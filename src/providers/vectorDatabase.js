@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+import { QdrantDb } from '@llm-tools/embedjs-qdrant';
+import { LanceDb } from '@llm-tools/embedjs-lancedb';
+import { MongoDb } from '@llm-tools/embedjs-mongodb';
+import { MemoryVectorDatabase } from './memoryVectorDatabase.js';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Values accepted for vectorDb.type (VECTOR_DB_TYPE). `memory` keeps nothing across restarts (tests and `evaluate.mjs --offline`).
+export const VECTOR_DB_TYPES = ['qdrant', 'lancedb', 'mongodb', 'memory'];
+
+/**
+ * Creates the vector database selected by `vectorDb.type`.
+ * Shared by the API and generate-embeddings.mjs so both always read and write the same vectors.
+ * @param {string} [collectionName] - Collection to use, defaults to the product embeddings collection
+ * @returns {Object} An embedjs vector database, not yet initialized
+ */
+export function createVectorDatabase(collectionName = config.vectorDb.collectionName) {
+  switch (config.vectorDb.type) {
+    case 'qdrant': {
+      const qdrantUrl = `http://${config.qdrant.host}:${config.qdrant.httpPort}`;
+      logger.info('QdrantDb PRE-INIT', { url: qdrantUrl, apiKeySet: !!config.qdrant.apiKey, collectionName });
+      return new QdrantDb({
+        url: qdrantUrl,
+        apiKey: config.qdrant.apiKey,
+        clusterName: collectionName
+      });
+    }
+    case 'lancedb': {
+      // LanceDb keeps a single table per directory, so each collection gets its own directory
+      const collectionPath = path.join(config.vectorDb.path, collectionName);
+      fs.mkdirSync(config.vectorDb.path, { recursive: true });
+      logger.info('LanceDb PRE-INIT', { path: collectionPath });
+      return new LanceDb({ path: collectionPath });
+    }
+    case 'mongodb': {
+      if (!config.mongo.storeConnectionUri) {
+        throw new Error("MONGO_STORE_CONNECTION_URI is not set. Cannot initialize the MongoDb vector database.");
+      }
+      logger.info('MongoDb PRE-INIT', { database: config.mongo.database, collectionName });
+      return new MongoDb({
+        connectionString: config.mongo.storeConnectionUri,
+        dbName: config.mongo.database,
+        collectionName
+      });
+    }
+    case 'memory':
+      logger.info('MemoryVectorDatabase PRE-INIT', { collectionName });
+      return new MemoryVectorDatabase();
+    default:
+      throw new Error(`Unsupported vectorDb.type '${config.vectorDb.type}'. Expected one of: ${VECTOR_DB_TYPES.join(', ')}`);
+  }
+}
@@ -1,15 +1,85 @@
 import express from 'express';
-import { handleQuery } from '../controllers/chatController.js';
+import { handleQuery, handleStreamQuery } from '../controllers/chatController.js';
+import { getProduct, listProducts } from '../controllers/productController.js';
+import {
+  listConversations,
+  createConversation,
+  getConversation,
+  deleteConversation,
+  getMemory,
+  deleteMemory,
+  exportUserData,
+  deleteUserData
+} from '../controllers/userDataController.js';
+import {
+  flushCache,
+  getTokenUsage,
+  listPrompts,
+  getPromptSet,
+  createPrompts,
+  updatePromptDeployment,
+  rollbackPrompts
+} from '../controllers/adminController.js';
+import { submitFeedback } from '../controllers/feedbackController.js';
+import { getMetrics } from '../controllers/metricsController.js';
+import { getLiveness, getReadiness } from '../controllers/healthController.js';
+import { authenticate, allowAnonymousChat, requireUser, requireSelfOrAdmin, requireAdmin } from '../middleware/auth.js';
+import { rateLimit, trackTokenUsage } from '../middleware/rateLimit.js';
+import { resolveTenant } from '../middleware/tenant.js';
+import { validateBody } from '../middleware/validateRequest.js';
+import { validateChatRequest } from '../utils/chatRequestSchema.js';
+import { validateFeedbackRequest } from '../utils/feedbackRequestSchema.js';
+import { validateCreatePromptSetRequest, validatePromptDeploymentRequest } from '../utils/promptSetSchema.js';
+import { config } from '../config/index.js';
 
 const router = express.Router();
 
-// Health check endpoint
-router.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+// Health checks: liveness (the process is up) and readiness (its dependencies answer)
+router.get('/health', getLiveness);
+router.get('/health/live', getLiveness);
+router.get('/health/ready', getReadiness);
 
-// Chat endpoints
-router.post('/ask', (req, res) => handleQuery(req, res, '/ask'));
-router.post('/chat', (req, res) => handleQuery(req, res, '/chat'));
+// Prometheus metrics, scraped without credentials like the health checks
+if (config.metrics.enabled) {
+  router.get('/metrics', getMetrics);
+}
+
+// Every route below resolves the caller from an API key or JWT, then the tenant it works for
+router.use(authenticate);
+router.use(resolveTenant);
+
+// Chat endpoints (these call the LLM, so they are rate limited and their token use is recorded).
+// Bodies are validated first, so a rejected request does not count against the caller's limits.
+const chatMiddleware = [allowAnonymousChat, validateBody(validateChatRequest), rateLimit, trackTokenUsage];
+router.post('/ask', chatMiddleware, (req, res) => handleQuery(req, res, '/ask'));
+router.post('/chat', chatMiddleware, (req, res) => handleQuery(req, res, '/chat'));
+router.post('/chat/stream', chatMiddleware, (req, res) => handleStreamQuery(req, res, '/chat/stream'));
+
+// Feedback on answers and recommended products (answers of anonymous callers are not stored, so they cannot be rated)
+router.post('/feedback', requireUser, validateBody(validateFeedbackRequest), submitFeedback);
+
+// Product catalog endpoints
+router.get('/products', listProducts);
+router.get('/products/:sku', getProduct);
+
+// Per-user stored data endpoints
+router.use('/users/:userId', requireSelfOrAdmin);
+router.get('/users/:userId/conversations', listConversations);
+router.post('/users/:userId/conversations', createConversation);
+router.get('/users/:userId/conversations/:conversationId', getConversation);
+router.delete('/users/:userId/conversations/:conversationId', deleteConversation);
+router.get('/users/:userId/memory', getMemory);
+router.delete('/users/:userId/memory', deleteMemory);
+router.get('/users/:userId/export', exportUserData);
+router.delete('/users/:userId', deleteUserData);
+
+// Admin endpoints
+router.delete('/admin/cache', requireAdmin, flushCache);
+router.get('/admin/usage', requireAdmin, getTokenUsage);
+router.get('/admin/prompts', requireAdmin, listPrompts);
+router.post('/admin/prompts', requireAdmin, validateBody(validateCreatePromptSetRequest), createPrompts);
+router.put('/admin/prompts/deployment', requireAdmin, validateBody(validatePromptDeploymentRequest), updatePromptDeployment);
+router.post('/admin/prompts/rollback', requireAdmin, rollbackPrompts);
+router.get('/admin/prompts/:version', requireAdmin, getPromptSet);
 
 export default router; 
\ No newline at end of file
@@ -1,23 +1,55 @@
 import ragService from './ragService.js';
+import tenantService from './tenantService.js';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { encodeKeySegment } from '../utils/storeKeys.js';
+
+const CACHE_KEY_PREFIX = 'cache:';
 
 class CacheService {
   constructor() {
-    this.mongoStore = null;
+    this.mongoStores = null;
+  }
+
+  // Each tenant's answers are cached in its own MongoStore (Map of tenant ID to store, see ragService.js)
+  initialize(mongoStores) {
+    this.mongoStores = mongoStores;
   }
 
-  initialize(mongoStore) {
-    this.mongoStore = mongoStore;
+  get mongoStore() {
+    return tenantService.select(this.mongoStores);
+  }
+
+  // Normalize a query so trivially different phrasings ("Stroller?" / "stroller") share a cache entry
+  normalizeQuery(query) {
+    return query
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
   }
 
   // Generate a consistent cache key
   generateCacheKey(userId, query, userMetadata) {
     const metadataString = JSON.stringify(userMetadata || {});
-    return `cache:${userId}:${query}:${metadataString}`; 
+    return `${this.getUserCacheKeyPrefix(userId)}${this.normalizeQuery(query)}:${metadataString}`;
+  }
+
+  // Prefix shared by every cache key belonging to a user
+  getUserCacheKeyPrefix(userId) {
+    return `${CACHE_KEY_PREFIX}${encodeKeySegment(userId)}:`;
+  }
+
+  isExpired(cachedResultDocument) {
+    const ttlSeconds = config.cache.ttlSeconds;
+    if (!ttlSeconds || !cachedResultDocument.timestamp) return false;
+    return Date.now() - new Date(cachedResultDocument.timestamp).getTime() > ttlSeconds * 1000;
   }
 
   async getCachedResult(userId, query, userMetadata) {
     if (!this.mongoStore) {
-      console.error("Cache service not initialized with MongoStore");
+      logger.error('Cache service not initialized with MongoStore');
       return null;
     }
 
@@ -25,43 +57,137 @@ class CacheService {
     let cachedResultDocument = null;
 
     try {
-      console.log(`Attempting to get cache with key: ${cacheKey}`);
+      logger.debug('Looking up exact cache entry', { userId });
       cachedResultDocument = await this.mongoStore.loaderCustomGet(cacheKey);
     } catch (cacheGetError) {
-      console.warn(`Error during mongoStore.loaderCustomGet for cache (treating as cache miss): ${cacheGetError.message}`);
+      logger.warn('Error during mongoStore.loaderCustomGet for cache (treating as cache miss)', { userId, error: cacheGetError });
+      return null;
+    }
+
+    if (cachedResultDocument && cachedResultDocument.data && this.isExpired(cachedResultDocument)) {
+      logger.info('Cache entry expired', { userId });
+      await this.mongoStore.loaderCustomDelete(cacheKey).catch(error => {
+        logger.warn('Error deleting expired cache entry', { userId, error });
+      });
       return null;
     }
 
     if (cachedResultDocument && cachedResultDocument.data) {
-      console.log(`MongoStore cache hit for query: "${query.substring(0, 30)}..." by user ${userId}`);
+      logger.info('Exact cache hit', { userId, query });
       return cachedResultDocument.data;
     }
 
-    console.log(`Cache miss for key (or error during fetch/no data property): ${cacheKey}`);
+    logger.info('Exact cache miss', { userId });
     return null;
   }
 
   async setCachedResult(userId, query, userMetadata, data) {
     if (!this.mongoStore) {
-      console.error("Cache service not initialized with MongoStore");
+      logger.error('Cache service not initialized with MongoStore');
       return false;
     }
 
     if (typeof this.mongoStore.loaderCustomSet !== 'function') {
-      console.error("mongoStore.loaderCustomSet is not a function! Cannot save to cache.");
+      logger.error('mongoStore.loaderCustomSet is not a function! Cannot save to cache.');
       return false;
     }
 
     const cacheKey = this.generateCacheKey(userId, query, userMetadata);
     try {
-      console.log(`Setting cache with key: ${cacheKey}`);
-      await this.mongoStore.loaderCustomSet(userId, cacheKey, { data, timestamp: new Date() });
+      logger.debug('Setting exact cache entry', { userId });
+      const skus = Array.isArray(data.relatedProducts) ? data.relatedProducts.map(product => product.sku) : [];
+      await this.mongoStore.loaderCustomSet(userId, cacheKey, { data, skus, timestamp: new Date() });
       return true;
     } catch (error) {
-      console.error(`Error setting cache: ${error.message}`);
+      logger.error('Error setting cache', { userId, error });
       return false;
     }
   }
+
+  async getUserCacheEntries(userId) {
+    if (!this.mongoStore) {
+      logger.error('Cache service not initialized with MongoStore');
+      return [];
+    }
+
+    const cacheKeys = await this.mongoStore.loaderCustomKeys(this.getUserCacheKeyPrefix(userId));
+    const entries = [];
+    for (const key of cacheKeys) {
+      const cachedResultDocument = await this.mongoStore.loaderCustomGet(key);
+      if (cachedResultDocument) entries.push({ key, ...cachedResultDocument });
+    }
+    return entries;
+  }
+
+  async clearUserCache(userId) {
+    if (!this.mongoStore) {
+      logger.error('Cache service not initialized with MongoStore');
+      return 0;
+    }
+
+    const cacheKeys = await this.mongoStore.loaderCustomKeys(this.getUserCacheKeyPrefix(userId));
+    await this.deleteCacheKeys(cacheKeys);
+    logger.info('Cleared cache entries for user', { userId, count: cacheKeys.length });
+    return cacheKeys.length;
+  }
+
+  // Removes one cached answer, e.g. after negative feedback; returns whether it was still cached
+  async evictEntry(cacheKey) {
+    if (!this.mongoStore) {
+      logger.error('Cache service not initialized with MongoStore');
+      return false;
+    }
+
+    if (!cacheKey.startsWith(CACHE_KEY_PREFIX) || !(await this.mongoStore.loaderCustomHas(cacheKey))) {
+      return false;
+    }
+    await this.mongoStore.loaderCustomDelete(cacheKey);
+    logger.info('Evicted cache entry');
+    return true;
+  }
+
+  async deleteCacheKeys(cacheKeys) {
+    for (const key of cacheKeys) {
+      await this.mongoStore.loaderCustomDelete(key);
+    }
+    return cacheKeys.length;
+  }
+
+  // Removes every cached answer that recommends the given SKU
+  async clearCacheForSku(sku) {
+    if (!this.mongoStore) {
+      logger.error('Cache service not initialized with MongoStore');
+      return 0;
+    }
+
+    const cacheKeys = await this.mongoStore.loaderCustomKeys(CACHE_KEY_PREFIX);
+    const matchingKeys = [];
+    for (const key of cacheKeys) {
+      const cachedResultDocument = await this.mongoStore.loaderCustomGet(key);
+      if (!cachedResultDocument) continue;
+
+      // Entries written before `skus` was stored only have the hydrated products
+      const skus = cachedResultDocument.skus ||
+        ((cachedResultDocument.data && cachedResultDocument.data.relatedProducts) || []).map(product => product.sku);
+      if (skus.includes(sku)) matchingKeys.push(key);
+    }
+
+    await this.deleteCacheKeys(matchingKeys);
+    logger.info('Cleared cache entries referencing SKU', { sku, count: matchingKeys.length });
+    return matchingKeys.length;
+  }
+
+  async clearAllCache() {
+    if (!this.mongoStore) {
+      logger.error('Cache service not initialized with MongoStore');
+      return 0;
+    }
+
+    const cacheKeys = await this.mongoStore.loaderCustomKeys(CACHE_KEY_PREFIX);
+    await this.deleteCacheKeys(cacheKeys);
+    logger.info('Cleared all cache entries', { count: cacheKeys.length });
+    return cacheKeys.length;
+  }
 }
 
 // Singleton instance
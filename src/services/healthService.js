@@ -0,0 +1,87 @@
+import { pingDatabase } from '../../db.mjs';
+import ragService from './ragService.js';
+import { config } from '../config/index.js';
+
+// A key that is never written; looking it up proves each MongoStore collection answers queries
+const PROBE_KEY = 'health:probe';
+
+/**
+ * Dependency checks behind GET /health/ready.
+ * Each check is given config.health.checkTimeoutMs and reports its status and latency;
+ * the service is ready only when every check passes.
+ */
+class HealthService {
+  constructor() {
+    this.checks = {
+      productDatabase: () => this.checkProductDatabase(),
+      mongoStore: () => this.checkMongoStore(),
+      vectorStore: () => this.checkVectorStore(),
+      ragApplication: () => this.checkRagApplication()
+    };
+  }
+
+  async checkProductDatabase() {
+    await pingDatabase();
+  }
+
+  // Touches the loader metadata (cache), custom data (memory) and conversation collections
+  async checkMongoStore() {
+    const mongoStore = ragService.mongoStore;
+    if (!mongoStore) throw new Error('MongoStore not initialized');
+
+    await Promise.all([
+      mongoStore.hasLoaderMetadata(PROBE_KEY),
+      mongoStore.loaderCustomHas(PROBE_KEY),
+      mongoStore.hasConversation(PROBE_KEY)
+    ]);
+  }
+
+  // An empty vector store means embeddings were never generated, so answers would have no catalog context
+  async checkVectorStore() {
+    if (!ragService.ragApplication) throw new Error('RAG Application not initialized');
+
+    const vectorCount = await ragService.ragApplication.getEmbeddingsCount();
+    if (!vectorCount) {
+      throw new Error(`Vector store '${config.vectorDb.collectionName}' is empty. Run generate-embeddings.mjs`);
+    }
+    return { type: config.vectorDb.type, vectorCount };
+  }
+
+  async checkRagApplication() {
+    if (!ragService.ragApplication) throw new Error('RAG Application not initialized');
+  }
+
+  async runCheck(check) {
+    const startTime = Date.now();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Check timed out after ${config.health.checkTimeoutMs} ms`)), config.health.checkTimeoutMs);
+    });
+
+    try {
+      const details = await Promise.race([check(), timeout]);
+      return { status: 'ok', latencyMs: Date.now() - startTime, ...details };
+    } catch (error) {
+      return { status: 'fail', latencyMs: Date.now() - startTime, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Runs every dependency check in parallel
+   * @returns {Promise<{status: string, checks: Object}>} `status` is 'ok' only if every check passed
+   */
+  async checkReadiness() {
+    const names = Object.keys(this.checks);
+    const results = await Promise.all(names.map(name => this.runCheck(this.checks[name])));
+
+    const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+    const status = results.every(result => result.status === 'ok') ? 'ok' : 'fail';
+    return { status, checks };
+  }
+}
+
+// Singleton instance
+const healthService = new HealthService();
+export default healthService;
@@ -1,141 +1,436 @@
+import { randomUUID } from 'crypto';
 import ragService from './ragService.js';
+import tenantService from './tenantService.js';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import { getResultText } from '../utils/llmResponse.js';
+import { parseFactExtraction, mergeFacts, selectRelevantFacts, formatFacts } from '../utils/memoryFacts.js';
+import { encodeKeySegment } from '../utils/storeKeys.js';
+
+// Thread ID used when a client does not send a conversationId. It maps to the
+// pre-threads conversation whose store ID is the (escaped) userId alone.
+export const DEFAULT_CONVERSATION_ID = 'default';
+export const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const THREAD_TITLE_MAX_LENGTH = 60;
+// Most conversation entries sent to the LLM in one fact extraction
+const MAX_EXTRACTION_ENTRIES = 20;
 
 class MemoryService {
   constructor() {
-    this.mongoStore = null;
+    this.mongoStores = null;
+  }
+
+  // Each tenant's conversations and memory live in its own MongoStore (Map of tenant ID to store, see ragService.js)
+  initialize(mongoStores) {
+    this.mongoStores = mongoStores;
+  }
+
+  get mongoStore() {
+    return tenantService.select(this.mongoStores);
+  }
+
+  getFactsKey(userId) {
+    return `memory:${encodeKeySegment(userId)}:facts`;
   }
 
-  initialize(mongoStore) {
-    this.mongoStore = mongoStore;
+  // Written by the summarization-based memory that facts replaced; still read until facts exist
+  getLegacySummaryKey(userId) {
+    return `memory:${encodeKeySegment(userId)}:last_summary`;
   }
 
-  async getConversationMemory(userId) {
+  async getFactsDocument(userId) {
+    const factsDocument = await this.mongoStore.loaderCustomGet(this.getFactsKey(userId));
+    return (factsDocument && Array.isArray(factsDocument.facts)) ? factsDocument : null;
+  }
+
+  /**
+   * Long-term memory for the answer prompt: the user's facts that are relevant to the query
+   * (see selectRelevantFacts in utils/memoryFacts.js), one per line
+   * @param {string} userId - The user
+   * @param {string} userQuery - The user's current query
+   * @returns {Promise<string>} Prompt text, or '' if nothing is remembered
+   */
+  async getConversationMemory(userId, userQuery) {
     if (!this.mongoStore) {
-      console.error("Memory service not initialized with MongoStore");
+      logger.error('Memory service not initialized with MongoStore');
       return "";
     }
 
-    let longTermMemoryContext = "";
-    const memoryKeyForLastSummary = `memory:${userId}:last_summary`;
-    
     try {
-      console.log(`Attempting to get last summary memory with key: ${memoryKeyForLastSummary}`);
-      const lastSummaryMemory = await this.mongoStore.loaderCustomGet(memoryKeyForLastSummary);
-      
+      const factsDocument = await this.getFactsDocument(userId);
+      if (factsDocument && factsDocument.facts.length > 0) {
+        const relevantFacts = selectRelevantFacts(factsDocument.facts, userQuery, config.memory.maxPromptFacts);
+        logger.debug('Selected memory facts for prompt', { userId, selected: relevantFacts.length, stored: factsDocument.facts.length });
+        return formatFacts(relevantFacts);
+      }
+
+      const lastSummaryMemory = await this.mongoStore.loaderCustomGet(this.getLegacySummaryKey(userId));
       if (lastSummaryMemory && lastSummaryMemory.text) {
-        longTermMemoryContext = lastSummaryMemory.text;
-        console.log(`Retrieved last summary for longTermMemoryContext.`);
-      } else {
-        console.log(`No last summary found or no text in memory for longTermMemoryContext.`);
+        logger.debug('No memory facts yet, using last summary', { userId });
+        return lastSummaryMemory.text;
       }
+      logger.debug('No long-term memory found', { userId });
     } catch (memoryGetError) {
-      console.warn(`Error during mongoStore.loaderCustomGet for memory: ${memoryGetError.message}`);
+      logger.warn('Error during mongoStore.loaderCustomGet for memory', { userId, error: memoryGetError });
+    }
+
+    return "";
+  }
+
+  isValidConversationId(conversationId) {
+    return CONVERSATION_ID_PATTERN.test(conversationId);
+  }
+
+  // Conversations are namespaced per user in the store, so a thread ID can never reach another user's data
+  getStoreConversationId(userId, conversationId = DEFAULT_CONVERSATION_ID) {
+    const userSegment = encodeKeySegment(userId);
+    return conversationId === DEFAULT_CONVERSATION_ID ? userSegment : `${userSegment}:${conversationId}`;
+  }
+
+  getThreadIndexKey(userId) {
+    return `threads:${encodeKeySegment(userId)}`;
+  }
+
+  async getThreadIndex(userId) {
+    const threadIndex = await this.mongoStore.loaderCustomGet(this.getThreadIndexKey(userId));
+    return (threadIndex && Array.isArray(threadIndex.threads)) ? threadIndex.threads : [];
+  }
+
+  async saveThreadIndex(userId, threads) {
+    await this.mongoStore.loaderCustomSet(userId, this.getThreadIndexKey(userId), { threads });
+  }
+
+  async createThread(userId, title = '') {
+    if (!this.mongoStore) {
+      logger.error('Memory service not initialized with MongoStore');
+      return null;
+    }
+
+    const now = new Date();
+    const thread = { conversationId: randomUUID(), title, createdAt: now, lastActivityAt: now };
+
+    logger.info('Creating conversation thread', { userId, conversationId: thread.conversationId });
+    await this.mongoStore.addConversation(this.getStoreConversationId(userId, thread.conversationId));
+    await this.saveThreadIndex(userId, [...await this.getThreadIndex(userId), thread]);
+    return thread;
+  }
+
+  async listThreads(userId) {
+    if (!this.mongoStore) {
+      logger.error('Memory service not initialized with MongoStore');
+      return [];
+    }
+
+    const threads = await this.getThreadIndex(userId);
+
+    // Conversations stored before threads existed are not in the index
+    const hasIndexedDefault = threads.some(thread => thread.conversationId === DEFAULT_CONVERSATION_ID);
+    const defaultStoreConversationId = this.getStoreConversationId(userId);
+    if (!hasIndexedDefault && await this.mongoStore.hasConversation(defaultStoreConversationId)) {
+      const { entries } = await this.mongoStore.getConversation(defaultStoreConversationId);
+      const firstUserEntry = entries.find(entry => entry.role === 'User');
+      threads.push({
+        conversationId: DEFAULT_CONVERSATION_ID,
+        title: firstUserEntry ? firstUserEntry.content.substring(0, THREAD_TITLE_MAX_LENGTH) : '',
+        createdAt: entries.length > 0 ? entries[0].timestamp : null,
+        lastActivityAt: entries.length > 0 ? entries[entries.length - 1].timestamp : null
+      });
+    }
+
+    return threads.sort((a, b) => new Date(b.lastActivityAt || 0) - new Date(a.lastActivityAt || 0));
+  }
+
+  // Records activity on a thread, adding it to the index and titling it from the first query if needed
+  async touchThread(userId, conversationId, userQuery) {
+    const threads = await this.getThreadIndex(userId);
+    const now = new Date();
+    let thread = threads.find(existing => existing.conversationId === conversationId);
+
+    if (!thread) {
+      thread = { conversationId, title: '', createdAt: now };
+      threads.push(thread);
     }
+    if (!thread.title && userQuery) {
+      thread.title = userQuery.substring(0, THREAD_TITLE_MAX_LENGTH);
+    }
+    thread.lastActivityAt = now;
 
-    return longTermMemoryContext;
+    await this.saveThreadIndex(userId, threads);
   }
 
-  async getConversationHistory(userId) {
+  async getConversationHistory(userId, conversationId = DEFAULT_CONVERSATION_ID) {
+    const storeConversationId = this.getStoreConversationId(userId, conversationId);
+
     if (!this.mongoStore) {
-      console.error("Memory service not initialized with MongoStore");
-      return { conversationId: userId, entries: [] };
+      logger.error('Memory service not initialized with MongoStore');
+      return { conversationId: storeConversationId, entries: [] };
     }
 
-    console.log(`Checking conversation history for conversationId: ${userId}`);
+    logger.debug('Checking conversation history', { storeConversationId });
     let conversationData = null;
     
     try {
-      const conversationExists = await this.mongoStore.hasConversation(userId);
+      const conversationExists = await this.mongoStore.hasConversation(storeConversationId);
 
       if (conversationExists) {
-        console.log(`Existing conversation found for ${userId}. Fetching...`);
-        conversationData = await this.mongoStore.getConversation(userId); 
+        logger.debug('Existing conversation found, fetching', { storeConversationId });
+        conversationData = await this.mongoStore.getConversation(storeConversationId); 
       } else {
-        console.log(`No existing conversation found for ${userId}. Creating new one.`);
+        logger.info('No existing conversation found, creating a new one', { storeConversationId });
         if (typeof this.mongoStore.addConversation === 'function') {
-          await this.mongoStore.addConversation(userId); 
-          conversationData = await this.mongoStore.getConversation(userId); 
+          await this.mongoStore.addConversation(storeConversationId); 
+          conversationData = await this.mongoStore.getConversation(storeConversationId); 
           if (!conversationData) {
-            console.error(`Failed to retrieve conversation immediately after adding for ${userId}. Initializing locally.`);
-            conversationData = { conversationId: userId, entries: [] }; 
+            logger.error('Failed to retrieve conversation immediately after adding it, initializing locally', { storeConversationId });
+            conversationData = { conversationId: storeConversationId, entries: [] }; 
           }
         } else {
-          console.error(`mongoStore.addConversation is not a function! Cannot create new conversation.`);
-          conversationData = { conversationId: userId, entries: [] };
+          logger.error('mongoStore.addConversation is not a function! Cannot create new conversation.');
+          conversationData = { conversationId: storeConversationId, entries: [] };
         }
       }
     } catch (error) {
-      console.error(`Error fetching conversation history: ${error.message}`);
-      conversationData = { conversationId: userId, entries: [] };
+      logger.error('Error fetching conversation history', { storeConversationId, error });
+      conversationData = { conversationId: storeConversationId, entries: [] };
     }
     
     return conversationData;
   }
 
-  async addConversationEntries(userId, userQuery, botResponse) {
-    if (!this.mongoStore || typeof this.mongoStore.addEntryToConversation !== 'function') {
-      console.error("Memory service not initialized with MongoStore or addEntryToConversation unavailable");
+  // Stored facts, plus the summary written before facts existed if there is one
+  async getLongTermMemory(userId) {
+    if (!this.mongoStore) {
+      logger.error('Memory service not initialized with MongoStore');
+      return null;
+    }
+
+    const factsDocument = await this.getFactsDocument(userId);
+    const lastSummaryMemory = await this.mongoStore.loaderCustomGet(this.getLegacySummaryKey(userId));
+    if (!factsDocument && !lastSummaryMemory) {
+      return null;
+    }
+
+    const memory = {
+      facts: factsDocument ? factsDocument.facts : [],
+      updatedAt: factsDocument ? factsDocument.updatedAt : null
+    };
+    if (lastSummaryMemory) memory.summary = lastSummaryMemory;
+    return memory;
+  }
+
+  async deleteLongTermMemory(userId) {
+    if (!this.mongoStore) {
+      logger.error('Memory service not initialized with MongoStore');
+      return false;
+    }
+
+    const memoryKeys = [this.getFactsKey(userId), this.getLegacySummaryKey(userId)];
+    let deleted = false;
+    for (const memoryKey of memoryKeys) {
+      if (await this.mongoStore.loaderCustomHas(memoryKey)) {
+        await this.mongoStore.loaderCustomDelete(memoryKey);
+        deleted = true;
+      }
+    }
+
+    if (deleted) logger.info('Deleted long-term memory', { userId });
+    return deleted;
+  }
+
+  async findConversation(userId, conversationId = DEFAULT_CONVERSATION_ID) {
+    if (!this.mongoStore) {
+      logger.error('Memory service not initialized with MongoStore');
+      return null;
+    }
+
+    const storeConversationId = this.getStoreConversationId(userId, conversationId);
+    if (!(await this.mongoStore.hasConversation(storeConversationId))) {
+      return null;
+    }
+
+    const { entries } = await this.mongoStore.getConversation(storeConversationId);
+    return { conversationId, entries };
+  }
+
+  async deleteConversation(userId, conversationId = DEFAULT_CONVERSATION_ID) {
+    if (!this.mongoStore) {
+      logger.error('Memory service not initialized with MongoStore');
       return false;
     }
 
+    const storeConversationId = this.getStoreConversationId(userId, conversationId);
+    const threads = await this.getThreadIndex(userId);
+    const remainingThreads = threads.filter(thread => thread.conversationId !== conversationId);
+    const conversationExists = await this.mongoStore.hasConversation(storeConversationId);
+
+    if (!conversationExists && remainingThreads.length === threads.length) {
+      return false;
+    }
+
+    logger.info('Deleting conversation', { storeConversationId });
+    await this.mongoStore.deleteConversation(storeConversationId);
+    await this.saveThreadIndex(userId, remainingThreads);
+    return true;
+  }
+
+  // Deletes every thread of a user along with the thread index; returns the number of threads deleted
+  async deleteAllConversations(userId) {
+    if (!this.mongoStore) {
+      logger.error('Memory service not initialized with MongoStore');
+      return 0;
+    }
+
+    const threads = await this.listThreads(userId);
+    for (const thread of threads) {
+      await this.mongoStore.deleteConversation(this.getStoreConversationId(userId, thread.conversationId));
+    }
+    await this.mongoStore.loaderCustomDelete(this.getThreadIndexKey(userId));
+
+    logger.info('Deleted conversation threads', { userId, count: threads.length });
+    return threads.length;
+  }
+
+  /**
+   * Appends a user turn and the bot's reply to a thread, creating the thread's conversation if it
+   * does not exist yet (cached answers are stored without reading the history first, and the
+   * store does not create conversations when entries are added). Both entries get a stable `id`;
+   * the bot entry's ID is the message ID clients send feedback for (see feedbackController.js).
+   * @param {string} userId - The user
+   * @param {string} conversationId - The thread
+   * @param {string} userQuery - The user's query
+   * @param {string} botResponse - The answer text
+   * @param {Object} [botEntryFields] - Extra fields stored on the bot entry, e.g. its related SKUs and cache keys
+   * @returns {Promise<string|null>} The bot entry's message ID, or null if the entries could not be stored
+   */
+  async addConversationEntries(userId, conversationId, userQuery, botResponse, botEntryFields = {}) {
+    if (!this.mongoStore || typeof this.mongoStore.addEntryToConversation !== 'function') {
+      logger.error('Memory service not initialized with MongoStore or addEntryToConversation unavailable');
+      return null;
+    }
+
+    const storeConversationId = this.getStoreConversationId(userId, conversationId);
+    const messageId = randomUUID();
+
     try {
-      console.log(`Adding user turn to conversation ${userId}`);
-      await this.mongoStore.addEntryToConversation(userId, {
+      if (!(await this.mongoStore.hasConversation(storeConversationId))) {
+        logger.info('No existing conversation found, creating a new one', { storeConversationId });
+        await this.mongoStore.addConversation(storeConversationId);
+      }
+
+      logger.debug('Adding user turn to conversation', { storeConversationId });
+      await this.mongoStore.addEntryToConversation(storeConversationId, {
+        id: randomUUID(),
         role: 'User',
         content: userQuery,
         timestamp: new Date()
       });
 
-      console.log(`Adding bot turn to conversation ${userId}`);
-      await this.mongoStore.addEntryToConversation(userId, {
+      logger.debug('Adding bot turn to conversation', { storeConversationId, messageId });
+      await this.mongoStore.addEntryToConversation(storeConversationId, {
+        ...botEntryFields,
+        id: messageId,
         role: 'Bot',
         content: botResponse,
         timestamp: new Date()
       });
+
+      await this.touchThread(userId, conversationId, userQuery);
       
-      return true;
+      return messageId;
     } catch (error) {
-      console.error(`Error adding conversation entries: ${error.message}`);
-      return false;
+      logger.error('Error adding conversation entries', { storeConversationId, error });
+      return null;
     }
   }
 
-  async summarizeAndStoreMemory(userId, ragService, promptTemplate) {
+  /**
+   * Finds a bot entry by message ID in one of the user's threads
+   * @param {string} userId - The user
+   * @param {string} conversationId - The thread
+   * @param {string} messageId - ID returned by addConversationEntries()
+   * @returns {Promise<{entry: Object, userEntry: Object|null}|null>} The entry and the user turn it answered, or null if not found
+   */
+  async findBotMessage(userId, conversationId, messageId) {
+    if (!this.mongoStore) {
+      logger.error('Memory service not initialized with MongoStore');
+      return null;
+    }
+
+    const { entries } = await this.mongoStore.getConversation(this.getStoreConversationId(userId, conversationId));
+    const index = (entries || []).findIndex(entry => entry.id === messageId && entry.role === 'Bot');
+    if (index === -1) return null;
+
+    const userEntry = index > 0 && entries[index - 1].role === 'User' ? entries[index - 1] : null;
+    return { entry: entries[index], userEntry };
+  }
+
+  /**
+   * Updates the user's long-term memory facts from the turns of a thread that have not been
+   * read yet. Runs once at least memory.extractionIntervalTurns new user turns have accumulated.
+   * The LLM gets the stored facts and only the new turns, and returns the facts to add, update
+   * or remove; every fact records when it was learned and the turn it came from.
+   * Facts are shared by all of a user's threads; each thread's read position is stored with them.
+   * @param {string} userId - The user
+   * @param {string} conversationId - Thread that just got new entries
+   * @param {Object} ragService - Used for the extraction LLM call
+   * @param {string} promptTemplate - The memoryExtractionInstruction prompt
+   * @returns {Promise<boolean>} True if the memory was updated
+   */
+  async updateMemoryFacts(userId, conversationId, ragService, promptTemplate) {
     if (!this.mongoStore) {
-      console.error("Memory service not initialized with MongoStore");
+      logger.error('Memory service not initialized with MongoStore');
       return false;
     }
 
     try {
-      const conversationData = await this.mongoStore.getConversation(userId);
-      const historyEntries = conversationData && conversationData.entries ? conversationData.entries : [];
-
-      if (historyEntries.length > 0 && historyEntries.length % 10 === 0) {
-        const historyTextForSummary = historyEntries.map(turn => `${turn.role}: ${turn.content}`).join("\n");
-        console.log(`Summarizing conversation for ${userId}`);
-        
-        const summary = await ragService.summarizeConversation(userId, historyTextForSummary, promptTemplate);
-        
-        if (summary && !summary.startsWith("Error") && !summary.startsWith("Could not summarize")) {
-          const memoryKeyForLastSummary = `memory:${userId}:last_summary`;
-          
-          if (typeof this.mongoStore.loaderCustomSet === 'function') {
-            console.log(`Adding memory (summary) for ${userId} with key: ${memoryKeyForLastSummary}`);
-            await this.mongoStore.loaderCustomSet(userId, memoryKeyForLastSummary, {
-              text: summary,
-              type: 'conversation_summary',
-              timestamp: new Date()
-            });
-            return true;
-          } else {
-            console.error(`mongoStore.loaderCustomSet is not a function! Cannot save memory (summary).`);
-          }
-        }
+      const conversationData = await this.mongoStore.getConversation(this.getStoreConversationId(userId, conversationId));
+      const entries = conversationData && conversationData.entries ? conversationData.entries : [];
+      const factsDocument = await this.getFactsDocument(userId) || { facts: [], processedEntries: {} };
+      const processedEntries = factsDocument.processedEntries || {};
+
+      // A thread that was deleted and started again is shorter than its stored read position
+      let firstNewEntry = processedEntries[conversationId] || 0;
+      if (firstNewEntry > entries.length) firstNewEntry = 0;
+
+      const newUserTurns = entries.slice(firstNewEntry).filter(entry => entry.role === 'User').length;
+      if (newUserTurns < config.memory.extractionIntervalTurns) {
+        return false;
       }
-      
-      return false;
+
+      const extractionStart = Math.max(firstNewEntry, entries.length - MAX_EXTRACTION_ENTRIES);
+      const newTurnsText = entries.slice(extractionStart)
+        .map((entry, index) => `[turn ${extractionStart + index}] ${entry.role}: ${entry.content}`)
+        .join("\n");
+      // Replacer functions, so `$&` and other replacement patterns in user text are inserted as written
+      const knownFactsText = factsDocument.facts.length > 0 ? formatFacts(factsDocument.facts) : '(none)';
+      const filledPrompt = promptTemplate
+        .replace('{{knownFacts}}', () => knownFactsText)
+        .replace('{{newTurns}}', () => newTurnsText);
+
+      logger.info('Extracting memory facts from new turns', { userId, conversationId, newUserTurns });
+      const result = await ragService.queryWithoutRetrieval(filledPrompt);
+      const parsed = parseFactExtraction(getResultText(result));
+      if (!parsed.value) {
+        // The turns stay unread, so the next update tries them again
+        logger.warn('Memory fact extraction returned an invalid response', { userId, reason: parsed.error });
+        return false;
+      }
+
+      const lastUserTurn = entries.map(entry => entry.role).lastIndexOf('User');
+      const getSource = turn => {
+        const sourceTurn = (Number.isInteger(turn) && turn >= extractionStart && turn < entries.length) ? turn : lastUserTurn;
+        return { conversationId, turn: sourceTurn, timestamp: entries[sourceTurn] ? entries[sourceTurn].timestamp : null };
+      };
+
+      logger.info('Storing memory facts', { userId, learned: parsed.value.facts.length, removed: parsed.value.removed.length });
+      await this.mongoStore.loaderCustomSet(userId, this.getFactsKey(userId), {
+        facts: mergeFacts(factsDocument.facts, parsed.value, getSource),
+        processedEntries: { ...processedEntries, [conversationId]: entries.length },
+        updatedAt: new Date()
+      });
+      return true;
     } catch (error) {
-      console.error(`Error summarizing and storing memory: ${error.message}`);
+      logger.error('Error updating memory facts', { userId, error });
       return false;
     }
   }
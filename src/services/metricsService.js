@@ -0,0 +1,101 @@
+import { Registry, Counter, Histogram, collectDefaultMetrics } from 'prom-client';
+
+const METRIC_PREFIX = 'product_assistant_';
+
+// Chat stages run from a few milliseconds (cache lookups) up to the 15-second query budget
+const STAGE_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15];
+
+/**
+ * Prometheus metrics for the chat endpoints, served by GET /metrics.
+ * Everything is labelled by endpoint (`/ask`, `/chat`, `/chat/stream`). Stage durations
+ * show where a request's time goes: cache_lookup, semantic_cache_lookup, memory_fetch,
+ * history_fetch, retrieval, rag_query, json_parse (including repair attempts) and sku_hydration.
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new Registry();
+    collectDefaultMetrics({ register: this.registry, prefix: METRIC_PREFIX });
+
+    this.stageDuration = new Histogram({
+      name: `${METRIC_PREFIX}chat_stage_duration_seconds`,
+      help: 'Duration of each chat request stage',
+      labelNames: ['endpoint', 'stage'],
+      buckets: STAGE_DURATION_BUCKETS,
+      registers: [this.registry]
+    });
+    this.cacheLookups = new Counter({
+      name: `${METRIC_PREFIX}chat_cache_lookups_total`,
+      help: 'Answer cache lookups by cache (exact or semantic) and result (hit or miss)',
+      labelNames: ['endpoint', 'cache', 'result'],
+      registers: [this.registry]
+    });
+    this.parseFailures = new Counter({
+      name: `${METRIC_PREFIX}chat_parse_failures_total`,
+      help: 'LLM responses that could not be parsed, even after repair attempts',
+      labelNames: ['endpoint'],
+      registers: [this.registry]
+    });
+    this.timeouts = new Counter({
+      name: `${METRIC_PREFIX}chat_timeouts_total`,
+      help: 'Retrievals and LLM calls abandoned because the request ran out of its query budget',
+      labelNames: ['endpoint'],
+      registers: [this.registry]
+    });
+    this.memoryUpdates = new Counter({
+      name: `${METRIC_PREFIX}chat_memory_updates_total`,
+      help: 'Long-term memory fact updates stored from new conversation turns',
+      labelNames: ['endpoint'],
+      registers: [this.registry]
+    });
+    this.hallucinations = new Counter({
+      name: `${METRIC_PREFIX}chat_hallucinations_total`,
+      help: 'Hallucinations in LLM answers by kind: sku (SKUs not in the catalog) or product_name (bolded product names or SKUs matching no returned product)',
+      labelNames: ['endpoint', 'kind'],
+      registers: [this.registry]
+    });
+    this.emptyRelatedProducts = new Counter({
+      name: `${METRIC_PREFIX}chat_empty_related_products_total`,
+      help: 'LLM answers returned without any related products',
+      labelNames: ['endpoint'],
+      registers: [this.registry]
+    });
+    this.feedback = new Counter({
+      name: `${METRIC_PREFIX}feedback_total`,
+      help: 'Feedback received on answers and recommended products, by target (answer or product), rating (up or down) and the prompt set version of the answer',
+      labelNames: ['target', 'rating', 'prompt_version'],
+      registers: [this.registry]
+    });
+  }
+
+  /**
+   * Runs an async operation and records its duration as a chat stage
+   * @param {string} endpoint - Endpoint label, e.g. '/chat'
+   * @param {string} stage - Stage label, e.g. 'rag_query'
+   * @param {Function} operation - Async function to time
+   * @returns {Promise<*>} The operation's result
+   */
+  async timeStage(endpoint, stage, operation) {
+    const stopTimer = this.stageDuration.startTimer({ endpoint, stage });
+    try {
+      return await operation();
+    } finally {
+      stopTimer();
+    }
+  }
+
+  recordCacheLookup(endpoint, cache, hit) {
+    this.cacheLookups.inc({ endpoint, cache, result: hit ? 'hit' : 'miss' });
+  }
+
+  async getMetrics() {
+    return this.registry.metrics();
+  }
+
+  getContentType() {
+    return this.registry.contentType;
+  }
+}
+
+// Singleton instance
+const metricsService = new MetricsService();
+export default metricsService;
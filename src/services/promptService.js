@@ -0,0 +1,212 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createPromptSet, getPromptSets, getPromptDeployments, recordPromptDeployment } from '../../db.mjs';
+import tenantService from './tenantService.js';
+import { config, promptConfig } from '../config/index.js';
+import { validatePromptSet, formatPromptSetErrors } from '../utils/promptSetSchema.js';
+import logger from '../utils/logger.js';
+
+const PERCENT = 100;
+// Version of a prompts file used without being stored (see activateFile()); stored versions start at 1
+export const FILE_PROMPT_VERSION = 0;
+
+/**
+ * Versioned prompt sets with A/B variants, per tenant.
+ * Prompt sets are stored in MongoDB with increasing version numbers; the newest deployment
+ * splits users across one or more versions by weight. Every instance re-reads the live
+ * deployments every `prompts.refreshIntervalSeconds`, so publishing needs no restart.
+ * On first start, a tenant's prompts file (config/prompts.json unless the tenant sets
+ * `promptsPath`) is stored as version 1 and deployed to everyone.
+ * Methods work on the current tenant (see tenantService.js).
+ */
+class PromptService {
+  constructor() {
+    this.deployments = new Map();
+    this.refreshTimer = null;
+  }
+
+  get deployment() {
+    return tenantService.select(this.deployments);
+  }
+
+  isInitialized() {
+    return !!this.deployment;
+  }
+
+  async initialize() {
+    for (const tenant of tenantService.listTenants()) {
+      await tenantService.run(tenant, () => this.initializeTenant(tenant));
+    }
+
+    if (config.prompts.refreshIntervalSeconds > 0) {
+      this.refreshTimer = setInterval(() => this.refresh(), config.prompts.refreshIntervalSeconds * 1000);
+      this.refreshTimer.unref();
+    }
+  }
+
+  async initializeTenant(tenant) {
+    let deployment = await this.getLatestDeployment();
+    if (!deployment) {
+      await this.seedFromFile(tenant);
+      deployment = await this.getLatestDeployment();
+    }
+    if (!deployment || !(await this.activate(deployment))) {
+      throw new Error(`No usable prompt deployment could be loaded for tenant ${tenant.id}`);
+    }
+  }
+
+  close() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  // The tenant's prompts file, validated as a prompt set
+  readPromptsFile(tenant) {
+    const promptsFile = path.relative(process.cwd(), tenant.promptsPath);
+    const prompts = tenant.promptsPath === tenantService.getDefaultTenant().promptsPath
+      ? promptConfig
+      : JSON.parse(fs.readFileSync(tenant.promptsPath, 'utf8'));
+    if (!validatePromptSet(prompts)) {
+      throw new Error(`${promptsFile} is not a valid prompt set: ${formatPromptSetErrors(validatePromptSet.errors)}`);
+    }
+    return { prompts, promptsFile };
+  }
+
+  /**
+   * Makes the tenant's prompts file the live prompt set for everyone without storing it,
+   * for runs without MongoDB (`evaluate.mjs --offline`). It is reported as version FILE_PROMPT_VERSION.
+   */
+  activateFile(tenant = tenantService.getTenant()) {
+    const { prompts } = this.readPromptsFile(tenant);
+    this.deployments.set(tenant.id, { id: null, createdAt: null, variants: [{ version: FILE_PROMPT_VERSION, weight: PERCENT, prompts }] });
+  }
+
+  async seedFromFile(tenant) {
+    const { prompts, promptsFile } = this.readPromptsFile(tenant);
+    const version = await createPromptSet({ prompts, description: `Imported from ${promptsFile}`, createdBy: null });
+    // Another instance may have seeded at the same time; its deployment is used instead
+    if (version === null) return;
+
+    await recordPromptDeployment({ variants: [{ version, weight: PERCENT }], action: 'seed', createdBy: null });
+    logger.info('Seeded prompt set from file', { tenantId: tenant.id, promptsFile, version });
+  }
+
+  // The current tenant's newest deployment, or null if there is none or it cannot be read
+  async getLatestDeployment() {
+    const [deployment] = await getPromptDeployments(1) || [];
+    return deployment || null;
+  }
+
+  /**
+   * Loads and validates the prompt sets of a deployment's variants
+   * @param {Array<{version: number, weight: number}>} deploymentVariants - Variants of a deployment
+   * @returns {Promise<Array<{version: number, weight: number, prompts: Object}>|null>} The variants with their prompts,
+   *   or null if the prompt sets cannot be read or one is missing or invalid
+   */
+  async loadVariants(deploymentVariants) {
+    const versions = deploymentVariants.map(variant => variant.version);
+    const promptSets = await getPromptSets(versions);
+    if (!promptSets) return null;
+
+    const variants = [];
+    for (const { version, weight } of deploymentVariants) {
+      const promptSet = promptSets.find(set => set.version === version);
+      if (!promptSet || !validatePromptSet(promptSet.prompts)) {
+        logger.error('Prompt deployment references a missing or invalid prompt set', { version });
+        return null;
+      }
+      variants.push({ version, weight, prompts: promptSet.prompts });
+    }
+    return variants;
+  }
+
+  /**
+   * Loads the prompt sets of a deployment and makes it the live one; the current prompts stay live if they cannot be loaded
+   * @param {Object} deployment - Deployment as returned by getPromptDeployments()
+   * @returns {Promise<boolean>} Whether the deployment is now live
+   */
+  async activate(deployment) {
+    const variants = await this.loadVariants(deployment.variants);
+    if (!variants) return false;
+
+    const tenantId = tenantService.getTenant().id;
+    this.deployments.set(tenantId, { id: deployment.id, createdAt: deployment.createdAt, variants });
+    logger.info('Prompt deployment is live', { tenantId, deploymentId: deployment.id, variants: deployment.variants });
+    return true;
+  }
+
+  // Picks up a deployment of the current tenant made by any instance; errors keep the current prompts
+  async refreshTenant() {
+    try {
+      const deployment = await this.getLatestDeployment();
+      if (deployment && (!this.deployment || deployment.id !== this.deployment.id)) {
+        await this.activate(deployment);
+      }
+    } catch (error) {
+      logger.warn('Error refreshing prompt deployment', { tenantId: tenantService.getTenant().id, error });
+    }
+  }
+
+  async refresh() {
+    for (const tenant of tenantService.listTenants()) {
+      await tenantService.run(tenant, () => this.refreshTenant());
+    }
+  }
+
+  /**
+   * Finds the deployment a rollback restores: the one before the live deployment, or when the live
+   * deployment is itself a rollback, the one before the deployment it restored, so rolling back
+   * again goes further back instead of undoing the rollback
+   * @param {Array<Object>} deployments - Recent deployments, newest first, as returned by getPromptDeployments()
+   * @returns {Object|null} The deployment to restore, or null if there is no earlier one
+   */
+  getRollbackTarget(deployments) {
+    const [live] = deployments;
+    const currentIndex = live && live.rolledBackTo ? deployments.findIndex(deployment => deployment.id === live.rolledBackTo) : 0;
+    return (currentIndex >= 0 && deployments[currentIndex + 1]) || null;
+  }
+
+  // Position of a user in 0-99, stable across deployments so a user stays in the same traffic slice
+  getBucket(subject) {
+    return createHash('sha256').update(String(subject)).digest().readUInt32BE(0) % PERCENT;
+  }
+
+  /**
+   * Selects the prompt set variant for a user
+   * @param {string} subject - User ID (or a random ID for anonymous callers, who then get a random variant)
+   * @returns {{version: number, prompts: Object}} The variant's version and prompts
+   */
+  getPrompts(subject) {
+    const bucket = this.getBucket(subject);
+    let upperBound = 0;
+    for (const variant of this.deployment.variants) {
+      upperBound += variant.weight;
+      if (bucket < upperBound) return { version: variant.version, prompts: variant.prompts };
+    }
+    const lastVariant = this.deployment.variants[this.deployment.variants.length - 1];
+    return { version: lastVariant.version, prompts: lastVariant.prompts };
+  }
+
+  /**
+   * Applies a locale's fragments (the `locales` of a prompt set) to the answer instructions
+   * @param {Object} prompts - Prompt set from getPrompts()
+   * @param {string} locale - Locale the answer is written in
+   * @returns {Object} The jsonOutputInstructions, plus `answerLanguageInstruction` if the prompt set has one for the locale
+   */
+  localize(prompts, locale) {
+    const fragments = (prompts.locales && prompts.locales[locale]) || {};
+    return { ...prompts.jsonOutputInstructions, ...fragments };
+  }
+
+  // The live deployment without the prompt texts
+  getDeployment() {
+    if (!this.deployment) return null;
+    const { id, createdAt, variants } = this.deployment;
+    return { id, createdAt, variants: variants.map(({ version, weight }) => ({ version, weight })) };
+  }
+}
+
+// Singleton instance
+const promptService = new PromptService();
+export default promptService;
@@ -1,105 +1,208 @@
-import { RAGApplicationBuilder, SIMPLE_MODELS } from '@llm-tools/embedjs';
-import { OpenAiEmbeddings } from '@llm-tools/embedjs-openai';
-import { QdrantDb } from '@llm-tools/embedjs-qdrant';
+import { RAGApplicationBuilder } from '@llm-tools/embedjs';
 import { MongoStore } from '@llm-tools/embedjs-mongodb';
+import { createChatModel, createEmbeddingModel } from '../providers/models.js';
+import { createVectorDatabase } from '../providers/vectorDatabase.js';
+import { InMemoryStore } from '../providers/memoryStore.js';
+import usageService from './usageService.js';
+import tenantService from './tenantService.js';
 import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
 
+/**
+ * The RAG application plus the per-tenant stores around it. The chat model and embedding model are
+ * shared; each tenant (see tenantService.js) has its own MongoStore collections, product vector
+ * collection and semantic cache vector collection, kept in Maps keyed by tenant ID.
+ * `mongoStore` and getVectorDatabase() return those of the current tenant.
+ */
 class RagService {
   constructor() {
     this.ragApplication = null;
-    this.mongoStore = null;
+    this.mongoStores = new Map();
+    this.chatModel = null;
+    this.embeddingModel = null;
+    this.vectorDatabases = new Map();
+    this.semanticCacheVectorDatabases = new Map();
+    this.systemMessage = null;
+  }
+
+  get mongoStore() {
+    return tenantService.select(this.mongoStores);
+  }
+
+  getVectorDatabase() {
+    return tenantService.select(this.vectorDatabases);
+  }
+
+  // Connects the MongoStore used for a tenant's conversations, memory and cache.
+  // Also used on its own by scripts that need the store without the RAG application.
+  async initializeStore(tenant = tenantService.getTenant()) {
+    if (this.mongoStores.has(tenant.id)) return this.mongoStores.get(tenant.id);
+
+    logger.info('Initializing MongoStore for RAG data...', { tenantId: tenant.id });
+    
+    if (!config.mongo.storeConnectionUri || config.mongo.storeConnectionUri.trim() === "") {
+      logger.error('CRITICAL: MONGO_STORE_CONNECTION_URI is not set in the environment. This is required for MongoStore.');
+      throw new Error("MONGO_STORE_CONNECTION_URI is not set. Cannot initialize MongoStore.");
+    }
+
+    const storeConfigForMongoStore = {
+      uri: config.mongo.storeConnectionUri,
+      dbName: config.mongo.database,
+      cacheCollectionName: tenantService.getCollectionName(config.mongo.collections.cache, tenant),
+      customDataCollectionName: tenantService.getCollectionName(config.mongo.collections.memories, tenant),
+      conversationCollectionName: tenantService.getCollectionName(config.mongo.collections.conversations, tenant)
+    };
+    
+    // The connection URI carries credentials, so only the database and collections are logged
+    const { uri, ...loggedStoreConfig } = storeConfigForMongoStore;
+    logger.info('MongoStore config being passed to constructor', loggedStoreConfig);
+
+    const mongoStore = new MongoStore(storeConfigForMongoStore); 
+    
+    if (typeof mongoStore.init === 'function') { 
+      logger.info('Attempting to call mongoStore.init()...');
+      await mongoStore.init(); 
+    }
+    this.mongoStores.set(tenant.id, mongoStore);
+    logger.info('MongoStore initialized successfully.', { tenantId: tenant.id });
+    return mongoStore;
+  }
+
+  // Keeps every tenant's conversations, memory and cache in process memory instead of MongoDB
+  // (tests and `evaluate.mjs --offline`). Call before initialize().
+  useMemoryStores() {
+    for (const tenant of tenantService.listTenants()) {
+      if (!this.mongoStores.has(tenant.id)) this.mongoStores.set(tenant.id, new InMemoryStore());
+    }
+  }
+
+  // Opens a tenant's product and semantic cache vector collections; the default tenant's product
+  // collection is the one the RAG application was built with
+  async initializeTenantVectorDatabases(tenant, dimensions) {
+    if (!this.vectorDatabases.has(tenant.id)) {
+      logger.info('Connecting tenant vector database', { tenantId: tenant.id, collectionName: tenant.vectorCollection });
+      const vectorDatabase = createVectorDatabase(tenant.vectorCollection);
+      await vectorDatabase.init({ dimensions });
+      this.vectorDatabases.set(tenant.id, vectorDatabase);
+    }
+
+    if (config.semanticCache.enabled) {
+      logger.info('Initializing semantic cache vector collection', { tenantId: tenant.id, collectionName: tenant.semanticCacheCollection });
+      const semanticCacheVectorDatabase = createVectorDatabase(tenant.semanticCacheCollection);
+      await semanticCacheVectorDatabase.init({ dimensions });
+      this.semanticCacheVectorDatabases.set(tenant.id, semanticCacheVectorDatabase);
+    }
   }
 
   async initialize() {
     try {
-      console.log("Initializing MongoStore for RAG data...");
-      
-      if (!config.mongo.storeConnectionUri || config.mongo.storeConnectionUri.trim() === "") {
-        console.error("CRITICAL: MONGO_STORE_CONNECTION_URI is not set in the environment. This is required for MongoStore.");
-        throw new Error("MONGO_STORE_CONNECTION_URI is not set. Cannot initialize MongoStore.");
+      const defaultTenant = tenantService.getDefaultTenant();
+      for (const tenant of tenantService.listTenants()) {
+        await this.initializeStore(tenant);
       }
 
-      const storeConfigForMongoStore = {
-        uri: config.mongo.storeConnectionUri,
-        dbName: config.mongo.database,
-        cacheCollectionName: config.mongo.collections.cache,
-        customDataCollectionName: config.mongo.collections.memories,
-        conversationCollectionName: config.mongo.collections.conversations
-      };
-      
-      console.log(`MongoStore will use connection URI: ${config.mongo.storeConnectionUri.substring(0, config.mongo.storeConnectionUri.indexOf('@') > 0 ? config.mongo.storeConnectionUri.indexOf(':', config.mongo.storeConnectionUri.indexOf('//')+2)+1 : 30)}...`);
-      console.log("MongoStore config being passed to constructor:", JSON.stringify(storeConfigForMongoStore));
+      logger.info('Connecting RAG to vector database', { type: config.vectorDb.type, collectionName: defaultTenant.vectorCollection });
+      logger.info('Configuring RAG', { searchResultCount: config.rag.searchResultCount, temperature: config.rag.temperature, embeddingBatchSize: config.rag.embeddingBatchSize });
 
-      this.mongoStore = new MongoStore(storeConfigForMongoStore); 
-      
-      if (typeof this.mongoStore.init === 'function') { 
-        console.log("Attempting to call mongoStore.init()...");
-        await this.mongoStore.init(); 
-      }
-      console.log("MongoStore initialized successfully.");
+      this.chatModel = createChatModel();
+      this.embeddingModel = createEmbeddingModel();
+      const vectorDatabase = createVectorDatabase(defaultTenant.vectorCollection);
+      this.vectorDatabases.set(defaultTenant.id, vectorDatabase);
 
-      // Construct the Qdrant URL
-      const qdrantUrl = `http://${config.qdrant.host}:${config.qdrant.httpPort}`;
-      console.log(`Connecting RAG to Qdrant: URL: '${qdrantUrl}', Collection (ClusterName): '${config.qdrant.collectionName}'`);
-      console.log(`Configuring RAG with: Search Results: ${config.rag.searchResultCount}, Temperature: ${config.rag.temperature}, Embedding Batch Size: ${config.rag.embeddingBatchSize}`);
-      
-      // Log Qdrant connection parameters just before use
-      console.log(`QdrantDb PRE-INIT: URL: '${qdrantUrl}', API Key: '${config.qdrant.apiKey ? "Exists" : "Not Set"}', ClusterName: '${config.qdrant.collectionName}'`);
-
-      this.ragApplication = await new RAGApplicationBuilder()
-        .setEmbeddingModel(new OpenAiEmbeddings({
-          apiKey: config.openai.apiKey, 
-          batchSize: config.rag.embeddingBatchSize 
-        }))
-        .setModel(SIMPLE_MODELS.OPENAI_GPT4_O) 
-        .setVectorDatabase(new QdrantDb({
-          url: qdrantUrl,
-          apiKey: config.qdrant.apiKey,
-          clusterName: config.qdrant.collectionName
-        })) 
-        .setStore(this.mongoStore) 
+      const ragApplicationBuilder = new RAGApplicationBuilder()
+        .setEmbeddingModel(this.embeddingModel)
+        .setModel(this.chatModel) 
+        .setVectorDatabase(vectorDatabase) 
+        .setStore(this.mongoStores.get(defaultTenant.id)) 
+        // History is kept per user by memoryService; embedjs would otherwise append every
+        // prompt of every caller to one shared 'default' thread and replay it to the LLM
+        .setParamStoreConversationsToDefaultThread(false)
         .setTemperature(config.rag.temperature)
-        .setSearchResultCount(config.rag.searchResultCount)
-        .build();
-      console.log("RAG Application initialized successfully (including MongoStore and QdrantDb).");
+        .setSearchResultCount(config.rag.searchResultCount);
+
+      this.systemMessage = ragApplicationBuilder.getSystemMessage();
+      this.ragApplication = await ragApplicationBuilder.build();
+      logger.info(`RAG Application initialized successfully (including MongoStore and ${config.vectorDb.type} vector database).`);
+
+      const dimensions = await this.embeddingModel.getDimensions();
+      for (const tenant of tenantService.listTenants()) {
+        await this.initializeTenantVectorDatabases(tenant, dimensions);
+      }
       
       return true;
     } catch (error) {
-      console.error("Error initializing RAG service:", error);
+      logger.error('Error initializing RAG service', { error });
       throw error;
     }
   }
 
-  async query(prompt) {
+  /**
+   * Sends a prompt to the LLM with retrieved context
+   * @param {string} prompt - The full prompt sent to the LLM
+   * @param {Array<Object>} [context] - Context chunks to use instead of searching the vector store with the prompt
+   * @returns {Promise<Object>} The RAG result object
+   */
+  async query(prompt, context) {
     if (!this.ragApplication) {
       throw new Error("RAG Application not initialized");
     }
-    return await this.ragApplication.query(prompt);
+    const result = await this.ragApplication.query(prompt, context ? { customContext: context } : undefined);
+    usageService.recordTokenUse(result.tokenUse);
+    return result;
   }
 
-  async summarizeConversation(userId, conversationHistoryText, promptTemplate) {
+  /**
+   * Finds the current tenant's product chunks nearest to a query. Unlike ragApplication.search(), which
+   * only searches the default tenant's collection, the number of chunks is up to the caller, so a larger
+   * candidate set can be filtered on the chunk metadata.
+   * @param {string} query - Text to embed and search for
+   * @param {number} limit - Number of nearest chunks to fetch
+   * @returns {Promise<Array<{pageContent: string, metadata: Object, score: number}>>} Chunks, most similar first
+   */
+  async searchVectors(query, limit) {
     if (!this.ragApplication) {
       throw new Error("RAG Application not initialized");
     }
-    
-    const filledPrompt = promptTemplate
-      .replace('{{userId}}', userId)
-      .replace('{{conversationHistoryText}}', conversationHistoryText);
+    const queryEmbedded = await this.embeddingModel.embedQuery(query);
+    const chunks = await this.getVectorDatabase().similaritySearch(queryEmbedded, limit);
+    return chunks.sort((a, b) => b.score - a.score);
+  }
 
-    try {
-      const result = await this.ragApplication.query(filledPrompt);
-      const summary = result.answer || result.content || result.text || result.response || '';
-      return summary;
-    } catch (e) {
-      console.error("Error during summarization LLM call:", e);
-      return "Error performing summarization.";
+  /**
+   * Sends a prompt to the LLM without retrieving any vector store context
+   * @param {string} prompt - The full prompt sent to the LLM
+   * @returns {Promise<Object>} The RAG result object
+   */
+  async queryWithoutRetrieval(prompt) {
+    if (!this.ragApplication) {
+      throw new Error("RAG Application not initialized");
+    }
+    const result = await this.ragApplication.query(prompt, { customContext: [] });
+    usageService.recordTokenUse(result.tokenUse);
+    return result;
+  }
+
+  /**
+   * Streams the LLM completion for a prompt, using the same retrieval as query()
+   * @param {string} prompt - The full prompt sent to the LLM
+   * @param {Array<Object>} [context] - Context chunks to use instead of searching the vector store with the prompt
+   * @returns {AsyncGenerator<string>} Text chunks as the model produces them
+   */
+  async *streamQuery(prompt, context) {
+    if (!this.ragApplication) {
+      throw new Error("RAG Application not initialized");
     }
+    const retrievedContext = context || await this.ragApplication.search(prompt);
+    const messages = await this.chatModel.prepare(this.systemMessage, prompt, retrievedContext, []);
+    yield* this.chatModel.stream(messages, { onTokenUse: tokenUse => usageService.recordTokenUse(tokenUse) });
   }
-  
+
   async close() {
-    if (this.mongoStore && typeof this.mongoStore.close === 'function') {
-      await this.mongoStore.close();
-      console.log('MongoStore connection closed.');
+    for (const [tenantId, mongoStore] of this.mongoStores) {
+      if (typeof mongoStore.close === 'function') {
+        await mongoStore.close();
+        logger.info('MongoStore connection closed.', { tenantId });
+      }
     }
   }
 }
@@ -0,0 +1,146 @@
+import { incrementRateLimitCounter, getRateLimitCounter } from '../../db.mjs';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Fixed-window counters kept in process memory; each API instance counts on its own
+class MemoryRateLimitStore {
+  constructor() {
+    this.counters = new Map();
+    this.operationsSinceCleanup = 0;
+  }
+
+  async increment(key, amount, expiresAt) {
+    this.removeExpiredCounters();
+    const counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= Date.now()) {
+      this.counters.set(key, { count: amount, expiresAt: expiresAt.getTime() });
+      return amount;
+    }
+    counter.count += amount;
+    return counter.count;
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+  }
+
+  removeExpiredCounters() {
+    if (++this.operationsSinceCleanup < 1000) return;
+    this.operationsSinceCleanup = 0;
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+// Fixed-window counters shared by every API instance through the products database
+class MongoRateLimitStore {
+  async increment(key, amount, expiresAt) {
+    return incrementRateLimitCounter(key, amount, expiresAt);
+  }
+
+  async get(key) {
+    return getRateLimitCounter(key);
+  }
+}
+
+/**
+ * Per-minute request limits and daily request and token quotas.
+ * Limits apply to "subjects" such as `user:<userId>`, `key:<apiKeyId>` or `ip:<address>`;
+ * a request is rejected when any of its subjects is over a limit. A limit of 0 is not enforced.
+ */
+class RateLimitService {
+  constructor() {
+    this.store = null;
+  }
+
+  initialize() {
+    const storeType = config.rateLimit.store;
+    if (storeType === 'mongodb') {
+      this.store = new MongoRateLimitStore();
+    } else if (storeType === 'memory') {
+      this.store = new MemoryRateLimitStore();
+    } else {
+      throw new Error(`Unsupported rateLimit.store '${storeType}'. Expected 'memory' or 'mongodb'`);
+    }
+    logger.info('Rate limiting configured', { enabled: config.rateLimit.enabled, store: storeType });
+  }
+
+  isEnabled() {
+    return config.rateLimit.enabled && !!this.store;
+  }
+
+  getWindows(now = Date.now()) {
+    const minuteStart = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    const dayStart = Math.floor(now / DAY_MS) * DAY_MS;
+    return {
+      minute: { id: minuteStart, expiresAt: new Date(minuteStart + MINUTE_MS) },
+      day: { id: new Date(dayStart).toISOString().substring(0, 10), expiresAt: new Date(dayStart + DAY_MS) }
+    };
+  }
+
+  /**
+   * Counts a request against its subjects' limits
+   * @param {Array<string>} subjects - Rate limit subjects of the request
+   * @returns {Promise<{limit: string, max: number, retryAfterSeconds: number}|null>} The exceeded limit, or null if the request may proceed
+   */
+  async consume(subjects) {
+    if (!this.isEnabled()) return null;
+
+    const { requestsPerMinute, requestsPerDay, tokensPerDay } = config.rateLimit;
+    const { minute, day } = this.getWindows();
+    const retryAfter = expiresAt => Math.max(Math.ceil((expiresAt.getTime() - Date.now()) / 1000), 1);
+
+    try {
+      for (const subject of subjects) {
+        if (tokensPerDay > 0) {
+          const tokensUsed = await this.store.get(`${subject}:tokens:${day.id}`);
+          if (tokensUsed !== null && tokensUsed >= tokensPerDay) {
+            return { limit: 'tokensPerDay', max: tokensPerDay, retryAfterSeconds: retryAfter(day.expiresAt) };
+          }
+        }
+
+        if (requestsPerMinute > 0) {
+          const count = await this.store.increment(`${subject}:requests:${minute.id}`, 1, minute.expiresAt);
+          if (count !== null && count > requestsPerMinute) {
+            return { limit: 'requestsPerMinute', max: requestsPerMinute, retryAfterSeconds: retryAfter(minute.expiresAt) };
+          }
+        }
+
+        if (requestsPerDay > 0) {
+          const count = await this.store.increment(`${subject}:requests:${day.id}`, 1, day.expiresAt);
+          if (count !== null && count > requestsPerDay) {
+            return { limit: 'requestsPerDay', max: requestsPerDay, retryAfterSeconds: retryAfter(day.expiresAt) };
+          }
+        }
+      }
+    } catch (error) {
+      // Limits are best effort: an unavailable store must not take the API down
+      logger.warn('Error checking rate limits (allowing request)', { error });
+    }
+    return null;
+  }
+
+  // Adds a request's LLM tokens to its subjects' daily token quota
+  async addTokens(subjects, tokens) {
+    if (!this.isEnabled() || !config.rateLimit.tokensPerDay || tokens <= 0) return;
+
+    const { day } = this.getWindows();
+    try {
+      for (const subject of subjects) {
+        await this.store.increment(`${subject}:tokens:${day.id}`, tokens, day.expiresAt);
+      }
+    } catch (error) {
+      logger.warn('Error recording tokens against the daily quota', { error });
+    }
+  }
+}
+
+// Singleton instance
+const rateLimitService = new RateLimitService();
+export default rateLimitService;
@@ -0,0 +1,161 @@
+import { getProductsBySKUs, searchProducts } from '../../db.mjs';
+import ragService from './ragService.js';
+import { formatProductText } from '../loaders/productLoader.js';
+import { getProductAttributes, hasProductFilters, matchesProductFilters } from '../utils/productFilters.js';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Tokens that could be a SKU: at least 3 characters with a digit or an inner '-', '_', '.' or '/'
+const SKU_CANDIDATE_PATTERN = /[A-Za-z0-9]+(?:[-_./][A-Za-z0-9]+)+|[A-Za-z]*\d[A-Za-z0-9]*/g;
+const MAX_SKU_CANDIDATES = 20;
+
+// Vectors written by the old CSV loader carry no SKU metadata; their text has a "Sku: ..." line
+function getChunkSku(chunk) {
+  if (chunk.metadata && chunk.metadata.sku) return String(chunk.metadata.sku);
+  const match = chunk.pageContent.match(/^Sku:\s*(.+)$/m);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Hybrid product retrieval for the answer prompt.
+ * Runs vector search (embedjs), Mongo text search on the product name and exact SKU lookup
+ * in parallel, then merges the three rankings with reciprocal rank fusion (RRF): each product
+ * scores the sum of 1 / (retrieval.rrfK + rank) over the rankings it appears in.
+ * Exact SKU matches are always placed first. A failing source is logged and skipped.
+ *
+ * Filters (see utils/productFilters.js) are applied to the vector candidates' payload and to
+ * the text search, then to every stored product before the results are cut to size. Exact SKU
+ * matches are kept regardless: a customer asking about a SKU wants that product.
+ */
+class RetrievalService {
+  extractSkuCandidates(query) {
+    const tokens = query.match(SKU_CANDIDATE_PATTERN) || [];
+    const candidates = new Set();
+    for (const token of tokens.filter(token => token.length >= 3)) {
+      candidates.add(token);
+      candidates.add(token.toUpperCase());
+    }
+    return [...candidates].slice(0, MAX_SKU_CANDIDATES);
+  }
+
+  async findExactSkuMatches(query) {
+    const candidates = this.extractSkuCandidates(query);
+    const products = await getProductsBySKUs(candidates);
+    return products.map(product => product.sku);
+  }
+
+  async findTextMatches(query, filters) {
+    const { maxPrice, category, brand } = filters;
+    const result = await searchProducts({ q: query, maxPrice, category, brand, limit: config.retrieval.candidatesPerSource });
+    return result ? result.products.map(product => product.sku) : [];
+  }
+
+  // Returns one match per SKU, keeping the similarity of its nearest chunk
+  async findVectorMatches(query, filters) {
+    let chunks;
+    if (!hasProductFilters(filters)) {
+      chunks = await ragService.searchVectors(query, config.rag.searchResultCount);
+    } else {
+      // embedjs vector searches take no payload filter, so more neighbours are fetched and filtered here
+      const candidates = await ragService.searchVectors(query, config.retrieval.filteredVectorCandidates);
+      chunks = candidates.filter(chunk => matchesProductFilters(chunk.metadata || {}, filters));
+    }
+
+    const matches = new Map();
+    for (const chunk of chunks) {
+      const sku = getChunkSku(chunk);
+      if (sku && !matches.has(sku)) matches.set(sku, { sku, similarity: chunk.score });
+    }
+    return [...matches.values()].slice(0, config.rag.searchResultCount);
+  }
+
+  async runSource(name, search) {
+    try {
+      return await search();
+    } catch (error) {
+      logger.warn('Retrieval source failed, continuing without it', { source: name, error });
+      return [];
+    }
+  }
+
+  /**
+   * Retrieves the products most relevant to a user query
+   * @param {string} query - The user's query (not the full prompt)
+   * @param {Object} [filters] - Result of buildProductFilters(); no filtering when empty
+   * @returns {Promise<Array<{sku: string, score: number, similarity: number|null, matchedBy: Array<string>, product: Object}>>}
+   *   Products by fused rank, best first. `score` is the fused score; `similarity` is the vector
+   *   similarity to the query, or null if the vector search did not find the product.
+   */
+  async retrieve(query, filters = {}) {
+    const [skuMatches, vectorMatches, textMatches] = await Promise.all([
+      this.runSource('sku', () => this.findExactSkuMatches(query)),
+      this.runSource('vector', () => this.findVectorMatches(query, filters)),
+      this.runSource('text', () => this.findTextMatches(query, filters))
+    ]);
+    const rankings = { sku: skuMatches, vector: vectorMatches.map(match => match.sku), text: textMatches };
+    const similarities = new Map(vectorMatches.map(match => [match.sku, match.similarity]));
+
+    const fused = new Map();
+    for (const [source, skus] of Object.entries(rankings)) {
+      skus.forEach((sku, index) => {
+        const entry = fused.get(sku) || { sku, score: 0, similarity: similarities.get(sku) ?? null, matchedBy: [] };
+        entry.score += 1 / (config.retrieval.rrfK + index + 1);
+        entry.matchedBy.push(source);
+        fused.set(sku, entry);
+      });
+    }
+
+    const ranked = [...fused.values()]
+      .sort((a, b) => Number(b.matchedBy.includes('sku')) - Number(a.matchedBy.includes('sku')) || b.score - a.score);
+    const candidates = hasProductFilters(filters) ? ranked : ranked.slice(0, config.rag.searchResultCount);
+
+    // Vectors can outlive their product until the next embedding sync, so only stored products are kept.
+    // Filters are checked again on the stored product: text matches and vectors embedded before
+    // the payload carried attributes have not been filtered on all of them.
+    const products = await getProductsBySKUs(candidates.map(entry => entry.sku));
+    const productsBySku = new Map(products.map(product => [product.sku, product]));
+    const results = candidates
+      .filter(entry => productsBySku.has(entry.sku))
+      .filter(entry => entry.matchedBy.includes('sku') || matchesProductFilters(getProductAttributes(productsBySku.get(entry.sku)), filters))
+      .slice(0, config.rag.searchResultCount)
+      .map(entry => ({ ...entry, product: productsBySku.get(entry.sku) }));
+
+    logger.debug('Hybrid retrieval results', {
+      counts: Object.fromEntries(Object.entries(rankings).map(([source, skus]) => [source, skus.length])),
+      filters,
+      results: this.toSources(results)
+    });
+    return results;
+  }
+
+  /**
+   * Turns retrieval results into embedjs context chunks for the answer prompt
+   * @param {Array<Object>} results - Results of retrieve()
+   * @returns {Array<{pageContent: string, metadata: Object}>} Chunks in rank order
+   */
+  toContext(results) {
+    return results.map(({ sku, score, similarity, product }) => ({
+      pageContent: formatProductText(product),
+      metadata: { source: sku, sku, score, similarity }
+    }));
+  }
+
+  /**
+   * Lists the products that grounded an answer, as returned to the client in `sources`
+   * @param {Array<Object>} results - Results of retrieve()
+   * @returns {Array<{sku: string, name: string|null, score: number, similarity: number|null, matchedBy: Array<string>}>} Sources in rank order
+   */
+  toSources(results) {
+    return results.map(({ sku, score, similarity, matchedBy, product }) => ({
+      sku,
+      name: product.name ?? null,
+      score,
+      similarity,
+      matchedBy
+    }));
+  }
+}
+
+// Singleton instance
+const retrievalService = new RetrievalService();
+export default retrievalService;
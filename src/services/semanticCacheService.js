@@ -0,0 +1,170 @@
+import { randomUUID } from 'crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+import tenantService from './tenantService.js';
+
+const SEMANTIC_CACHE_KEY_PREFIX = 'semantic-cache:';
+// Nearest cached queries searched for one produced by the requested prompt version and locale
+const SEMANTIC_CACHE_CANDIDATES = 5;
+
+/**
+ * Answer cache keyed on query embeddings, shared by all users of a tenant.
+ * Query vectors live in a dedicated vector collection; the answers themselves
+ * are stored in the MongoStore under `semantic-cache:<entryId>`.
+ * Only answers produced without any personal context are stored or served, and only to
+ * requests using the prompt set version and locale that produced them.
+ */
+class SemanticCacheService {
+  constructor() {
+    this.mongoStores = null;
+    this.embeddingModel = null;
+    this.vectorDatabases = null;
+  }
+
+  // Stores and query vector collections are Maps of tenant ID to the tenant's own (see ragService.js)
+  initialize(mongoStores, embeddingModel, vectorDatabases) {
+    this.mongoStores = mongoStores;
+    this.embeddingModel = embeddingModel;
+    this.vectorDatabases = vectorDatabases;
+  }
+
+  get mongoStore() {
+    return tenantService.select(this.mongoStores);
+  }
+
+  get vectorDatabase() {
+    return tenantService.select(this.vectorDatabases);
+  }
+
+  isEnabled() {
+    return config.semanticCache.enabled && !!this.mongoStore && !!this.embeddingModel && !!this.vectorDatabase;
+  }
+
+  getEntryKey(entryId) {
+    return `${SEMANTIC_CACHE_KEY_PREFIX}${entryId}`;
+  }
+
+  isExpired(entry) {
+    const ttlSeconds = config.cache.ttlSeconds;
+    if (!ttlSeconds || !entry.timestamp) return false;
+    return Date.now() - new Date(entry.timestamp).getTime() > ttlSeconds * 1000;
+  }
+
+  /**
+   * Looks up the cached answer of the most similar earlier query answered with the same prompt set version and locale
+   * @param {string} query - The user's query
+   * @param {number} promptVersion - Prompt set version the answer must have been produced with
+   * @param {string} locale - Locale the answer must be written in
+   * @returns {Promise<{entryId: string, data: Object}|null>} The entry's ID and cached answer, or null on a miss
+   */
+  async getCachedResult(query, promptVersion, locale) {
+    if (!this.isEnabled()) return null;
+
+    try {
+      const queryVector = await this.embeddingModel.embedQuery(query);
+      const matches = await this.vectorDatabase.similaritySearch(queryVector, SEMANTIC_CACHE_CANDIDATES);
+      const closestMatch = matches
+        // Entries stored before answers had a locale were all answered in the default one
+        .filter(match => match.metadata.promptVersion === promptVersion && (match.metadata.locale ?? config.locales.default) === locale)
+        .sort((a, b) => b.score - a.score)[0];
+
+      if (!closestMatch || closestMatch.score < config.semanticCache.similarityThreshold) {
+        logger.info('Semantic cache miss', { query, promptVersion, locale, bestScore: closestMatch ? closestMatch.score : null });
+        return null;
+      }
+
+      const entryId = closestMatch.metadata.uniqueLoaderId;
+      const entry = await this.mongoStore.loaderCustomGet(this.getEntryKey(entryId));
+      if (!entry || !entry.data) {
+        // The answer was flushed but its vector is still around
+        await this.vectorDatabase.deleteKeys(entryId);
+        return null;
+      }
+
+      if (this.isExpired(entry)) {
+        logger.info('Semantic cache entry expired', { entryId });
+        await this.deleteEntry(entryId);
+        return null;
+      }
+
+      logger.info('Semantic cache hit', { entryId, query, score: closestMatch.score });
+      return { entryId, data: entry.data };
+    } catch (error) {
+      logger.warn('Error during semantic cache lookup (treating as cache miss)', { error });
+      return null;
+    }
+  }
+
+  // Stores an answer under the prompt set version and locale in `data`; returns the new entry's ID, or null if nothing was stored
+  async setCachedResult(query, data) {
+    if (!this.isEnabled()) return null;
+
+    const entryId = randomUUID();
+    try {
+      const queryVector = await this.embeddingModel.embedQuery(query);
+      const skus = Array.isArray(data.relatedProducts) ? data.relatedProducts.map(product => product.sku) : [];
+
+      await this.mongoStore.loaderCustomSet(SEMANTIC_CACHE_KEY_PREFIX, this.getEntryKey(entryId), { query, data, skus, timestamp: new Date() });
+      await this.vectorDatabase.insertChunks([{
+        vector: queryVector,
+        pageContent: query,
+        metadata: { id: entryId, uniqueLoaderId: entryId, source: 'semantic-cache', promptVersion: data.promptVersion, locale: data.locale }
+      }]);
+      logger.info('Stored semantic cache entry', { entryId, query });
+      return entryId;
+    } catch (error) {
+      logger.error('Error setting semantic cache', { error });
+      return null;
+    }
+  }
+
+  async deleteEntry(entryId) {
+    await this.mongoStore.loaderCustomDelete(this.getEntryKey(entryId));
+    if (this.vectorDatabase) await this.vectorDatabase.deleteKeys(entryId);
+  }
+
+  // Removes one shared answer, e.g. after negative feedback; returns whether it was still cached
+  async evictEntry(entryId) {
+    if (!this.mongoStore || !(await this.mongoStore.loaderCustomHas(this.getEntryKey(entryId)))) return false;
+
+    await this.deleteEntry(entryId);
+    logger.info('Evicted semantic cache entry', { entryId });
+    return true;
+  }
+
+  // Removes every semantic cache entry that recommends the given SKU
+  async clearCacheForSku(sku) {
+    if (!this.mongoStore) return 0;
+
+    const entryKeys = await this.mongoStore.loaderCustomKeys(SEMANTIC_CACHE_KEY_PREFIX);
+    let deleted = 0;
+    for (const key of entryKeys) {
+      const entry = await this.mongoStore.loaderCustomGet(key);
+      if (entry && Array.isArray(entry.skus) && entry.skus.includes(sku)) {
+        await this.deleteEntry(key.substring(SEMANTIC_CACHE_KEY_PREFIX.length));
+        deleted++;
+      }
+    }
+
+    logger.info('Cleared semantic cache entries referencing SKU', { sku, count: deleted });
+    return deleted;
+  }
+
+  // Vectors are only reset when the vector database is connected; orphaned vectors are treated as misses
+  async clearAllCache() {
+    if (!this.mongoStore) return 0;
+
+    const entryKeys = await this.mongoStore.loaderCustomKeys(SEMANTIC_CACHE_KEY_PREFIX);
+    for (const key of entryKeys) {
+      await this.mongoStore.loaderCustomDelete(key);
+    }
+    if (this.vectorDatabase) await this.vectorDatabase.reset();
+
+    logger.info('Cleared all semantic cache entries', { count: entryKeys.length });
+    return entryKeys.length;
+  }
+}
+
+// Singleton instance
+const semanticCacheService = new SemanticCacheService();
+export default semanticCacheService;
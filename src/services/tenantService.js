@@ -0,0 +1,55 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { config, DEFAULT_TENANT_ID } from '../config/index.js';
+
+/**
+ * Resolves the tenant (storefront) a request or script works for.
+ * Like the token counter in usageService, the tenant is carried with AsyncLocalStorage, so
+ * db.mjs and the services pick the tenant's collections and stores without it being threaded
+ * through every call. Code running outside tenantService.run() works for the default tenant.
+ */
+class TenantService {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.tenants = new Map(config.tenants.map(tenant => [tenant.id, tenant]));
+  }
+
+  listTenants() {
+    return [...this.tenants.values()];
+  }
+
+  getTenantById(tenantId) {
+    return this.tenants.get(tenantId) || null;
+  }
+
+  getDefaultTenant() {
+    return this.tenants.get(DEFAULT_TENANT_ID);
+  }
+
+  /**
+   * Runs `callback` on behalf of a tenant
+   * @param {Object} tenant - Tenant from config.tenants
+   * @param {Function} callback - Work to do for the tenant
+   * @returns {*} The callback's return value
+   */
+  run(tenant, callback) {
+    return this.storage.run(tenant, callback);
+  }
+
+  getTenant() {
+    return this.storage.getStore() || this.getDefaultTenant();
+  }
+
+  // Collection of the tenant's namespace: the default tenant keeps the configured name
+  getCollectionName(baseName, tenant = this.getTenant()) {
+    return tenant.namespace ? `${baseName}_${tenant.namespace}` : baseName;
+  }
+
+  // Picks the current tenant's entry from a Map keyed by tenant ID, e.g. its MongoStore
+  select(valuesByTenant) {
+    return valuesByTenant ? valuesByTenant.get(this.getTenant().id) || null : null;
+  }
+}
+
+// Singleton instance
+const tenantService = new TenantService();
+export default tenantService;
@@ -0,0 +1,39 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Collects the LLM token use of the request being handled.
+ * The request's counter is carried with AsyncLocalStorage, so ragService can report every
+ * LLM call (answer, repairs, memory extraction) without the counter being threaded through
+ * the controllers and memoryService.
+ */
+class UsageService {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Runs `callback` with a fresh token counter for the current request
+   * @param {Function} callback - Continues handling the request
+   * @returns {{inputTokens: number, outputTokens: number, llmCalls: number}} The counter, filled in as LLM calls complete
+   */
+  track(callback) {
+    const usage = { inputTokens: 0, outputTokens: 0, llmCalls: 0 };
+    this.storage.run(usage, callback);
+    return usage;
+  }
+
+  // Adds an embedjs `tokenUse` ({inputTokens, outputTokens}, possibly 'UNKNOWN') to the current request, if any
+  recordTokenUse(tokenUse) {
+    const usage = this.storage.getStore();
+    if (!usage) return;
+
+    usage.llmCalls++;
+    if (!tokenUse) return;
+    if (typeof tokenUse.inputTokens === 'number') usage.inputTokens += tokenUse.inputTokens;
+    if (typeof tokenUse.outputTokens === 'number') usage.outputTokens += tokenUse.outputTokens;
+  }
+}
+
+// Singleton instance
+const usageService = new UsageService();
+export default usageService;
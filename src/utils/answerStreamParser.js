@@ -0,0 +1,69 @@
+const ANSWER_KEY_PATTERN = /"answer"\s*:\s*"/;
+const SIMPLE_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Incrementally extracts the `answer` string from a streamed
+ * `{answer, relatedProducts}` JSON completion, so the answer text can be
+ * forwarded to the client before the whole JSON object has arrived.
+ */
+export class AnswerStreamParser {
+  constructor() {
+    this.buffer = '';
+    this.position = -1; // Index of the next unread character inside the answer string
+    this.done = false;
+  }
+
+  /**
+   * Feeds the next chunk of raw LLM output
+   * @param {string} chunk - Raw text produced by the LLM
+   * @returns {string} Newly decoded answer text (empty if none yet)
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    if (this.done) return '';
+
+    if (this.position < 0) {
+      const match = this.buffer.match(ANSWER_KEY_PATTERN);
+      if (!match) return '';
+      this.position = match.index + match[0].length;
+    }
+
+    let decoded = '';
+    while (this.position < this.buffer.length) {
+      const char = this.buffer[this.position];
+
+      if (char === '"') {
+        this.done = true;
+        break;
+      }
+
+      if (char !== '\\') {
+        decoded += char;
+        this.position++;
+        continue;
+      }
+
+      // Escape sequence: wait for the rest of it if it was split across chunks
+      const escapeChar = this.buffer[this.position + 1];
+      if (escapeChar === undefined) break;
+      if (escapeChar === 'u') {
+        const hex = this.buffer.substring(this.position + 2, this.position + 6);
+        if (hex.length < 4) break;
+        decoded += String.fromCharCode(parseInt(hex, 16));
+        this.position += 6;
+      } else {
+        decoded += SIMPLE_ESCAPES[escapeChar] ?? escapeChar;
+        this.position += 2;
+      }
+    }
+
+    return decoded;
+  }
+
+  /**
+   * @returns {string} Everything received so far
+   */
+  getRawOutput() {
+    return this.buffer;
+  }
+}
@@ -0,0 +1,74 @@
+import Ajv from 'ajv';
+import { config } from '../config/index.js';
+import { CONVERSATION_ID_PATTERN } from '../services/memoryService.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CHILDREN = 10;
+const MAX_FILTER_LENGTH = 100;
+
+const conversationIdSchema = { type: 'string', pattern: CONVERSATION_ID_PATTERN.source };
+const querySchema = { type: 'string', minLength: 1, maxLength: config.validation.maxQueryLength, pattern: '\\S' };
+
+/**
+ * JSON schema for the body of POST /ask, /chat and /chat/stream.
+ * `question` and `sessionId` are older aliases of `query` and `conversationId`. `userId` is
+ * accepted for older clients but ignored: the user comes from the credentials.
+ * `maxPrice`, `category` and `brand` restrict the products retrieved for the answer.
+ * `locale` is the language to answer in; when it is left out, it is detected from the query.
+ */
+export const chatRequestSchema = {
+  type: 'object',
+  properties: {
+    query: querySchema,
+    question: querySchema,
+    conversationId: conversationIdSchema,
+    sessionId: conversationIdSchema,
+    userId: { type: 'string' },
+    maxPrice: { type: 'number', minimum: 0 },
+    category: { type: 'string', minLength: 1, maxLength: MAX_FILTER_LENGTH, pattern: '\\S' },
+    brand: { type: 'string', minLength: 1, maxLength: MAX_FILTER_LENGTH, pattern: '\\S' },
+    locale: { type: 'string', enum: config.locales.supported },
+    user: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+        children: {
+          type: 'array',
+          maxItems: MAX_CHILDREN,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+              age: {
+                anyOf: [
+                  { type: 'number', minimum: 0, maximum: 25 },
+                  { type: 'string', maxLength: 20 }
+                ]
+              },
+              gender: { type: 'string', maxLength: 20 },
+              birthday: { type: 'string', format: 'date' }
+            },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  // `query` is required unless the older `question` field is sent instead
+  if: { required: ['question'] },
+  else: { required: ['query'] },
+  additionalProperties: false
+};
+
+// A calendar date (YYYY-MM-DD) that exists and is not in the future
+function isPastDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) && date.getTime() <= Date.now();
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+ajv.addFormat('date', isPastDate);
+
+export const validateChatRequest = ajv.compile(chatRequestSchema);
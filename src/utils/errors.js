@@ -0,0 +1,68 @@
+/**
+ * Machine-readable error codes returned in the chat and feedback error envelope:
+ * `{ "error": { "code", "message", "details"? }, "requestId" }`
+ */
+export const ERROR_CODES = {
+  INVALID_INPUT: 'INVALID_INPUT',
+  NOT_FOUND: 'NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  NOT_INITIALIZED: 'NOT_INITIALIZED',
+  TIMEOUT: 'TIMEOUT',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const STATUS_BY_CODE = {
+  [ERROR_CODES.INVALID_INPUT]: 400,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.NOT_INITIALIZED]: 503,
+  [ERROR_CODES.TIMEOUT]: 504,
+  [ERROR_CODES.INTERNAL_ERROR]: 500
+};
+
+/**
+ * Error whose code and message are safe to show to the client
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Client-facing description
+   * @param {*} [details] - Extra client-facing data, such as the failed validation rules
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = STATUS_BY_CODE[code] || 500;
+    this.details = details;
+  }
+}
+
+/**
+ * Builds the error envelope for an error. Anything other than an ApiError is reported as
+ * INTERNAL_ERROR with a generic message, so internal error text never reaches the client.
+ * @param {Error} error - The error to report
+ * @param {string} [requestId] - ID of the failed request (see middleware/requestContext.js)
+ * @returns {{status: number, body: Object}} HTTP status and response body
+ */
+export function toErrorResponse(error, requestId) {
+  const apiError = error instanceof ApiError
+    ? error
+    : new ApiError(ERROR_CODES.INTERNAL_ERROR, 'Error processing your request');
+
+  const body = { error: { code: apiError.code, message: apiError.message } };
+  if (apiError.details !== undefined) body.error.details = apiError.details;
+  if (requestId) body.requestId = requestId;
+  return { status: apiError.status, body };
+}
+
+/**
+ * Sends the error envelope for an error as the JSON response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error to report
+ */
+export function sendError(req, res, error) {
+  const { status, body } = toErrorResponse(error, req.id);
+  res.status(status).json(body);
+}
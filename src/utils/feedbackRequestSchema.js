@@ -0,0 +1,47 @@
+import Ajv from 'ajv';
+import { CONVERSATION_ID_PATTERN } from '../services/memoryService.js';
+
+const MAX_REASON_LENGTH = 500;
+const MAX_PRODUCT_RATINGS = 50;
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+
+const ratingSchema = { type: 'string', enum: FEEDBACK_RATINGS };
+const reasonSchema = { type: 'string', maxLength: MAX_REASON_LENGTH };
+
+/**
+ * JSON schema for the body of POST /feedback.
+ * `rating` rates the answer and is required unless only `products` are rated.
+ */
+export const feedbackRequestSchema = {
+  type: 'object',
+  properties: {
+    messageId: { type: 'string', pattern: '^[A-Za-z0-9-]{1,64}$' },
+    conversationId: { type: 'string', pattern: CONVERSATION_ID_PATTERN.source },
+    rating: ratingSchema,
+    reason: reasonSchema,
+    products: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_PRODUCT_RATINGS,
+      items: {
+        type: 'object',
+        properties: {
+          sku: { type: 'string', minLength: 1, maxLength: 100 },
+          rating: ratingSchema,
+          reason: reasonSchema
+        },
+        required: ['sku', 'rating'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['messageId'],
+  if: { required: ['products'] },
+  else: { required: ['rating'] },
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true });
+
+export const validateFeedbackRequest = ajv.compile(feedbackRequestSchema);
@@ -0,0 +1,118 @@
+import Ajv from 'ajv';
+
+/**
+ * JSON schema for the `{answer, relatedProducts}` contract the prompts ask the LLM to follow
+ */
+export const llmResponseSchema = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    relatedProducts: {
+      type: 'array',
+      items: { type: ['string', 'number'] }
+    }
+  },
+  required: ['answer', 'relatedProducts']
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateLlmResponseSchema = ajv.compile(llmResponseSchema);
+
+/**
+ * Extracts the text of a RAG/LLM result object
+ * @param {Object} result - Result returned by ragService
+ * @returns {string} The completion text
+ */
+export function getResultText(result) {
+  return result.answer || result.content || result.text || result.response || '';
+}
+
+/**
+ * Parses raw LLM output as JSON, unwrapping it from a code fence if the LLM added one
+ * @param {string} llmOutputString - Raw LLM output
+ * @returns {{value: *, error: string|null}} The parsed JSON, or a description of why it could not be parsed
+ */
+export function parseLlmJson(llmOutputString) {
+  if (typeof llmOutputString !== 'string' || llmOutputString.trim() === "") {
+    return { value: null, error: "LLM output is not a non-empty string, cannot parse." };
+  }
+
+  let cleanedOutput = llmOutputString;
+  if (llmOutputString.includes("```")) {
+    const codeBlockMatch = llmOutputString.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (codeBlockMatch && codeBlockMatch[1]) cleanedOutput = codeBlockMatch[1].trim();
+  }
+
+  try {
+    return { value: JSON.parse(cleanedOutput), error: null };
+  } catch (e) {
+    return { value: null, error: `Invalid JSON: ${e.message}` };
+  }
+}
+
+/**
+ * Parses raw LLM output (optionally wrapped in a code fence) and validates it against llmResponseSchema
+ * @param {string} llmOutputString - Raw LLM output
+ * @returns {{value: Object|null, error: string|null}} The validated response, or a description of what is wrong with it
+ */
+export function parseLlmResponse(llmOutputString) {
+  const { value: parsed, error } = parseLlmJson(llmOutputString);
+  if (error) {
+    return { value: null, error };
+  }
+
+  if (!validateLlmResponseSchema(parsed)) {
+    return { value: null, error: `Schema validation failed: ${ajv.errorsText(validateLlmResponseSchema.errors)}` };
+  }
+
+  return {
+    value: {
+      answer: parsed.answer,
+      relatedProducts: parsed.relatedProducts.map(sku => String(sku).trim())
+    },
+    error: null
+  };
+}
+
+// Lowercases and strips punctuation so "The Robin Cot!" matches "the robin cot"
+function normalizeProductName(name) {
+  return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Uppercase letters and digits in hyphenated groups, with at least one digit: "ST-102", "CS2-BLK"
+const SKU_PATTERN = /^(?=.*\d)[A-Z0-9]+(?:-[A-Z0-9]+)+$/;
+// Lowercase words allowed inside a title-cased product name, e.g. "Car Seat with Base"
+const NAME_CONNECTIVES = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Answers also bold labels ("**Tip:**"), single words ("**Safety**") and whole sentences, so only
+// SKUs and title-cased names of two or more words (or words of a caseless script) count as products
+function looksLikeProductMention(mention) {
+  if (SKU_PATTERN.test(mention)) return true;
+  if (/[:.!?]$/.test(mention)) return false;
+
+  const words = mention.split(/\s+/);
+  if (words.length < 2) return false;
+  return words.every(word => /^[\p{Lu}\p{Lo}\p{N}]/u.test(word) || NAME_CONNECTIVES.has(word));
+}
+
+/**
+ * Finds product names and SKUs bolded in the answer (`**Name**`) that do not match any returned product
+ * @param {string} answer - The answer text
+ * @param {Array<Object>} products - Hydrated products returned with the answer
+ * @returns {Array<string>} Bolded names and SKUs with no matching product
+ */
+export function findUnmatchedProductMentions(answer, products) {
+  const productSkus = products.map(product => String(product.sku || '').toUpperCase()).filter(Boolean);
+  const productNames = products.map(product => normalizeProductName(product.name)).filter(Boolean);
+  const mentions = [...answer.matchAll(/\*\*([^*]+)\*\*/g)]
+    .map(match => match[1].trim())
+    .filter(looksLikeProductMention);
+
+  return mentions.filter(mention => {
+    if (SKU_PATTERN.test(mention)) return !productSkus.includes(mention);
+
+    const normalizedMention = normalizeProductName(mention);
+    if (!normalizedMention) return false;
+    return !productNames.some(name => name.includes(normalizedMention) || normalizedMention.includes(name));
+  });
+}
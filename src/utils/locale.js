@@ -0,0 +1,69 @@
+import { config } from '../config/index.js';
+
+// Scripts that identify a language on their own; Latin-script queries cannot be told apart this way
+const SCRIPT_LOCALES = [
+  { locale: 'ar', pattern: /\p{Script=Arabic}/u },
+  { locale: 'he', pattern: /\p{Script=Hebrew}/u },
+  { locale: 'el', pattern: /\p{Script=Greek}/u },
+  { locale: 'ru', pattern: /\p{Script=Cyrillic}/u },
+  { locale: 'hi', pattern: /\p{Script=Devanagari}/u },
+  { locale: 'th', pattern: /\p{Script=Thai}/u },
+  { locale: 'ko', pattern: /\p{Script=Hangul}/u },
+  { locale: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+  { locale: 'zh', pattern: /\p{Script=Han}/u }
+];
+
+// Words with at least one letter; digits and punctuation alone say nothing about the language
+const WORD_PATTERN = /\S*\p{L}\S*/gu;
+
+/**
+ * Detects the locale of a query from its script: a supported locale whose script is used by at
+ * least half of the query's words (so a SKU or brand name in Latin letters does not outweigh a sentence)
+ * @param {string} text - The user's query
+ * @returns {string|null} The detected locale, or null if no supported locale's script dominates
+ */
+export function detectLocale(text) {
+  const words = text.match(WORD_PATTERN) || [];
+  if (words.length === 0) return null;
+
+  const candidates = SCRIPT_LOCALES
+    .filter(({ locale }) => config.locales.supported.includes(locale))
+    .map(({ locale, pattern }) => ({ locale, count: words.filter(word => pattern.test(word)).length }))
+    .sort((a, b) => b.count - a.count);
+  const [best] = candidates;
+  return best && best.count * 2 >= words.length ? best.locale : null;
+}
+
+/**
+ * Resolves the locale to answer in: the requested one, else the one detected from the query, else the default
+ * @param {string} [requestedLocale] - `locale` of the request body, already checked against locales.supported
+ * @param {string} query - The user's query
+ * @returns {string} A supported locale
+ */
+export function resolveLocale(requestedLocale, query) {
+  return requestedLocale || detectLocale(query) || config.locales.default;
+}
+
+/**
+ * Folds a product's localized columns (`name_ar`, `description_ar`, ...) into its base fields.
+ * Non-empty columns of the locale replace the base field; the localized columns of every
+ * supported locale are left out, so the LLM and the client see one language.
+ * @param {Object} product - Stored product document
+ * @param {string} locale - Locale to present the product in
+ * @returns {Object} A copy of the product
+ */
+export function localizeProduct(product, locale) {
+  const localized = {};
+  const suffixes = config.locales.supported.map(supportedLocale => `_${supportedLocale}`);
+
+  for (const [field, value] of Object.entries(product)) {
+    if (!suffixes.some(suffix => field.endsWith(suffix) && field.length > suffix.length)) {
+      if (!(field in localized)) localized[field] = value;
+      continue;
+    }
+    if (field.endsWith(`_${locale}`) && typeof value === 'string' && value.trim()) {
+      localized[field.slice(0, -(locale.length + 1))] = value;
+    }
+  }
+  return localized;
+}
@@ -0,0 +1,102 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Personal data: redacted unless redactPii is turned off. Prompts and LLM output are
+// included because they carry the user's profile, memory and conversation.
+const PII_FIELDS = new Set([
+  'name', 'userName', 'children', 'birthday', 'gender', 'email', 'phone', 'address',
+  'query', 'userQuery', 'answer', 'prompt', 'llmOutput', 'result', 'summary', 'facts'
+]);
+
+// Credentials: always redacted
+const SECRET_FIELDS = new Set(['authorization', 'apiKey', 'password', 'token', 'secret', 'jwtSecret']);
+
+const MAX_DEPTH = 8;
+
+/**
+ * Leveled logger that writes one JSON object per line.
+ * Every line carries the fields of the current log context (such as the request ID set by
+ * middleware/requestContext.js). Fields named in PII_FIELDS or SECRET_FIELDS are redacted
+ * at any depth, so personal data must be passed as fields rather than interpolated into messages.
+ */
+class Logger {
+  constructor() {
+    this.level = 'info';
+    this.redactPii = true;
+    this.context = new AsyncLocalStorage();
+  }
+
+  configure({ level, redactPii } = {}) {
+    if (level && LEVELS[level] === undefined) {
+      this.warn(`Unknown log level '${level}', keeping '${this.level}'`);
+    } else if (level) {
+      this.level = level;
+    }
+    if (typeof redactPii === 'boolean') this.redactPii = redactPii;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  // Runs `callback` with `fields` added to every line logged during it, including from async continuations
+  runWithContext(fields, callback) {
+    return this.context.run({ ...this.context.getStore(), ...fields }, callback);
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      ...this.context.getStore(),
+      ...this.sanitize(fields, 0)
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  sanitize(value, depth) {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, stack: value.stack };
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (Array.isArray(value)) return value.map(item => this.sanitize(item, depth + 1));
+
+    const sanitized = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+      if (SECRET_FIELDS.has(key)) {
+        sanitized[key] = '[REDACTED]';
+      } else if (this.redactPii && PII_FIELDS.has(key) && fieldValue !== undefined && fieldValue !== null && fieldValue !== '') {
+        sanitized[key] = typeof fieldValue === 'string' ? `[REDACTED ${fieldValue.length} chars]` : '[REDACTED]';
+      } else {
+        sanitized[key] = this.sanitize(fieldValue, depth + 1);
+      }
+    }
+    return sanitized;
+  }
+}
+
+// Singleton instance
+const logger = new Logger();
+export default logger;
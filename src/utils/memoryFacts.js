@@ -0,0 +1,147 @@
+import Ajv from 'ajv';
+import { parseLlmJson } from './llmResponse.js';
+
+/**
+ * Kinds of long-term memory fact. `key` identifies the fact within its type: a newer fact with
+ * the same type and key replaces the older one.
+ */
+export const FACT_TYPES = {
+  child: 'Child',                     // key: the child's name (or "child"), value: age, birthday, gender
+  preference: 'Preference',           // key: topic, e.g. "stroller", value: what the user prefers
+  budget: 'Budget',                   // key: product type or "overall", value: the amount or range
+  owned_product: 'Owns',              // key: product name or SKU, value: details
+  rejected_product: 'Not interested'  // key: product name or SKU, value: the reason
+};
+
+// Children and budgets matter for almost every recommendation, so they are always in the prompt
+const ALWAYS_RELEVANT_TYPES = new Set(['child', 'budget']);
+const MAX_STORED_FACTS = 100;
+const MAX_KEY_LENGTH = 100;
+const MAX_VALUE_LENGTH = 300;
+const MIN_TERM_LENGTH = 3;
+
+const factKeySchema = { type: 'string', minLength: 1, maxLength: MAX_KEY_LENGTH };
+const factTypeSchema = { type: 'string', enum: Object.keys(FACT_TYPES) };
+
+/**
+ * JSON schema for the fact updates the memoryExtractionInstruction prompt asks the LLM for
+ */
+export const factExtractionSchema = {
+  type: 'object',
+  properties: {
+    facts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: factTypeSchema,
+          key: factKeySchema,
+          value: { type: 'string', maxLength: MAX_VALUE_LENGTH },
+          turn: { type: 'integer', minimum: 0 }
+        },
+        required: ['type', 'key', 'value']
+      }
+    },
+    removed: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { type: factTypeSchema, key: factKeySchema },
+        required: ['type', 'key']
+      }
+    }
+  },
+  required: ['facts']
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateFactExtraction = ajv.compile(factExtractionSchema);
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function isSameFact(a, b) {
+  return a.type === b.type && normalizeKey(a.key) === normalizeKey(b.key);
+}
+
+/**
+ * Parses and validates the LLM's fact updates
+ * @param {string} llmOutputString - Raw LLM output
+ * @returns {{value: {facts: Array<Object>, removed: Array<Object>}|null, error: string|null}}
+ */
+export function parseFactExtraction(llmOutputString) {
+  const { value: parsed, error } = parseLlmJson(llmOutputString);
+  if (error) return { value: null, error };
+
+  if (!validateFactExtraction(parsed)) {
+    return { value: null, error: `Schema validation failed: ${ajv.errorsText(validateFactExtraction.errors)}` };
+  }
+  return { value: { facts: parsed.facts, removed: parsed.removed || [] }, error: null };
+}
+
+/**
+ * Applies fact updates to the stored facts. Updated facts replace the stored fact with the same
+ * type and key; the oldest facts are dropped beyond MAX_STORED_FACTS.
+ * @param {Array<Object>} facts - Stored facts
+ * @param {{facts: Array<Object>, removed: Array<Object>}} update - Result of parseFactExtraction()
+ * @param {Function} getSource - Maps an extracted fact's `turn` to its `{conversationId, turn, timestamp}` source
+ * @param {Date} [now] - Time the facts were learned
+ * @returns {Array<Object>} The new list of facts, most recently learned last
+ */
+export function mergeFacts(facts, update, getSource, now = new Date()) {
+  const changed = [...update.facts, ...update.removed];
+  const kept = facts.filter(fact => !changed.some(change => isSameFact(fact, change)));
+
+  const learned = update.facts.map(({ type, key, value, turn }) => ({
+    type,
+    key: key.trim(),
+    value: value.trim(),
+    timestamp: now,
+    source: getSource(turn)
+  }));
+  return [...kept, ...learned].slice(-MAX_STORED_FACTS);
+}
+
+function getTerms(text) {
+  return new Set(String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length >= MIN_TERM_LENGTH));
+}
+
+/**
+ * Picks the facts worth putting in the prompt for a query: every child and budget fact, then
+ * facts sharing words with the query, then the most recently learned, up to `limit` facts
+ * @param {Array<Object>} facts - Stored facts, most recently learned last
+ * @param {string} query - The user's current query
+ * @param {number} limit - Most facts to return
+ * @returns {Array<Object>} Selected facts
+ */
+export function selectRelevantFacts(facts, query, limit) {
+  const queryTerms = getTerms(query);
+  const scored = facts.map((fact, index) => {
+    const factTerms = getTerms(`${fact.key} ${fact.value}`);
+    const overlap = [...factTerms].filter(term => queryTerms.has(term)).length;
+    return { fact, index, alwaysRelevant: ALWAYS_RELEVANT_TYPES.has(fact.type), overlap };
+  });
+
+  return scored
+    .sort((a, b) => Number(b.alwaysRelevant) - Number(a.alwaysRelevant) || b.overlap - a.overlap || b.index - a.index)
+    .slice(0, limit)
+    .map(({ fact }) => fact);
+}
+
+/**
+ * Formats facts as prompt lines, e.g. "- Child: Jane (2 years old, girl; as of 2026-03-01)".
+ * Child facts carry the date they were stated, so the LLM can tell how old a child is now.
+ * @param {Array<Object>} facts - Facts to format
+ * @returns {string} One line per fact
+ */
+export function formatFacts(facts) {
+  return facts.map(fact => {
+    const details = fact.value ? [fact.value] : [];
+    const statedAt = fact.source && fact.source.timestamp ? new Date(fact.source.timestamp) : null;
+    if (fact.type === 'child' && statedAt && !Number.isNaN(statedAt.getTime())) {
+      details.push(`as of ${statedAt.toISOString().slice(0, 10)}`);
+    }
+    return `- ${FACT_TYPES[fact.type]}: ${fact.key}${details.length > 0 ? ` (${details.join('; ')})` : ''}`;
+  }).join('\n');
+}
@@ -1,4 +1,5 @@
 import { networkInterfaces } from 'os';
+import logger from './logger.js';
 
 /**
  * Gets a list of network IP addresses (non-internal IPv4 addresses)
@@ -19,20 +20,15 @@ export function getNetworkIPs() {
 }
 
 /**
- * Logs server URLs (local and network) to the console
+ * Logs server URLs (local and network)
  * @param {number} port - The port number the server is running on
  */
 export function logServerUrls(port) {
-  console.log(`Local URL: http://localhost:${port}`);
-  const networkIPs = getNetworkIPs();
-  if (Object.keys(networkIPs).length > 0) {
-    console.log('Network URLs:');
-    for (const [interfaceName, addresses] of Object.entries(networkIPs)) {
-      for (const ip of addresses) {
-        console.log(`  http://${ip}:${port} (${interfaceName})`);
-      }
+  const networkUrls = [];
+  for (const [interfaceName, addresses] of Object.entries(getNetworkIPs())) {
+    for (const ip of addresses) {
+      networkUrls.push({ url: `http://${ip}:${port}`, interface: interfaceName });
     }
-  } else {
-    console.log('No network interfaces detected.');
   }
-} 
\ No newline at end of file
+  logger.info('Server URLs', { localUrl: `http://localhost:${port}`, networkUrls });
+}
@@ -0,0 +1,141 @@
+const MONTHS_PER_YEAR = 12;
+
+// Catalog columns that may hold a product's age range as text, e.g. "0-6 months", "3+ years", "6m - 3y"
+const AGE_RANGE_FIELDS = ['age_range', 'ageRange', 'age_group', 'ageGroup', 'age'];
+const AGE_VALUE_PATTERN = /(\d+(?:\.\d+)?)\+?\s*(months?|mos?|m|years?|yrs?|y)?\b/g;
+const OPEN_ENDED_MAX_PATTERN = /\bup to\b|\bunder\b|\bbelow\b|</;
+const NEWBORN_MAX_MONTHS = 3;
+
+function toMonths(value, unit) {
+  return unit && unit.startsWith('m') ? value : value * MONTHS_PER_YEAR;
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const number = parseFloat(value.replace(/[^\d.-]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parses an age range such as "0-6 months", "6 months - 3 years", "3+ years" or "up to 12m".
+ * A value without a unit takes the unit of the value after it, else years.
+ * @param {string} text - Age range as written in the catalog
+ * @returns {{minAgeMonths?: number, maxAgeMonths?: number}|null} Bounds in months, or null if none were found
+ */
+export function parseAgeRange(text) {
+  if (typeof text !== 'string') return null;
+  const normalized = text.toLowerCase();
+  if (/newborn/.test(normalized) && !/\d/.test(normalized)) return { minAgeMonths: 0, maxAgeMonths: NEWBORN_MAX_MONTHS };
+
+  const values = [...normalized.matchAll(AGE_VALUE_PATTERN)].map(match => ({ value: parseFloat(match[1]), unit: match[2] }));
+  if (values.length === 0) return null;
+  for (let index = values.length - 2; index >= 0; index--) {
+    if (!values[index].unit) values[index].unit = values[index + 1].unit;
+  }
+  const months = values.map(({ value, unit }) => toMonths(value, unit));
+
+  if (months.length >= 2) return { minAgeMonths: months[0], maxAgeMonths: months[1] };
+  if (OPEN_ENDED_MAX_PATTERN.test(normalized)) return { maxAgeMonths: months[0] };
+  // "3+ years", "from 3 years" and a bare "3 years" all give the youngest suitable age
+  return { minAgeMonths: months[0] };
+}
+
+/**
+ * Extracts the attributes retrieval can filter on from a catalog record.
+ * Used for the vector payload at embed time and for stored products at query time,
+ * so both are filtered the same way. Missing attributes are left out.
+ * @param {Object} record - CSV row or stored product document
+ * @returns {{price?: number, category?: string, brand?: string, minAgeMonths?: number, maxAgeMonths?: number}}
+ */
+export function getProductAttributes(record) {
+  const attributes = {};
+
+  const price = parseNumber(record.price);
+  if (price !== null) attributes.price = price;
+  if (typeof record.category === 'string' && record.category.trim()) attributes.category = record.category.trim();
+  if (typeof record.brand === 'string' && record.brand.trim()) attributes.brand = record.brand.trim();
+
+  // Explicit month columns win over a free-text age range
+  const minAgeMonths = parseNumber(record.min_age_months ?? record.minAgeMonths);
+  const maxAgeMonths = parseNumber(record.max_age_months ?? record.maxAgeMonths);
+  const ageField = AGE_RANGE_FIELDS.find(field => record[field] !== undefined && record[field] !== '');
+  const ageRange = (minAgeMonths === null && maxAgeMonths === null && ageField) ? parseAgeRange(String(record[ageField])) : null;
+
+  if (minAgeMonths !== null) attributes.minAgeMonths = minAgeMonths;
+  if (maxAgeMonths !== null) attributes.maxAgeMonths = maxAgeMonths;
+  if (ageRange) Object.assign(attributes, ageRange);
+  return attributes;
+}
+
+/**
+ * Age of a child from the request profile. The birthday is preferred; `age` is read as years
+ * unless it names months (e.g. "18 months").
+ * @param {Object} child - Child from the request's `user.children`
+ * @param {Date} [now] - Reference date
+ * @returns {number|null} Age in whole months, or null if unknown
+ */
+export function getChildAgeMonths(child, now = new Date()) {
+  if (child.birthday) {
+    const birthday = new Date(`${child.birthday}T00:00:00Z`);
+    if (!Number.isNaN(birthday.getTime())) {
+      let months = (now.getUTCFullYear() - birthday.getUTCFullYear()) * MONTHS_PER_YEAR + now.getUTCMonth() - birthday.getUTCMonth();
+      if (now.getUTCDate() < birthday.getUTCDate()) months--;
+      return Math.max(months, 0);
+    }
+  }
+
+  if (typeof child.age === 'number') return Math.floor(child.age * MONTHS_PER_YEAR);
+  if (typeof child.age === 'string') {
+    const [match] = child.age.toLowerCase().matchAll(AGE_VALUE_PATTERN);
+    if (match) return Math.floor(toMonths(parseFloat(match[1]), match[2]));
+  }
+  return null;
+}
+
+/**
+ * Builds the retrieval filters for a chat request: the ages of the profile's children
+ * plus the optional `maxPrice`, `category` and `brand` request fields.
+ * @param {Object} options
+ * @param {Array<Object>} [options.children] - Children from the request profile
+ * @param {number} [options.maxPrice] - Highest price to recommend
+ * @param {string} [options.category] - Only recommend this category
+ * @param {string} [options.brand] - Only recommend this brand
+ * @returns {Object} Filters for matchesProductFilters(); empty when nothing restricts the products
+ */
+export function buildProductFilters({ children = [], maxPrice, category, brand } = {}) {
+  const filters = {};
+  const childAgesMonths = children.map(child => getChildAgeMonths(child)).filter(age => age !== null);
+  if (childAgesMonths.length > 0) filters.childAgesMonths = childAgesMonths;
+  if (typeof maxPrice === 'number') filters.maxPrice = maxPrice;
+  if (category) filters.category = category.trim();
+  if (brand) filters.brand = brand.trim();
+  return filters;
+}
+
+export function hasProductFilters(filters) {
+  return !!filters && Object.keys(filters).length > 0;
+}
+
+/**
+ * Checks a product's attributes against the filters. A product without the attribute a filter
+ * needs is kept (e.g. a product with no age range matches every child).
+ * A product passes the age filter if it suits at least one of the children.
+ * @param {Object} attributes - Result of getProductAttributes() or a vector chunk's metadata
+ * @param {Object} filters - Result of buildProductFilters()
+ * @returns {boolean}
+ */
+export function matchesProductFilters(attributes, filters) {
+  if (!hasProductFilters(filters)) return true;
+
+  if (filters.maxPrice !== undefined && typeof attributes.price === 'number' && attributes.price > filters.maxPrice) return false;
+  if (filters.category && attributes.category && attributes.category !== filters.category) return false;
+  if (filters.brand && attributes.brand && attributes.brand !== filters.brand) return false;
+
+  if (filters.childAgesMonths) {
+    const minAgeMonths = typeof attributes.minAgeMonths === 'number' ? attributes.minAgeMonths : 0;
+    const maxAgeMonths = typeof attributes.maxAgeMonths === 'number' ? attributes.maxAgeMonths : Infinity;
+    if (!filters.childAgesMonths.some(age => age >= minAgeMonths && age <= maxAgeMonths)) return false;
+  }
+  return true;
+}
@@ -0,0 +1,107 @@
+import Ajv from 'ajv';
+
+const MAX_PROMPT_LENGTH = 20000;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_VARIANTS = 10;
+
+const promptTextSchema = { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH, pattern: '\\S' };
+
+// A prompt whose placeholders are filled in by the code must still contain them
+function withPlaceholders(...placeholders) {
+  return { ...promptTextSchema, allOf: placeholders.map(placeholder => ({ pattern: `\\{\\{${placeholder}\\}\\}` })) };
+}
+
+// Fragments for one locale: an instruction on the answer's language, and any of the
+// jsonOutputInstructions to use instead of the default ones
+const localePromptsSchema = {
+  type: 'object',
+  properties: {
+    answerLanguageInstruction: promptTextSchema,
+    systemPreamble: promptTextSchema,
+    answerFieldDetails: promptTextSchema,
+    relatedProductsFieldDetails: promptTextSchema,
+    closingInstruction: promptTextSchema
+  },
+  additionalProperties: false
+};
+
+/**
+ * JSON schema for a prompt set: the prompts of config/prompts.json, all of which are required
+ * except `locales`, the per-locale fragments keyed by locale (e.g. `ar`)
+ */
+export const promptSetSchema = {
+  type: 'object',
+  properties: {
+    jsonOutputInstructions: {
+      type: 'object',
+      properties: {
+        systemPreamble: promptTextSchema,
+        answerFieldDetails: promptTextSchema,
+        relatedProductsFieldDetails: promptTextSchema,
+        closingInstruction: promptTextSchema
+      },
+      required: ['systemPreamble', 'answerFieldDetails', 'relatedProductsFieldDetails', 'closingInstruction'],
+      additionalProperties: false
+    },
+    repairInstruction: withPlaceholders('validationError', 'previousOutput'),
+    memoryExtractionInstruction: withPlaceholders('knownFacts', 'newTurns'),
+    locales: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z]{2,3}$' },
+      additionalProperties: localePromptsSchema
+    }
+  },
+  required: ['jsonOutputInstructions', 'repairInstruction', 'memoryExtractionInstruction'],
+  additionalProperties: false
+};
+
+/**
+ * JSON schema for the body of POST /admin/prompts.
+ * The new version goes live for every user unless `publish` is false.
+ */
+export const createPromptSetRequestSchema = {
+  type: 'object',
+  properties: {
+    prompts: promptSetSchema,
+    description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+    publish: { type: 'boolean' }
+  },
+  required: ['prompts'],
+  additionalProperties: false
+};
+
+/**
+ * JSON schema for the body of PUT /admin/prompts/deployment.
+ * Weights are percentages of users; that they add up to 100 is checked by the controller.
+ */
+export const promptDeploymentRequestSchema = {
+  type: 'object',
+  properties: {
+    variants: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_VARIANTS,
+      items: {
+        type: 'object',
+        properties: {
+          version: { type: 'integer', minimum: 1 },
+          weight: { type: 'integer', minimum: 1, maximum: 100 }
+        },
+        required: ['version', 'weight'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['variants'],
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true });
+
+export const validatePromptSet = ajv.compile(promptSetSchema);
+export const validateCreatePromptSetRequest = ajv.compile(createPromptSetRequestSchema);
+export const validatePromptDeploymentRequest = ajv.compile(promptDeploymentRequestSchema);
+
+export function formatPromptSetErrors(errors) {
+  return ajv.errorsText(errors);
+}
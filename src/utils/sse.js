@@ -0,0 +1,24 @@
+/**
+ * Prepares an Express response for Server-Sent Events
+ * @param {Object} res - Express response object
+ */
+export function initSse(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Writes a single named SSE event with a JSON payload
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Payload, serialized as JSON
+ */
+export function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
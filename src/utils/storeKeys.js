@@ -0,0 +1,10 @@
+/**
+ * Escapes a user ID for use as one segment of a `:`-separated store key, so `a` and `a:b` can never
+ * share a key prefix (JWT subjects may contain `:`). Only `%` and `:` are escaped, which leaves the
+ * keys of every other user ID as they were before escaping was introduced.
+ * @param {string} segment - Raw key segment
+ * @returns {string} Segment without unescaped `:`
+ */
+export function encodeKeySegment(segment) {
+  return String(segment).replace(/%/g, '%25').replace(/:/g, '%3A');
+}
@@ -0,0 +1,189 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { useInMemoryCatalog } from '../../db.mjs';
+import { handleQuery, handleStreamQuery } from '../../src/controllers/chatController.js';
+import { submitFeedback } from '../../src/controllers/feedbackController.js';
+import ragService from '../../src/services/ragService.js';
+import cacheService from '../../src/services/cacheService.js';
+import memoryService from '../../src/services/memoryService.js';
+import retrievalService from '../../src/services/retrievalService.js';
+import promptService, { FILE_PROMPT_VERSION } from '../../src/services/promptService.js';
+import tenantService from '../../src/services/tenantService.js';
+import { InMemoryStore } from '../../src/providers/memoryStore.js';
+import logger from '../../src/utils/logger.js';
+
+const USER_ID = 'user-1';
+const QUERY = 'Tell me about the Robin night light';
+
+const PRODUCTS = [
+  { sku: 'NL-ROBIN', name: 'Robin Night Light', name_ar: 'ضوء روبن الليلي', price: '35', category: 'Nursery' },
+  { sku: 'NL-PHOEBE', name: 'Phoebe Night Light', name_ar: 'ضوء فيبي الليلي', price: '25', category: 'Nursery' }
+];
+
+const CACHED_RESULT = {
+  answer: 'The **Robin Night Light** glows softly and has a sleep trainer.',
+  relatedProducts: [{ sku: 'NL-ROBIN', name: 'Robin Night Light' }],
+  sources: [{ sku: 'NL-ROBIN', name: 'Robin Night Light', score: 0.03, similarity: 0.9, matchedBy: ['vector'] }],
+  promptVersion: FILE_PROMPT_VERSION,
+  locale: 'en'
+};
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Collects the Server-Sent Events handleStreamQuery writes
+function createSseResponse() {
+  return {
+    statusCode: null,
+    headers: {},
+    output: '',
+    ended: false,
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    set(headers) {
+      Object.assign(this.headers, headers);
+      return this;
+    },
+    flushHeaders() {},
+    on() {},
+    write(text) {
+      this.output += text;
+    },
+    end() {
+      this.ended = true;
+    },
+    get events() {
+      return this.output.split('\n\n').filter(Boolean).map(block => {
+        const [, event, data] = block.match(/^event: (.+)\ndata: (.+)$/);
+        return { event, data: JSON.parse(data) };
+      });
+    }
+  };
+}
+
+function createRequest(body) {
+  return { id: 'req-1', body, auth: { userId: USER_ID }, get: () => undefined };
+}
+
+describe('chatController', () => {
+  let store;
+
+  before(() => {
+    logger.configure({ level: 'error' });
+    ragService.ragApplication = {};
+    promptService.activateFile();
+    useInMemoryCatalog(PRODUCTS);
+  });
+
+  after(() => {
+    ragService.ragApplication = null;
+    promptService.deployments.clear();
+    useInMemoryCatalog(null);
+  });
+
+  beforeEach(() => {
+    store = new InMemoryStore();
+    const stores = new Map([[tenantService.getDefaultTenant().id, store]]);
+    cacheService.initialize(stores);
+    memoryService.initialize(stores);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('handleQuery', () => {
+    it('stores an exact cache hit in a thread that does not exist yet, so feedback finds the answer', async () => {
+      // The cache key of a request without profile or filters
+      await cacheService.setCachedResult(USER_ID, QUERY, { name: '', children: [], promptVersion: FILE_PROMPT_VERSION, locale: 'en' }, CACHED_RESULT);
+      const res = createResponse();
+
+      await handleQuery(createRequest({ query: QUERY, conversationId: 'new-thread' }), res, '/chat');
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.answer, CACHED_RESULT.answer);
+      assert.equal(res.body.conversationId, 'new-thread');
+      assert.equal(typeof res.body.messageId, 'string');
+
+      const history = await memoryService.getConversationHistory(USER_ID, 'new-thread');
+      assert.deepEqual(history.entries.map(entry => [entry.role, entry.content]), [['User', QUERY], ['Bot', CACHED_RESULT.answer]]);
+      const message = await memoryService.findBotMessage(USER_ID, 'new-thread', res.body.messageId);
+      assert.deepEqual(message.entry.relatedSkus, ['NL-ROBIN']);
+      assert.equal(message.userEntry.content, QUERY);
+
+      // Rating a product the answer did not recommend is checked against the stored answer, not rejected as unknown
+      const feedbackRes = createResponse();
+      await submitFeedback(createRequest({ messageId: res.body.messageId, conversationId: 'new-thread', products: [{ sku: 'ST-LITE', rating: 'down' }] }), feedbackRes);
+      assert.equal(feedbackRes.statusCode, 400);
+      assert.equal(feedbackRes.body.error.code, 'INVALID_INPUT');
+    });
+  });
+
+  describe('handleStreamQuery', () => {
+    // Streams the completion in the given chunks, with the Robin night light retrieved as context
+    function stubCompletion(chunks) {
+      mock.method(retrievalService, 'retrieve', async () => [
+        { sku: 'NL-ROBIN', score: 1 / 61, similarity: 0.9, matchedBy: ['vector'], product: PRODUCTS[0] }
+      ]);
+      mock.method(ragService, 'streamQuery', async function* () {
+        yield* chunks;
+      });
+    }
+
+    it('streams the answer text, then sends the final result', async () => {
+      stubCompletion(['{"answer": "The **Robin Night Light** has a \\', '"sleep trainer\\"\\nand costs 35 \\u20', 'ac.", "relatedProducts": ["NL-PHOEBE", "NL-ROBIN"]}']);
+      const res = createSseResponse();
+
+      await handleStreamQuery(createRequest({ query: 'Which night light helps my son sleep?', conversationId: 'bedtime' }), res, '/chat/stream');
+
+      const answer = 'The **Robin Night Light** has a "sleep trainer"\nand costs 35 €.';
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers['Content-Type'], 'text/event-stream');
+      assert.ok(res.ended);
+      const events = res.events;
+      assert.deepEqual(events.slice(0, -1).map(({ event }) => event), ['answer', 'answer', 'answer']);
+      assert.equal(events.slice(0, -1).map(({ data }) => data.delta).join(''), answer);
+
+      const { event, data: result } = events[events.length - 1];
+      assert.equal(event, 'result');
+      assert.equal(result.answer, answer);
+      assert.equal(result.conversationId, 'bedtime');
+      assert.equal(typeof result.messageId, 'string');
+      assert.equal(result.promptVersion, FILE_PROMPT_VERSION);
+      assert.equal(result.locale, 'en');
+      // Products keep the order the LLM ranked them in
+      assert.deepEqual(result.relatedProducts.map(product => product.sku), ['NL-PHOEBE', 'NL-ROBIN']);
+      assert.deepEqual(result.sources, [{ sku: 'NL-ROBIN', name: 'Robin Night Light', score: 1 / 61, similarity: 0.9, matchedBy: ['vector'] }]);
+
+      const message = await memoryService.findBotMessage(USER_ID, 'bedtime', result.messageId);
+      assert.equal(message.entry.content, answer);
+    });
+
+    it('returns products and sources in the locale of the answer', async () => {
+      stubCompletion(['{"answer": "**ضوء روبن الليلي** مناسب.", ', '"relatedProducts": ["NL-ROBIN"]}']);
+      const res = createSseResponse();
+
+      await handleStreamQuery(createRequest({ query: 'ما هو أفضل ضوء ليلي؟' }), res, '/chat/stream');
+
+      const { event, data: result } = res.events[res.events.length - 1];
+      assert.equal(event, 'result');
+      assert.equal(result.locale, 'ar');
+      assert.equal(result.relatedProducts[0].name, 'ضوء روبن الليلي');
+      assert.equal(result.sources[0].name, 'ضوء روبن الليلي');
+    });
+  });
+});
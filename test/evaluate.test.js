@@ -0,0 +1,56 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const execFileAsync = promisify(execFile);
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RUN_TIMEOUT_MS = 60000;
+
+describe('evaluate.mjs --offline', () => {
+  let tempDir;
+  let reportPath;
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-'));
+    reportPath = path.join(tempDir, 'report.json');
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('runs the golden set against the catalog fixture and recorded completions', async () => {
+    await execFileAsync(process.execPath, ['evaluate.mjs', '--offline', '--output', reportPath], {
+      cwd: rootDir,
+      timeout: RUN_TIMEOUT_MS,
+      env: { ...process.env, LOG_LEVEL: 'error' }
+    });
+
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    assert.equal(report.catalog, 'eval/catalog.csv');
+    assert.deepEqual([report.providers.llm, report.providers.embeddings, report.providers.vectorDb], ['fake', 'fake', 'memory']);
+    assert.deepEqual(report.promptVersions, [0]);
+    assert.equal(report.summary.errors, 0);
+    assert.equal(report.summary.precision, 1);
+    assert.equal(report.summary.recall, 1);
+    assert.equal(report.summary.hallucinatedSkuRate, 0);
+    assert.equal(report.summary.parseFailureRate, 0);
+
+    const cases = Object.fromEntries(report.cases.map(result => [result.id, result]));
+    assert.deepEqual(cases['sku-compare'].returnedSkus, ['ZAZ-ZA-ROBIN-01', 'ZAZ-ZA-PHOEBE-01']);
+    assert.equal(cases['arabic-sku'].locale, 'ar');
+    assert.deepEqual(cases['off-topic'].returnedSkus, []);
+  });
+
+  it('rejects --prompt-version, which needs the stored prompt sets', async () => {
+    await assert.rejects(
+      execFileAsync(process.execPath, ['evaluate.mjs', '--offline', '--prompt-version', '2', '--output', reportPath], { cwd: rootDir, timeout: RUN_TIMEOUT_MS }),
+      error => error.code === 1 && /--prompt-version/.test(error.stderr)
+    );
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { ApiError, ERROR_CODES } from '../../src/utils/errors.js';
+import logger from '../../src/utils/logger.js';
+
+function createResponse({ headersSent = false } = {}) {
+  return {
+    headersSent,
+    statusCode: 200,
+    body: null,
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+function handle(error, res = createResponse()) {
+  let passedOn = null;
+  errorHandler(error, { id: 'req-1' }, res, nextError => { passedOn = nextError; });
+  return { res, passedOn };
+}
+
+describe('errorHandler', () => {
+  let logError;
+
+  // Unexpected errors are logged at error level; keep the test output clean
+  before(() => {
+    logError = logger.error;
+    logger.error = () => {};
+  });
+
+  after(() => {
+    logger.error = logError;
+  });
+
+  it('reports malformed and oversized JSON bodies as INVALID_INPUT', () => {
+    const malformed = Object.assign(new SyntaxError('Unexpected token } in JSON at position 12'), { type: 'entity.parse.failed' });
+    assert.deepEqual(handle(malformed).res.body, { error: { code: 'INVALID_INPUT', message: 'Request body is not valid JSON' }, requestId: 'req-1' });
+
+    const { res } = handle(Object.assign(new Error('request entity too large'), { type: 'entity.too.large' }));
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error.message, 'Request body is too large');
+  });
+
+  it('sends ApiErrors as they are', () => {
+    const { res } = handle(new ApiError(ERROR_CODES.NOT_INITIALIZED, 'Starting up'));
+    assert.equal(res.statusCode, 503);
+    assert.deepEqual(res.body, { error: { code: 'NOT_INITIALIZED', message: 'Starting up' }, requestId: 'req-1' });
+  });
+
+  it('hides the details of anything else behind INTERNAL_ERROR', () => {
+    const { res } = handle(new TypeError("Cannot read properties of undefined (reading 'userId')"));
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, { error: { code: 'INTERNAL_ERROR', message: 'Error processing your request' }, requestId: 'req-1' });
+  });
+
+  it('leaves responses that have already started to Express', () => {
+    const error = new Error('stream broke');
+    const { res, passedOn } = handle(error, createResponse({ headersSent: true }));
+    assert.equal(passedOn, error);
+    assert.equal(res.body, null);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateLimit } from '../../src/middleware/rateLimit.js';
+import rateLimitService from '../../src/services/rateLimitService.js';
+import { config } from '../../src/config/index.js';
+import logger from '../../src/utils/logger.js';
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Runs the middleware; resolves with the response, or null if the request was passed on
+async function runRateLimit(auth, ip = '203.0.113.7') {
+  const req = { id: 'req-1', ip, path: '/chat', auth };
+  const res = createResponse();
+  let passed = false;
+  await rateLimit(req, res, () => { passed = true; });
+  return passed ? null : res;
+}
+
+describe('rateLimit middleware', () => {
+  let configuredRateLimit;
+
+  before(() => {
+    logger.configure({ level: 'error' });
+    configuredRateLimit = config.rateLimit;
+  });
+
+  after(() => {
+    config.rateLimit = configuredRateLimit;
+  });
+
+  beforeEach(() => {
+    config.rateLimit = { enabled: true, store: 'memory', requestsPerMinute: 1, requestsPerDay: 0, tokensPerDay: 0 };
+    rateLimitService.initialize();
+  });
+
+  it('rejects a request over the limit with 429, Retry-After and the error envelope', async () => {
+    assert.equal(await runRateLimit({ userId: 'u1' }), null);
+
+    const res = await runRateLimit({ userId: 'u1' });
+    assert.equal(res.statusCode, 429);
+    const retryAfterSeconds = Number(res.headers['Retry-After']);
+    assert.ok(retryAfterSeconds >= 1 && retryAfterSeconds <= 60);
+    assert.deepEqual(res.body, {
+      error: {
+        code: 'RATE_LIMITED',
+        message: 'Rate limit exceeded: requestsPerMinute (1)',
+        details: { limit: 'requestsPerMinute', max: 1, retryAfterSeconds }
+      },
+      requestId: 'req-1'
+    });
+  });
+
+  it('limits a user across all of their API keys', async () => {
+    assert.equal(await runRateLimit({ userId: 'u1', apiKeyId: 'k1' }), null);
+    assert.equal((await runRateLimit({ userId: 'u1', apiKeyId: 'k2' })).statusCode, 429);
+  });
+
+  it('limits an API key across the users it acts for', async () => {
+    assert.equal(await runRateLimit({ userId: 'u1', apiKeyId: 'k1' }), null);
+    assert.equal((await runRateLimit({ userId: 'u2', apiKeyId: 'k1' })).statusCode, 429);
+    assert.equal(await runRateLimit({ userId: 'u3', apiKeyId: 'k2' }), null);
+  });
+
+  it('limits anonymous callers by IP address', async () => {
+    assert.equal(await runRateLimit({ anonymous: true }, '203.0.113.7'), null);
+    assert.equal((await runRateLimit({ anonymous: true }, '203.0.113.7')).statusCode, 429);
+    assert.equal(await runRateLimit({ anonymous: true }, '203.0.113.8'), null);
+  });
+});
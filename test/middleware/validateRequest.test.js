@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBody } from '../../src/middleware/validateRequest.js';
+import { validateChatRequest } from '../../src/utils/chatRequestSchema.js';
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('validateBody', () => {
+  const validate = validateBody(validateChatRequest);
+
+  it('passes valid bodies on', () => {
+    let passed = false;
+    validate({ id: 'req-1', body: { query: 'Which stroller?' } }, createResponse(), () => { passed = true; });
+    assert.equal(passed, true);
+  });
+
+  it('rejects invalid bodies with INVALID_INPUT and every failed field', () => {
+    const res = createResponse();
+    validate({ id: 'req-1', body: { query: 'Hi', extra: true, user: { children: [{ birthday: '2021-02-29' }] } } }, res, () => assert.fail('passed on'));
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+      error: {
+        code: 'INVALID_INPUT',
+        message: 'Request body is invalid',
+        details: [
+          { field: '/extra', message: 'must NOT have additional properties' },
+          { field: '/user/children/0/birthday', message: 'must match format "date"' }
+        ]
+      },
+      requestId: 'req-1'
+    });
+  });
+
+  it('reports a missing query once, without the `if` keyword error', () => {
+    const res = createResponse();
+    validate({ id: 'req-1', body: {} }, res, () => assert.fail('passed on'));
+    assert.deepEqual(res.body.error.details, [{ field: '/', message: "must have required property 'query'" }]);
+  });
+});
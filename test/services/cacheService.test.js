@@ -0,0 +1,96 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import cacheService from '../../src/services/cacheService.js';
+import tenantService from '../../src/services/tenantService.js';
+import { InMemoryStore } from '../../src/providers/memoryStore.js';
+import { config } from '../../src/config/index.js';
+import logger from '../../src/utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('cacheService', () => {
+  let store;
+  let configuredTtlSeconds;
+
+  before(() => {
+    logger.configure({ level: 'error' });
+    configuredTtlSeconds = config.cache.ttlSeconds;
+  });
+
+  after(() => {
+    config.cache.ttlSeconds = configuredTtlSeconds;
+  });
+
+  beforeEach(() => {
+    store = new InMemoryStore();
+    cacheService.initialize(new Map([[tenantService.getDefaultTenant().id, store]]));
+    config.cache.ttlSeconds = 3600;
+  });
+
+  describe('normalizeQuery', () => {
+    it('folds compatibility characters, case, punctuation and whitespace', () => {
+      assert.equal(cacheService.normalizeQuery('  Stroller?? '), 'stroller');
+      assert.equal(cacheService.normalizeQuery('ＳＴＲＯＬＬＥＲ'), 'stroller');
+      assert.equal(cacheService.normalizeQuery('Best   stroller, for\ttwins!'), 'best stroller for twins');
+      assert.equal(cacheService.normalizeQuery('Model ST-102'), 'model st 102');
+    });
+
+    it('keeps letters and digits of every script', () => {
+      assert.equal(cacheService.normalizeQuery('Коляска для 2 детей?'), 'коляска для 2 детей');
+      assert.equal(cacheService.normalizeQuery('عربة أطفال؟'), 'عربة أطفال');
+    });
+
+    it('gives trivially different phrasings the same cache key', () => {
+      assert.equal(cacheService.generateCacheKey('user-1', 'Stroller?', {}), cacheService.generateCacheKey('user-1', 'stroller', {}));
+    });
+  });
+
+  describe('isExpired', () => {
+    it('expires entries older than the TTL', () => {
+      assert.equal(cacheService.isExpired({ timestamp: new Date(Date.now() - 2 * HOUR_MS) }), true);
+      assert.equal(cacheService.isExpired({ timestamp: new Date(Date.now() - HOUR_MS / 2) }), false);
+    });
+
+    it('never expires entries without a timestamp or when the TTL is off', () => {
+      assert.equal(cacheService.isExpired({}), false);
+      config.cache.ttlSeconds = 0;
+      assert.equal(cacheService.isExpired({ timestamp: new Date(0) }), false);
+    });
+
+    it('treats an expired entry as a miss and deletes it', async () => {
+      const cacheKey = cacheService.generateCacheKey('user-1', 'stroller', {});
+      await store.loaderCustomSet('user-1', cacheKey, { data: { answer: 'Old' }, timestamp: new Date(Date.now() - 2 * HOUR_MS) });
+
+      assert.equal(await cacheService.getCachedResult('user-1', 'stroller', {}), null);
+      assert.equal(await store.loaderCustomHas(cacheKey), false);
+    });
+  });
+
+  describe('clearCacheForSku', () => {
+    it('deletes the entries of every user that recommend the SKU', async () => {
+      await cacheService.setCachedResult('user-1', 'stroller', {}, { answer: 'A', relatedProducts: [{ sku: 'ST-102' }, { sku: 'ST-200' }] });
+      await cacheService.setCachedResult('user-2', 'stroller', {}, { answer: 'B', relatedProducts: [{ sku: 'ST-102' }] });
+      await cacheService.setCachedResult('user-2', 'car seat', {}, { answer: 'C', relatedProducts: [{ sku: 'CS-1' }] });
+
+      assert.equal(await cacheService.clearCacheForSku('ST-102'), 2);
+      assert.equal(await cacheService.getCachedResult('user-1', 'stroller', {}), null);
+      assert.equal(await cacheService.getCachedResult('user-2', 'stroller', {}), null);
+      assert.equal((await cacheService.getCachedResult('user-2', 'car seat', {})).answer, 'C');
+    });
+
+    it('reads the SKUs of entries stored before `skus` was', async () => {
+      const cacheKey = cacheService.generateCacheKey('user-1', 'stroller', {});
+      await store.loaderCustomSet('user-1', cacheKey, { data: { answer: 'A', relatedProducts: [{ sku: 'ST-102' }] }, timestamp: new Date() });
+
+      assert.equal(await cacheService.clearCacheForSku('ST-102'), 1);
+      assert.equal(await store.loaderCustomHas(cacheKey), false);
+    });
+
+    it('leaves other stored values alone', async () => {
+      await store.loaderCustomSet('user-1', 'memory:user-1:facts', { facts: [], skus: ['ST-102'] });
+
+      assert.equal(await cacheService.clearCacheForSku('ST-102'), 0);
+      assert.equal(await store.loaderCustomHas('memory:user-1:facts'), true);
+    });
+  });
+});
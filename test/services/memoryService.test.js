@@ -0,0 +1,130 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import memoryService from '../../src/services/memoryService.js';
+import tenantService from '../../src/services/tenantService.js';
+import { InMemoryStore } from '../../src/providers/memoryStore.js';
+import { config } from '../../src/config/index.js';
+import logger from '../../src/utils/logger.js';
+
+describe('memoryService', () => {
+  let store;
+
+  before(() => {
+    logger.configure({ level: 'error' });
+  });
+
+  beforeEach(() => {
+    store = new InMemoryStore();
+    memoryService.initialize(new Map([[tenantService.getDefaultTenant().id, store]]));
+  });
+
+  describe('addConversationEntries', () => {
+    it('creates the conversation of a thread that has none yet', async () => {
+      const messageId = await memoryService.addConversationEntries('user-1', 'new-thread', 'Which stroller?', 'This one.', { cacheKey: 'cache:user-1:x' });
+
+      assert.ok(messageId);
+      const conversation = await memoryService.findConversation('user-1', 'new-thread');
+      assert.deepEqual(conversation.entries.map(entry => [entry.role, entry.content]), [['User', 'Which stroller?'], ['Bot', 'This one.']]);
+
+      const { entry, userEntry } = await memoryService.findBotMessage('user-1', 'new-thread', messageId);
+      assert.equal(entry.cacheKey, 'cache:user-1:x');
+      assert.equal(userEntry.content, 'Which stroller?');
+
+      const threads = await memoryService.listThreads('user-1');
+      assert.deepEqual(threads.map(thread => [thread.conversationId, thread.title]), [['new-thread', 'Which stroller?']]);
+    });
+
+    it('appends to an existing conversation', async () => {
+      await memoryService.getConversationHistory('user-1');
+      await memoryService.addConversationEntries('user-1', 'default', 'First', 'One');
+      await memoryService.addConversationEntries('user-1', 'default', 'Second', 'Two');
+
+      const conversation = await memoryService.findConversation('user-1');
+      assert.deepEqual(conversation.entries.map(entry => entry.content), ['First', 'One', 'Second', 'Two']);
+    });
+
+    it('returns null when the entries cannot be stored', async () => {
+      store.addEntryToConversation = async () => { throw new Error('store down'); };
+      assert.equal(await memoryService.addConversationEntries('user-1', 'default', 'Hi', 'Hello'), null);
+    });
+  });
+
+  describe('updateMemoryFacts', () => {
+    const PROMPT_TEMPLATE = 'Known:\n{{knownFacts}}\nNew:\n{{newTurns}}';
+    let configuredInterval;
+    let prompts;
+    let extraction;
+    // Stands in for ragService: records the extraction prompts and answers with `extraction`
+    const fakeRagService = {
+      async queryWithoutRetrieval(prompt) {
+        prompts.push(prompt);
+        return { content: JSON.stringify(extraction) };
+      }
+    };
+
+    before(() => {
+      configuredInterval = config.memory.extractionIntervalTurns;
+    });
+
+    after(() => {
+      config.memory.extractionIntervalTurns = configuredInterval;
+    });
+
+    beforeEach(() => {
+      config.memory.extractionIntervalTurns = 2;
+      prompts = [];
+      extraction = { facts: [{ type: 'child', key: 'Jane', value: '2 years old', turn: 0 }] };
+    });
+
+    it('waits for extractionIntervalTurns new user turns', async () => {
+      await memoryService.addConversationEntries('user-1', 'default', 'My daughter Jane is 2', 'Noted.');
+      assert.equal(await memoryService.updateMemoryFacts('user-1', 'default', fakeRagService, PROMPT_TEMPLATE), false);
+      assert.equal(prompts.length, 0);
+
+      await memoryService.addConversationEntries('user-1', 'default', 'Which stroller?', 'This one.');
+      assert.equal(await memoryService.updateMemoryFacts('user-1', 'default', fakeRagService, PROMPT_TEMPLATE), true);
+      assert.equal(prompts.length, 1);
+      assert.equal(prompts[0], 'Known:\n(none)\nNew:\n[turn 0] User: My daughter Jane is 2\n[turn 1] Bot: Noted.\n[turn 2] User: Which stroller?\n[turn 3] Bot: This one.');
+
+      const memory = await memoryService.getLongTermMemory('user-1');
+      assert.deepEqual(memory.facts.map(({ key, value, source }) => [key, value, source.turn]), [['Jane', '2 years old', 0]]);
+    });
+
+    it('only sends the turns that have not been read yet', async () => {
+      await memoryService.addConversationEntries('user-1', 'default', 'My daughter Jane is 2', 'Noted.');
+      await memoryService.addConversationEntries('user-1', 'default', 'Which stroller?', 'This one.');
+      await memoryService.updateMemoryFacts('user-1', 'default', fakeRagService, PROMPT_TEMPLATE);
+
+      await memoryService.addConversationEntries('user-1', 'default', 'Budget is 300', 'OK.');
+      assert.equal(await memoryService.updateMemoryFacts('user-1', 'default', fakeRagService, PROMPT_TEMPLATE), false);
+
+      extraction = { facts: [{ type: 'budget', key: 'overall', value: '300', turn: 4 }] };
+      await memoryService.addConversationEntries('user-1', 'default', 'And a car seat?', 'Sure.');
+      assert.equal(await memoryService.updateMemoryFacts('user-1', 'default', fakeRagService, PROMPT_TEMPLATE), true);
+      assert.equal(prompts[1], 'Known:\n- Child: Jane (2 years old; as of ' + new Date().toISOString().slice(0, 10) + ')\nNew:\n' +
+        '[turn 4] User: Budget is 300\n[turn 5] Bot: OK.\n[turn 6] User: And a car seat?\n[turn 7] Bot: Sure.');
+
+      const memory = await memoryService.getLongTermMemory('user-1');
+      assert.deepEqual(memory.facts.map(({ key }) => key), ['Jane', 'overall']);
+    });
+
+    it('inserts the turns as written, including replacement patterns', async () => {
+      await memoryService.addConversationEntries('user-1', 'default', "Is $& or $' a price?", 'No.');
+      await memoryService.addConversationEntries('user-1', 'default', 'Ok', 'Ok.');
+      await memoryService.updateMemoryFacts('user-1', 'default', fakeRagService, PROMPT_TEMPLATE);
+      assert.match(prompts[0], /\[turn 0\] User: Is \$& or \$' a price\?\n/);
+    });
+
+    it('keeps the turns unread when the extraction is invalid', async () => {
+      extraction = { facts: [{ type: 'hobby', key: 'golf', value: 'yes' }] };
+      await memoryService.addConversationEntries('user-1', 'default', 'I like golf', 'Nice.');
+      await memoryService.addConversationEntries('user-1', 'default', 'Any strollers?', 'Yes.');
+      assert.equal(await memoryService.updateMemoryFacts('user-1', 'default', fakeRagService, PROMPT_TEMPLATE), false);
+      assert.equal(await memoryService.getLongTermMemory('user-1'), null);
+
+      extraction = { facts: [] };
+      assert.equal(await memoryService.updateMemoryFacts('user-1', 'default', fakeRagService, PROMPT_TEMPLATE), true);
+      assert.equal(prompts.length, 2);
+    });
+  });
+});
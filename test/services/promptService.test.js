@@ -0,0 +1,156 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import promptService from '../../src/services/promptService.js';
+import tenantService from '../../src/services/tenantService.js';
+import { promptConfig } from '../../src/config/index.js';
+import logger from '../../src/utils/logger.js';
+
+const SUBJECTS = Array.from({ length: 10000 }, () => randomUUID());
+
+function promptsOfVersion(version) {
+  return { ...promptConfig, systemPreamble: `Prompt set ${version}` };
+}
+
+// Makes a deployment live without reading MongoDB
+function setDeployment(id, variants) {
+  promptService.deployments.set(tenantService.getDefaultTenant().id, {
+    id,
+    createdAt: new Date(),
+    variants: variants.map(variant => ({ ...variant, prompts: promptsOfVersion(variant.version) }))
+  });
+}
+
+function countVersions(subjects) {
+  const counts = {};
+  for (const subject of subjects) {
+    const { version } = promptService.getPrompts(subject);
+    counts[version] = (counts[version] || 0) + 1;
+  }
+  return counts;
+}
+
+describe('promptService', () => {
+  before(() => {
+    logger.configure({ level: 'error' });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    promptService.deployments.clear();
+  });
+
+  describe('getBucket', () => {
+    it('puts a subject in the same bucket every time', () => {
+      assert.equal(promptService.getBucket('user-1'), promptService.getBucket('user-1'));
+      assert.ok(Number.isInteger(promptService.getBucket('user-1')));
+    });
+
+    it('spreads subjects evenly over 0-99', () => {
+      const perDecile = new Array(10).fill(0);
+      for (const subject of SUBJECTS) {
+        const bucket = promptService.getBucket(subject);
+        assert.ok(bucket >= 0 && bucket < 100);
+        perDecile[Math.floor(bucket / 10)]++;
+      }
+      for (const count of perDecile) {
+        assert.ok(count > 850 && count < 1150, `decile with ${count} of 10000 subjects`);
+      }
+    });
+  });
+
+  describe('getPrompts', () => {
+    it('splits subjects across variants by weight', () => {
+      setDeployment('d1', [{ version: 3, weight: 90 }, { version: 4, weight: 10 }]);
+      const counts = countVersions(SUBJECTS);
+      assert.ok(counts[4] > 850 && counts[4] < 1150, `${counts[4]} of 10000 subjects got the 10% variant`);
+      assert.equal(counts[3] + counts[4], SUBJECTS.length);
+    });
+
+    it('returns the prompts of the selected version', () => {
+      setDeployment('d1', [{ version: 7, weight: 100 }]);
+      assert.deepEqual(promptService.getPrompts('user-1'), { version: 7, prompts: promptsOfVersion(7) });
+    });
+
+    it('keeps a variant\'s users on it when its share grows', () => {
+      setDeployment('d1', [{ version: 3, weight: 90 }, { version: 4, weight: 10 }]);
+      const firstVersions = SUBJECTS.map(subject => promptService.getPrompts(subject).version);
+
+      // Version 4 goes from buckets 90-99 to 80-99
+      setDeployment('d2', [{ version: 3, weight: 80 }, { version: 4, weight: 20 }]);
+      assert.ok(SUBJECTS.every((subject, index) => firstVersions[index] !== 4 || promptService.getPrompts(subject).version === 4));
+    });
+  });
+
+  describe('getRollbackTarget', () => {
+    const publish = (id, version) => ({ id, action: 'publish', variants: [{ version, weight: 100 }], rolledBackTo: null });
+    const rollback = (id, target) => ({ ...target, id, action: 'rollback', rolledBackTo: target.id });
+
+    it('restores the deployment before the live one', () => {
+      const deployments = [publish('d3', 3), publish('d2', 2), publish('d1', 1)];
+      assert.equal(promptService.getRollbackTarget(deployments).id, 'd2');
+    });
+
+    it('goes further back when the live deployment is a rollback', () => {
+      const d1 = publish('d1', 1);
+      const d2 = publish('d2', 2);
+      const d4 = rollback('d4', d2);
+      assert.equal(promptService.getRollbackTarget([d4, publish('d3', 3), d2, d1]).id, 'd1');
+      assert.equal(promptService.getRollbackTarget([rollback('d5', d1), d4, publish('d3', 3), d2, d1]), null);
+    });
+
+    it('undoes a publish made after a rollback', () => {
+      const d1 = publish('d1', 1);
+      const d3 = rollback('d3', d1);
+      assert.equal(promptService.getRollbackTarget([publish('d4', 4), d3, publish('d2', 2), d1]).id, 'd3');
+    });
+
+    it('finds nothing without an earlier deployment', () => {
+      assert.equal(promptService.getRollbackTarget([publish('d1', 1)]), null);
+      assert.equal(promptService.getRollbackTarget([]), null);
+    });
+
+    it('finds nothing when the restored deployment is older than the history read', () => {
+      assert.equal(promptService.getRollbackTarget([rollback('d9', publish('d1', 1)), publish('d8', 8)]), null);
+    });
+  });
+
+  describe('refresh', () => {
+    let latestDeployment;
+
+    beforeEach(() => {
+      setDeployment('d1', [{ version: 1, weight: 100 }]);
+      latestDeployment = { id: 'd1', createdAt: new Date(), variants: [{ version: 1, weight: 100 }] };
+      mock.method(promptService, 'getLatestDeployment', async () => latestDeployment);
+      mock.method(promptService, 'loadVariants', async variants => variants.map(variant => ({ ...variant, prompts: promptsOfVersion(variant.version) })));
+    });
+
+    it('makes a deployment made by another instance live', async () => {
+      latestDeployment = { id: 'd2', createdAt: new Date(), variants: [{ version: 2, weight: 100 }] };
+      await promptService.refresh();
+
+      assert.equal(promptService.getDeployment().id, 'd2');
+      assert.equal(promptService.getPrompts('user-1').version, 2);
+    });
+
+    it('does not reload the live deployment', async () => {
+      await promptService.refresh();
+      assert.equal(promptService.loadVariants.mock.callCount(), 0);
+    });
+
+    it('keeps the current prompts when the new deployment cannot be loaded', async () => {
+      latestDeployment = { id: 'd2', createdAt: new Date(), variants: [{ version: 2, weight: 100 }] };
+      promptService.loadVariants.mock.mockImplementation(async () => null);
+      await promptService.refresh();
+
+      assert.equal(promptService.getDeployment().id, 'd1');
+      assert.equal(promptService.getPrompts('user-1').version, 1);
+    });
+
+    it('keeps the current prompts when the deployments cannot be read', async () => {
+      promptService.getLatestDeployment.mock.mockImplementation(async () => { throw new Error('MongoDB down'); });
+      await promptService.refresh();
+      assert.equal(promptService.getDeployment().id, 'd1');
+    });
+  });
+});
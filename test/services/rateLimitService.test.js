@@ -0,0 +1,84 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import rateLimitService from '../../src/services/rateLimitService.js';
+import { config } from '../../src/config/index.js';
+import logger from '../../src/utils/logger.js';
+
+// 10s into a minute, so the minute window ends 50s later
+const NOW = Date.UTC(2026, 0, 15, 12, 30, 10);
+
+describe('rateLimitService with the memory store', () => {
+  let configuredRateLimit;
+  let now;
+
+  before(() => {
+    logger.configure({ level: 'error' });
+    configuredRateLimit = config.rateLimit;
+  });
+
+  after(() => {
+    config.rateLimit = configuredRateLimit;
+  });
+
+  beforeEach(() => {
+    config.rateLimit = { enabled: true, store: 'memory', requestsPerMinute: 2, requestsPerDay: 5, tokensPerDay: 100 };
+    rateLimitService.initialize();
+    now = NOW;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('allows requests up to the per-minute limit', async () => {
+    assert.equal(await rateLimitService.consume(['user:u1']), null);
+    assert.equal(await rateLimitService.consume(['user:u1']), null);
+    assert.deepEqual(await rateLimitService.consume(['user:u1']), { limit: 'requestsPerMinute', max: 2, retryAfterSeconds: 50 });
+  });
+
+  it('starts a new count when the minute window rolls over', async () => {
+    await rateLimitService.consume(['user:u1']);
+    await rateLimitService.consume(['user:u1']);
+    now = NOW + 49 * 1000;
+    assert.equal((await rateLimitService.consume(['user:u1'])).limit, 'requestsPerMinute');
+
+    now = NOW + 50 * 1000;
+    assert.equal(await rateLimitService.consume(['user:u1']), null);
+  });
+
+  it('enforces the daily limit across minute windows', async () => {
+    for (let minute = 0; minute < 5; minute++) {
+      now = NOW + minute * 60 * 1000;
+      assert.equal(await rateLimitService.consume(['user:u1']), null);
+    }
+    now = NOW + 5 * 60 * 1000;
+    const exceeded = await rateLimitService.consume(['user:u1']);
+    assert.equal(exceeded.limit, 'requestsPerDay');
+    assert.equal(exceeded.retryAfterSeconds, 11 * 60 * 60 + 24 * 60 + 50);
+  });
+
+  it('counts every subject separately and rejects when any is over its limit', async () => {
+    await rateLimitService.consume(['user:u1', 'key:k1']);
+    await rateLimitService.consume(['user:u2', 'key:k1']);
+    assert.equal(await rateLimitService.consume(['user:u3']), null);
+    assert.equal((await rateLimitService.consume(['user:u3', 'key:k1'])).limit, 'requestsPerMinute');
+  });
+
+  it('rejects requests once the daily token quota is used up', async () => {
+    await rateLimitService.addTokens(['user:u1'], 60);
+    assert.equal(await rateLimitService.consume(['user:u1']), null);
+    await rateLimitService.addTokens(['user:u1'], 40);
+    assert.equal((await rateLimitService.consume(['user:u1'])).limit, 'tokensPerDay');
+    assert.equal(await rateLimitService.consume(['user:u2']), null);
+  });
+
+  it('does not enforce a limit of 0 or a disabled limiter', async () => {
+    config.rateLimit.requestsPerMinute = 0;
+    for (let request = 0; request < 5; request++) {
+      assert.equal(await rateLimitService.consume(['user:u1']), null);
+    }
+    config.rateLimit.enabled = false;
+    assert.equal(await rateLimitService.consume(['user:u1']), null);
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import retrievalService from '../../src/services/retrievalService.js';
+import ragService from '../../src/services/ragService.js';
+import { useInMemoryCatalog } from '../../db.mjs';
+import { config } from '../../src/config/index.js';
+import logger from '../../src/utils/logger.js';
+
+const PRODUCTS = [
+  { sku: 'NL-ROBIN', name: 'Robin Night Light', price: '35', category: 'Nursery', brand: 'Zazu', age_range: '0-6 years' },
+  { sku: 'NL-PHOEBE', name: 'Phoebe Night Light', price: '25', category: 'Nursery', brand: 'Zazu', age_range: '0-6 years' },
+  { sku: 'ST-LITE', name: 'Litetrax Stroller', price: '229', category: 'Strollers', brand: 'Joie', age_range: '0-4 years' },
+  { sku: 'BP-ZOO', name: 'Zoo Backpack', price: '20', category: 'Bags', brand: 'Skip Hop', age_range: '3+ years' }
+];
+
+// Stubs the three retrieval sources with fixed rankings
+function stubSources({ sku = [], vector = [], text = [] }) {
+  mock.method(retrievalService, 'findExactSkuMatches', async () => sku);
+  mock.method(retrievalService, 'findVectorMatches', async () => vector.map((match, index) => ({ sku: match, similarity: 0.9 - index / 10 })));
+  mock.method(retrievalService, 'findTextMatches', async () => text);
+}
+
+function chunk(sku, score, metadata = {}) {
+  return { score, pageContent: `Sku: ${sku}`, metadata: { sku, ...metadata } };
+}
+
+describe('retrievalService', () => {
+  let configuredRrfK;
+  let configuredSearchResultCount;
+  let configuredFilteredVectorCandidates;
+
+  before(() => {
+    logger.configure({ level: 'error' });
+    configuredRrfK = config.retrieval.rrfK;
+    configuredSearchResultCount = config.rag.searchResultCount;
+    configuredFilteredVectorCandidates = config.retrieval.filteredVectorCandidates;
+    useInMemoryCatalog(PRODUCTS);
+  });
+
+  after(() => {
+    config.retrieval.rrfK = configuredRrfK;
+    config.rag.searchResultCount = configuredSearchResultCount;
+    config.retrieval.filteredVectorCandidates = configuredFilteredVectorCandidates;
+    useInMemoryCatalog(null);
+  });
+
+  beforeEach(() => {
+    config.retrieval.rrfK = 60;
+    config.rag.searchResultCount = 10;
+    config.retrieval.filteredVectorCandidates = 100;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('retrieve', () => {
+    it('ranks products by the sum of their reciprocal ranks over the sources', async () => {
+      stubSources({ vector: ['NL-ROBIN', 'NL-PHOEBE', 'ST-LITE'], text: ['ST-LITE', 'NL-ROBIN'] });
+
+      const results = await retrievalService.retrieve('night light');
+
+      assert.deepEqual(results.map(result => result.sku), ['NL-ROBIN', 'ST-LITE', 'NL-PHOEBE']);
+      assert.equal(results[0].score, 1 / 61 + 1 / 62);
+      assert.equal(results[1].score, 1 / 63 + 1 / 61);
+      assert.equal(results[2].score, 1 / 62);
+      assert.deepEqual(results[0].matchedBy, ['vector', 'text']);
+      assert.equal(results[0].similarity, 0.9);
+      assert.equal(results[0].product.name, 'Robin Night Light');
+    });
+
+    it('leaves the similarity null for products the vector search did not find', async () => {
+      stubSources({ text: ['BP-ZOO'] });
+
+      const [result] = await retrievalService.retrieve('backpack');
+
+      assert.equal(result.similarity, null);
+      assert.deepEqual(result.matchedBy, ['text']);
+    });
+
+    it('places exact SKU matches first, whatever their fused score', async () => {
+      stubSources({ sku: ['BP-ZOO'], vector: ['NL-ROBIN', 'NL-PHOEBE'], text: ['NL-ROBIN'] });
+
+      const results = await retrievalService.retrieve('BP-ZOO or a night light');
+
+      assert.deepEqual(results.map(result => result.sku), ['BP-ZOO', 'NL-ROBIN', 'NL-PHOEBE']);
+      assert.ok(results[0].score < results[1].score);
+    });
+
+    it('drops products that are not in the catalog', async () => {
+      stubSources({ vector: ['REMOVED-SKU', 'NL-PHOEBE'] });
+
+      const results = await retrievalService.retrieve('night light');
+
+      assert.deepEqual(results.map(result => result.sku), ['NL-PHOEBE']);
+    });
+
+    it('checks the filters again on the stored products but keeps exact SKU matches', async () => {
+      stubSources({ sku: ['ST-LITE'], vector: ['NL-ROBIN', 'NL-PHOEBE'], text: ['BP-ZOO'] });
+
+      const results = await retrievalService.retrieve('ST-LITE or something under 30', { maxPrice: 30, category: 'Nursery' });
+
+      assert.deepEqual(results.map(result => result.sku), ['ST-LITE', 'NL-PHOEBE']);
+    });
+
+    it('cuts the results to rag.searchResultCount after filtering', async () => {
+      config.rag.searchResultCount = 1;
+      stubSources({ vector: ['NL-ROBIN', 'NL-PHOEBE'] });
+
+      const results = await retrievalService.retrieve('night light', { maxPrice: 30 });
+
+      assert.deepEqual(results.map(result => result.sku), ['NL-PHOEBE']);
+    });
+
+    it('continues without a source that fails', async () => {
+      mock.method(retrievalService, 'findExactSkuMatches', async () => []);
+      mock.method(retrievalService, 'findVectorMatches', async () => { throw new Error('vector database down'); });
+      mock.method(retrievalService, 'findTextMatches', async () => ['BP-ZOO']);
+
+      const results = await retrievalService.retrieve('backpack');
+
+      assert.deepEqual(results.map(result => result.sku), ['BP-ZOO']);
+    });
+  });
+
+  describe('findVectorMatches', () => {
+    it('searches rag.searchResultCount neighbours when there are no filters', async () => {
+      const searchVectors = mock.method(ragService, 'searchVectors', async () => [chunk('NL-ROBIN', 0.8)]);
+
+      const matches = await retrievalService.findVectorMatches('night light', {});
+
+      assert.deepEqual(searchVectors.mock.calls[0].arguments, ['night light', 10]);
+      assert.deepEqual(matches, [{ sku: 'NL-ROBIN', similarity: 0.8 }]);
+    });
+
+    it('fetches more neighbours when filtering and filters them on the payload', async () => {
+      const searchVectors = mock.method(ragService, 'searchVectors', async () => [
+        chunk('NL-ROBIN', 0.9, { price: 35, category: 'Nursery' }),
+        chunk('NL-PHOEBE', 0.8, { price: 25, category: 'Nursery' }),
+        chunk('BP-ZOO', 0.7, { price: 20, category: 'Bags' })
+      ]);
+
+      const matches = await retrievalService.findVectorMatches('night light', { maxPrice: 30, category: 'Nursery' });
+
+      assert.equal(searchVectors.mock.calls[0].arguments[1], 100);
+      assert.deepEqual(matches.map(match => match.sku), ['NL-PHOEBE']);
+    });
+
+    it('keeps the nearest chunk of each product and reads the SKU of legacy chunks from their text', async () => {
+      mock.method(ragService, 'searchVectors', async () => [
+        chunk('NL-ROBIN', 0.9),
+        { score: 0.85, pageContent: 'Name: Zoo Backpack\nSku: BP-ZOO', metadata: {} },
+        chunk('NL-ROBIN', 0.7)
+      ]);
+
+      const matches = await retrievalService.findVectorMatches('night light', {});
+
+      assert.deepEqual(matches, [{ sku: 'NL-ROBIN', similarity: 0.9 }, { sku: 'BP-ZOO', similarity: 0.85 }]);
+    });
+  });
+
+  describe('findExactSkuMatches', () => {
+    it('finds catalog SKUs written in any case', async () => {
+      assert.deepEqual(await retrievalService.findExactSkuMatches('Is bp-zoo big enough?'), ['BP-ZOO']);
+    });
+
+    it('finds nothing when the query names no catalog SKU', async () => {
+      assert.deepEqual(await retrievalService.findExactSkuMatches('a night light for ages 0-6'), []);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnswerStreamParser } from '../../src/utils/answerStreamParser.js';
+
+// Feeds the chunks in order and returns the delta each one produced
+function pushAll(chunks) {
+  const parser = new AnswerStreamParser();
+  return { parser, deltas: chunks.map(chunk => parser.push(chunk)) };
+}
+
+describe('AnswerStreamParser', () => {
+  it('emits nothing until the answer key has arrived, also when the key is split', () => {
+    const { deltas } = pushAll(['{"ans', 'wer"', ': "', 'Hello', ' there"']);
+    assert.deepEqual(deltas, ['', '', '', 'Hello', ' there']);
+  });
+
+  it('stops at the closing quote and keeps the raw output', () => {
+    const raw = ['{"answer": "Hi", "related', 'Products": ["ZAZ-ZA-ROBIN-01"]}'];
+    const { parser, deltas } = pushAll(raw);
+    assert.deepEqual(deltas, ['Hi', '']);
+    assert.equal(parser.getRawOutput(), raw.join(''));
+  });
+
+  it('decodes an escape split after its backslash', () => {
+    assert.deepEqual(pushAll(['{"answer": "Line one\\', 'nLine two"}']).deltas, ['Line one', '\nLine two']);
+    assert.deepEqual(pushAll(['{"answer": "The \\', '"Robin\\', '" light"}']).deltas, ['The ', '"Robin', '" light']);
+    assert.deepEqual(pushAll(['{"answer": "a\\', '\\b"}']).deltas, ['a', '\\b']);
+  });
+
+  it('decodes a \\u escape split inside its hex digits', () => {
+    assert.deepEqual(pushAll(['{"answer": "caf\\u', '00', 'e9 time"}']).deltas, ['caf', '', 'é time']);
+    assert.deepEqual(pushAll(['{"answer": "\\u063', '3\\u0644\\u0627\\u0645"}']).deltas, ['', 'سلام']);
+  });
+
+  it('decodes a surrogate pair split between its halves', () => {
+    const { deltas } = pushAll(['{"answer": "Sweet dreams \\ud83c', '\\udf19"}']);
+    assert.equal(deltas.join(''), 'Sweet dreams 🌙');
+  });
+
+  it('decodes the same text however the output is chunked', () => {
+    const raw = '{"answer": "Try the **Robin** \\"night\\" light\\n\\u2014 ages 0\\/6 \\ud83c\\udf19", "relatedProducts": []}';
+    const expected = JSON.parse(raw).answer;
+    for (let size = 1; size <= 7; size++) {
+      const chunks = raw.match(new RegExp(`[^]{1,${size}}`, 'g'));
+      assert.equal(pushAll(chunks).deltas.join(''), expected, `chunks of ${size}`);
+    }
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiError, ERROR_CODES, toErrorResponse } from '../../src/utils/errors.js';
+
+describe('toErrorResponse', () => {
+  it('maps each error code to its HTTP status', () => {
+    const statuses = Object.values(ERROR_CODES).map(code => [code, toErrorResponse(new ApiError(code, 'x')).status]);
+    assert.deepEqual(Object.fromEntries(statuses), {
+      INVALID_INPUT: 400,
+      NOT_FOUND: 404,
+      RATE_LIMITED: 429,
+      NOT_INITIALIZED: 503,
+      TIMEOUT: 504,
+      INTERNAL_ERROR: 500
+    });
+  });
+
+  it('builds the {error: {code, message, details}, requestId} envelope', () => {
+    const error = new ApiError(ERROR_CODES.NOT_FOUND, 'Message not found', { messageId: 'm-1' });
+    assert.deepEqual(toErrorResponse(error, 'req-1'), {
+      status: 404,
+      body: { error: { code: 'NOT_FOUND', message: 'Message not found', details: { messageId: 'm-1' } }, requestId: 'req-1' }
+    });
+  });
+
+  it('leaves out details and requestId when there are none', () => {
+    assert.deepEqual(toErrorResponse(new ApiError(ERROR_CODES.TIMEOUT, 'Too slow')).body, { error: { code: 'TIMEOUT', message: 'Too slow' } });
+  });
+
+  it('never reports the message of an unexpected error', () => {
+    assert.deepEqual(toErrorResponse(new Error('connect ECONNREFUSED 10.0.0.5:27017'), 'req-1'), {
+      status: 500,
+      body: { error: { code: 'INTERNAL_ERROR', message: 'Error processing your request' }, requestId: 'req-1' }
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getResultText, parseLlmJson, parseLlmResponse, findUnmatchedProductMentions } from '../../src/utils/llmResponse.js';
+
+describe('getResultText', () => {
+  it('reads the first text field the result has', () => {
+    assert.equal(getResultText({ content: 'from content' }), 'from content');
+    assert.equal(getResultText({ answer: 'from answer', content: 'ignored' }), 'from answer');
+    assert.equal(getResultText({}), '');
+  });
+});
+
+describe('parseLlmJson', () => {
+  it('parses plain JSON', () => {
+    assert.deepEqual(parseLlmJson('{"a":1}'), { value: { a: 1 }, error: null });
+  });
+
+  it('unwraps a fenced code block', () => {
+    assert.deepEqual(parseLlmJson('Here you go:\n```json\n{"a":1}\n```').value, { a: 1 });
+  });
+
+  it('reports empty and invalid output', () => {
+    assert.match(parseLlmJson('  ').error, /non-empty string/);
+    assert.match(parseLlmJson('{"a":').error, /^Invalid JSON/);
+  });
+});
+
+describe('parseLlmResponse', () => {
+  it('accepts the answer contract and normalizes SKUs to trimmed strings', () => {
+    const { value, error } = parseLlmResponse('{"answer":"Try these","relatedProducts":[" ST-102 ",305]}');
+    assert.equal(error, null);
+    assert.deepEqual(value, { answer: 'Try these', relatedProducts: ['ST-102', '305'] });
+  });
+
+  it('rejects output that does not match the schema', () => {
+    const { value, error } = parseLlmResponse('{"answer":""}');
+    assert.equal(value, null);
+    assert.match(error, /^Schema validation failed/);
+  });
+});
+
+describe('findUnmatchedProductMentions', () => {
+  const products = [
+    { sku: 'ST-102', name: 'Lightweight Travel Stroller' },
+    { sku: 'CS-200', name: 'Convertible Car Seat with Base' }
+  ];
+
+  it('matches bolded names against the returned products', () => {
+    const answer = 'The **Lightweight Travel Stroller** folds flat; the **Convertible Car Seat** fits most cars.';
+    assert.deepEqual(findUnmatchedProductMentions(answer, products), []);
+  });
+
+  it('reports bolded product names that no returned product has', () => {
+    const answer = 'Consider the **Robin Cot** or the **Lightweight Travel Stroller**.';
+    assert.deepEqual(findUnmatchedProductMentions(answer, products), ['Robin Cot']);
+  });
+
+  it('reports bolded SKUs that were not returned', () => {
+    assert.deepEqual(findUnmatchedProductMentions('See **ST-102** and **ZZ-999**.', products), ['ZZ-999']);
+  });
+
+  it('ignores bolded labels, single words and sentences', () => {
+    const answer = '**Tip:** check the fit. **Safety** matters. **Always use the harness.** **Do not leave your baby unattended**';
+    assert.deepEqual(findUnmatchedProductMentions(answer, products), []);
+  });
+
+  it('considers names in caseless scripts', () => {
+    assert.deepEqual(findUnmatchedProductMentions('جرّب **عربة أطفال خفيفة**', products), ['عربة أطفال خفيفة']);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../../src/config/index.js';
+import { detectLocale, resolveLocale, localizeProduct } from '../../src/utils/locale.js';
+
+describe('locale', () => {
+  let configuredLocales;
+
+  // Independent of config/app.json and DEFAULT_LOCALE / SUPPORTED_LOCALES
+  before(() => {
+    configuredLocales = config.locales;
+    config.locales = { default: 'en', supported: ['en', 'ar', 'ru'] };
+  });
+
+  after(() => {
+    config.locales = configuredLocales;
+  });
+
+  describe('detectLocale', () => {
+    it('detects a supported locale from the script of most words', () => {
+      assert.equal(detectLocale('أريد عربة أطفال خفيفة'), 'ar');
+      assert.equal(detectLocale('Нужна лёгкая коляска'), 'ru');
+    });
+
+    it('is not outweighed by a Latin SKU or brand name', () => {
+      assert.equal(detectLocale('هل عربة ST-102 مناسبة لطفل رضيع'), 'ar');
+    });
+
+    it('returns null for Latin-script queries and unsupported scripts', () => {
+      assert.equal(detectLocale('lightweight stroller'), null);
+      assert.equal(detectLocale('軽いベビーカー'), null);
+    });
+
+    it('returns null when a mixed query has no dominant script', () => {
+      assert.equal(detectLocale('Acme Travel Stroller عربة'), null);
+    });
+
+    it('ignores words without letters', () => {
+      assert.equal(detectLocale('123 !!!'), null);
+      assert.equal(detectLocale('عربة 199 $'), 'ar');
+    });
+  });
+
+  describe('resolveLocale', () => {
+    it('prefers the requested locale, then the detected one, then the default', () => {
+      assert.equal(resolveLocale('ar', 'lightweight stroller'), 'ar');
+      assert.equal(resolveLocale(undefined, 'عربة أطفال'), 'ar');
+      assert.equal(resolveLocale(undefined, 'lightweight stroller'), 'en');
+    });
+  });
+
+  describe('localizeProduct', () => {
+    const product = {
+      sku: 'ST-102',
+      name: 'Travel Stroller',
+      name_ar: 'عربة سفر',
+      description: 'Folds flat',
+      description_ar: '  ',
+      name_ru: 'Коляска',
+      price: '199.99'
+    };
+
+    it('replaces base fields with non-empty localized columns and drops every localized column', () => {
+      assert.deepEqual(localizeProduct(product, 'ar'), {
+        sku: 'ST-102',
+        name: 'عربة سفر',
+        description: 'Folds flat',
+        price: '199.99'
+      });
+    });
+
+    it('keeps the base fields in the default locale', () => {
+      assert.deepEqual(localizeProduct(product, 'en'), {
+        sku: 'ST-102',
+        name: 'Travel Stroller',
+        description: 'Folds flat',
+        price: '199.99'
+      });
+    });
+
+    it('keeps a localized value listed before its base field', () => {
+      assert.equal(localizeProduct({ name_ar: 'عربة', name: 'Stroller' }, 'ar').name, 'عربة');
+    });
+
+    it('does not treat a field named like a suffix as localized', () => {
+      assert.deepEqual(localizeProduct({ _ar: 'x' }, 'en'), { _ar: 'x' });
+    });
+  });
+});
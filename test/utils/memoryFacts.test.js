@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFactExtraction, mergeFacts, selectRelevantFacts, formatFacts } from '../../src/utils/memoryFacts.js';
+
+const LEARNED_AT = new Date('2026-03-01T10:00:00Z');
+const getSource = turn => ({ conversationId: 'thread-1', turn: turn ?? 5, timestamp: LEARNED_AT });
+
+function fact(type, key, value, extra = {}) {
+  return { type, key, value, timestamp: LEARNED_AT, source: getSource(0), ...extra };
+}
+
+describe('parseFactExtraction', () => {
+  it('accepts fact updates and defaults removed to none', () => {
+    const { value, error } = parseFactExtraction('{"facts":[{"type":"child","key":"Jane","value":"2 years old","turn":3}]}');
+    assert.equal(error, null);
+    assert.deepEqual(value, { facts: [{ type: 'child', key: 'Jane', value: '2 years old', turn: 3 }], removed: [] });
+  });
+
+  it('rejects unknown fact types and invalid JSON', () => {
+    assert.match(parseFactExtraction('{"facts":[{"type":"hobby","key":"golf","value":""}]}').error, /^Schema validation failed/);
+    assert.match(parseFactExtraction('facts: none').error, /^Invalid JSON/);
+  });
+});
+
+describe('mergeFacts', () => {
+  it('adds new facts with their time and source turn', () => {
+    const merged = mergeFacts([], { facts: [{ type: 'budget', key: ' stroller ', value: ' under 300 ', turn: 2 }], removed: [] }, getSource, LEARNED_AT);
+    assert.deepEqual(merged, [{ type: 'budget', key: 'stroller', value: 'under 300', timestamp: LEARNED_AT, source: getSource(2) }]);
+  });
+
+  it('replaces a fact with the same type and key, ignoring case and spacing', () => {
+    const stored = [fact('child', 'Jane', '1 year old'), fact('preference', 'stroller', 'lightweight')];
+    const merged = mergeFacts(stored, { facts: [{ type: 'child', key: 'jane ', value: '2 years old' }], removed: [] }, getSource);
+
+    assert.deepEqual(merged.map(({ type, key, value }) => [type, key, value]), [
+      ['preference', 'stroller', 'lightweight'],
+      ['child', 'jane', '2 years old']
+    ]);
+  });
+
+  it('keeps facts of another type with the same key', () => {
+    const stored = [fact('owned_product', 'ST-102', 'bought in 2025')];
+    const merged = mergeFacts(stored, { facts: [{ type: 'rejected_product', key: 'ST-102', value: 'too heavy' }], removed: [] }, getSource);
+    assert.deepEqual(merged.map(({ type }) => type), ['owned_product', 'rejected_product']);
+  });
+
+  it('drops removed facts', () => {
+    const stored = [fact('budget', 'overall', '500'), fact('child', 'Sam', '3 years old')];
+    const merged = mergeFacts(stored, { facts: [], removed: [{ type: 'budget', key: 'Overall' }] }, getSource);
+    assert.deepEqual(merged.map(({ key }) => key), ['Sam']);
+  });
+
+  it('keeps the 100 most recently learned facts', () => {
+    const stored = Array.from({ length: 100 }, (_, index) => fact('preference', `topic ${index}`, 'yes'));
+    const merged = mergeFacts(stored, { facts: [{ type: 'preference', key: 'colour', value: 'green' }], removed: [] }, getSource);
+    assert.equal(merged.length, 100);
+    assert.equal(merged[0].key, 'topic 1');
+    assert.equal(merged[99].key, 'colour');
+  });
+});
+
+describe('selectRelevantFacts', () => {
+  const facts = [
+    fact('preference', 'car seat', 'rear-facing'),
+    fact('child', 'Jane', '2 years old'),
+    fact('owned_product', 'Joie stroller', 'bought last year'),
+    fact('preference', 'colour', 'green'),
+    fact('budget', 'overall', 'under 300')
+  ];
+
+  it('puts children and budgets first, then facts sharing words with the query', () => {
+    const selected = selectRelevantFacts(facts, 'Is there a lighter stroller?', 3);
+    assert.deepEqual(selected.map(({ key }) => key), ['overall', 'Jane', 'Joie stroller']);
+  });
+
+  it('fills the rest with the most recently learned facts', () => {
+    const selected = selectRelevantFacts(facts, 'Any toys for the bath?', 4);
+    assert.deepEqual(selected.map(({ key }) => key), ['overall', 'Jane', 'colour', 'Joie stroller']);
+  });
+
+  it('ignores words shorter than three letters', () => {
+    const selected = selectRelevantFacts([fact('preference', 'is it', 'no'), fact('preference', 'colour', 'green')], 'is it green', 1);
+    assert.deepEqual(selected.map(({ key }) => key), ['colour']);
+  });
+});
+
+describe('formatFacts', () => {
+  it('writes one line per fact, dating child facts', () => {
+    const lines = formatFacts([
+      fact('child', 'Jane', '2 years old, girl'),
+      fact('budget', 'overall', 'under 300'),
+      fact('rejected_product', 'ST-102', '')
+    ]);
+    assert.equal(lines, [
+      '- Child: Jane (2 years old, girl; as of 2026-03-01)',
+      '- Budget: overall (under 300)',
+      '- Not interested: ST-102'
+    ].join('\n'));
+  });
+
+  it('leaves out the date of child facts without a source time', () => {
+    assert.equal(formatFacts([fact('child', 'Sam', '3', { source: null })]), '- Child: Sam (3)');
+  });
+});
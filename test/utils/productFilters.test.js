@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseAgeRange,
+  getProductAttributes,
+  getChildAgeMonths,
+  buildProductFilters,
+  hasProductFilters,
+  matchesProductFilters
+} from '../../src/utils/productFilters.js';
+
+describe('parseAgeRange', () => {
+  it('parses closed ranges, taking a missing unit from the next value', () => {
+    assert.deepEqual(parseAgeRange('0-6 months'), { minAgeMonths: 0, maxAgeMonths: 6 });
+    assert.deepEqual(parseAgeRange('6 months - 3 years'), { minAgeMonths: 6, maxAgeMonths: 36 });
+    assert.deepEqual(parseAgeRange('6m - 3y'), { minAgeMonths: 6, maxAgeMonths: 36 });
+    assert.deepEqual(parseAgeRange('1-3'), { minAgeMonths: 12, maxAgeMonths: 36 });
+  });
+
+  it('parses open-ended ranges', () => {
+    assert.deepEqual(parseAgeRange('3+ years'), { minAgeMonths: 36 });
+    assert.deepEqual(parseAgeRange('up to 12m'), { maxAgeMonths: 12 });
+    assert.deepEqual(parseAgeRange('Under 2 years'), { maxAgeMonths: 24 });
+  });
+
+  it('reads "newborn" without numbers as the first months', () => {
+    assert.deepEqual(parseAgeRange('Newborn'), { minAgeMonths: 0, maxAgeMonths: 3 });
+  });
+
+  it('returns null when there is no age', () => {
+    assert.equal(parseAgeRange('all ages'), null);
+    assert.equal(parseAgeRange(undefined), null);
+  });
+});
+
+describe('getProductAttributes', () => {
+  it('extracts price, category, brand and the age range', () => {
+    const record = { price: '$199.99', category: ' Strollers ', brand: 'Acme', age_range: '0-4 years' };
+    assert.deepEqual(getProductAttributes(record), {
+      price: 199.99,
+      category: 'Strollers',
+      brand: 'Acme',
+      minAgeMonths: 0,
+      maxAgeMonths: 48
+    });
+  });
+
+  it('prefers explicit month columns over a free-text age range', () => {
+    const record = { min_age_months: '9', age_range: '0-4 years' };
+    assert.deepEqual(getProductAttributes(record), { minAgeMonths: 9 });
+  });
+
+  it('leaves out missing and unparseable attributes', () => {
+    assert.deepEqual(getProductAttributes({ price: 'n/a', category: '', age: '' }), {});
+  });
+});
+
+describe('getChildAgeMonths', () => {
+  const now = new Date('2024-06-15T12:00:00Z');
+
+  it('counts whole months since the birthday', () => {
+    assert.equal(getChildAgeMonths({ birthday: '2023-06-15' }, now), 12);
+    assert.equal(getChildAgeMonths({ birthday: '2023-06-16' }, now), 11);
+    assert.equal(getChildAgeMonths({ birthday: '2024-07-01' }, now), 0);
+  });
+
+  it('reads age as years unless it names months', () => {
+    assert.equal(getChildAgeMonths({ age: 2 }, now), 24);
+    assert.equal(getChildAgeMonths({ age: '18 months' }, now), 18);
+    assert.equal(getChildAgeMonths({ age: '3 years' }, now), 36);
+  });
+
+  it('returns null when the age is unknown', () => {
+    assert.equal(getChildAgeMonths({ name: 'Sam' }, now), null);
+  });
+});
+
+describe('buildProductFilters', () => {
+  it('builds filters from the profile and request fields', () => {
+    const filters = buildProductFilters({ children: [{ age: 1 }, { name: 'unknown age' }], maxPrice: 150, category: ' Toys ', brand: 'Acme' });
+    assert.deepEqual(filters, { childAgesMonths: [12], maxPrice: 150, category: 'Toys', brand: 'Acme' });
+    assert.equal(hasProductFilters(filters), true);
+  });
+
+  it('is empty when nothing restricts the products', () => {
+    const filters = buildProductFilters({ children: [{ name: 'unknown age' }] });
+    assert.deepEqual(filters, {});
+    assert.equal(hasProductFilters(filters), false);
+  });
+});
+
+describe('matchesProductFilters', () => {
+  const stroller = { price: 199.99, category: 'Strollers', brand: 'Acme', minAgeMonths: 6, maxAgeMonths: 48 };
+
+  it('applies price, category and brand filters', () => {
+    assert.equal(matchesProductFilters(stroller, { maxPrice: 250, category: 'Strollers', brand: 'Acme' }), true);
+    assert.equal(matchesProductFilters(stroller, { maxPrice: 150 }), false);
+    assert.equal(matchesProductFilters(stroller, { category: 'Toys' }), false);
+    assert.equal(matchesProductFilters(stroller, { brand: 'Other' }), false);
+  });
+
+  it('keeps a product that suits at least one child', () => {
+    assert.equal(matchesProductFilters(stroller, { childAgesMonths: [2, 24] }), true);
+    assert.equal(matchesProductFilters(stroller, { childAgesMonths: [2, 60] }), false);
+  });
+
+  it('keeps products missing the attribute a filter needs', () => {
+    assert.equal(matchesProductFilters({}, { maxPrice: 10, category: 'Toys', brand: 'Acme', childAgesMonths: [1] }), true);
+    assert.equal(matchesProductFilters(stroller, {}), true);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeKeySegment } from '../../src/utils/storeKeys.js';
+import memoryService from '../../src/services/memoryService.js';
+import cacheService from '../../src/services/cacheService.js';
+
+// Pairs of user IDs that would share keys or key prefixes if `:` and `%` were not escaped
+const COLLIDING_USER_IDS = [['a', 'a:b'], ['a:b', 'a%3Ab'], ['a%', 'a%25']];
+
+describe('encodeKeySegment', () => {
+  it('escapes only % and :', () => {
+    assert.equal(encodeKeySegment('auth0|user-1'), 'auth0|user-1');
+    assert.equal(encodeKeySegment('a:b'), 'a%3Ab');
+    assert.equal(encodeKeySegment('100%'), '100%25');
+    assert.equal(encodeKeySegment('%3A'), '%253A');
+  });
+
+  it('never maps two user IDs to the same segment', () => {
+    const userIds = [...new Set(COLLIDING_USER_IDS.flat())];
+    assert.equal(new Set(userIds.map(encodeKeySegment)).size, userIds.length);
+  });
+
+  it('keeps thread conversation IDs apart from other users\' default conversations', () => {
+    // Unescaped, user `a`'s thread `b` would be stored as user `a:b`'s default conversation
+    assert.notEqual(memoryService.getStoreConversationId('a', 'b'), memoryService.getStoreConversationId('a:b'));
+    assert.notEqual(memoryService.getStoreConversationId('a:b', 'c'), memoryService.getStoreConversationId('a', 'b:c'));
+  });
+
+  it('keeps thread index and memory keys apart', () => {
+    for (const [userId, otherUserId] of COLLIDING_USER_IDS) {
+      assert.notEqual(memoryService.getThreadIndexKey(userId), memoryService.getThreadIndexKey(otherUserId));
+      assert.notEqual(memoryService.getFactsKey(userId), memoryService.getFactsKey(otherUserId));
+      assert.notEqual(memoryService.getLegacySummaryKey(userId), memoryService.getLegacySummaryKey(otherUserId));
+    }
+  });
+
+  it('keeps one user\'s cache keys out of another user\'s cache key prefix', () => {
+    // Clearing user `a`'s cache deletes every key starting with a's prefix
+    for (const [userId, otherUserId] of COLLIDING_USER_IDS) {
+      const otherKey = cacheService.generateCacheKey(otherUserId, 'stroller', {});
+      assert.ok(!otherKey.startsWith(cacheService.getUserCacheKeyPrefix(userId)), `${otherUserId} under ${userId}`);
+      const key = cacheService.generateCacheKey(userId, 'stroller', {});
+      assert.ok(!key.startsWith(cacheService.getUserCacheKeyPrefix(otherUserId)), `${userId} under ${otherUserId}`);
+    }
+  });
+});